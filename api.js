@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+import cookieParser from 'cookie-parser';
+import { protect } from './middleware/auth.js';
+import { getConnectionStatus } from './controllers/connectionController.js';
+import DerivWebSocketManager from './services/derivWebSocketManager.js';
+import MarketDataHub from './services/marketDataHub.js';
+import TradeLifecycle from './services/tradeLifecycle.js';
+
+// Connect to the database, create the shared services the controllers and bots reach
+// through globals, mount the routes on `app`, then resume the bots that were running.
+// Resolves to the recovery report.
+export async function startApi(app) {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    global.derivWSManager = new DerivWebSocketManager();
+    global.marketDataHub = new MarketDataHub();
+    // The lifecycle listens on the WebSocket manager, so it comes last
+    global.tradeLifecycle = new TradeLifecycle();
+
+    // protect falls back to the token cookie
+    app.get('/api/connection/status', cookieParser(), protect, getConnectionStatus);
+
+    // The bot controller builds its executor on import, and that needs the globals above
+    const { recoverBots } = await import('./controllers/botController.js');
+    return recoverBots();
+}
@@ -0,0 +1,223 @@
+import { countDocuments } from '../models/Bot';
+import { error as _error } from '../utils/logger';
+import DerivAccountService from '../services/derivAccountService';
+
+const derivAccountService = new DerivAccountService();
+
+// Merge a user's stored accounts with their live connection state
+function describeAccounts(user) {
+    const live = global.derivWSManager.getAccounts(user.id);
+
+    return (user.derivAccounts || []).map(account => {
+        const connection = live.find(item => item.loginid === account.loginid);
+        return {
+            loginid: account.loginid,
+            currency: account.currency,
+            isVirtual: account.isVirtual,
+            isDefault: account.isDefault,
+            scopes: account.scopes,
+            tokenStatus: account.tokenStatus,
+            balance: connection?.balance ?? account.balance,
+            isConnected: Boolean(connection?.isConnected)
+        };
+    });
+}
+
+// @desc    Get linked Deriv accounts
+// @route   GET /api/accounts
+// @access  Private
+export async function getAccounts(req, res) {
+    try {
+        res.json({
+            success: true,
+            accounts: describeAccounts(req.user)
+        });
+    } catch (error) {
+        _error('Get accounts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching accounts'
+        });
+    }
+}
+
+// @desc    Link a Deriv account with an API token
+// @route   POST /api/accounts
+// @access  Private
+export async function linkAccount(req, res) {
+    try {
+        const { loginid, token, isDefault } = req.body;
+
+        if (!loginid || !token) {
+            return res.status(400).json({
+                success: false,
+                message: 'loginid and token are required'
+            });
+        }
+
+        const { failed } = await derivAccountService.linkAccounts(req.user, [{ loginid, token }], {
+            defaultLoginid: isDefault ? loginid : undefined
+        });
+
+        if (failed.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: failed[0].message
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            accounts: describeAccounts(req.user)
+        });
+    } catch (error) {
+        _error('Link account error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error linking account'
+        });
+    }
+}
+
+// @desc    Start linking accounts through Deriv OAuth
+// @route   GET /api/accounts/oauth
+// @access  Private
+export async function startOAuth(req, res) {
+    try {
+        res.json({
+            success: true,
+            url: derivAccountService.beginOAuth(req.user.id)
+        });
+    } catch (error) {
+        _error('Start OAuth error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error starting Deriv OAuth'
+        });
+    }
+}
+
+// @desc    Link the accounts Deriv redirects back with after OAuth
+// @route   GET /api/accounts/oauth/callback
+// @access  Private
+export async function oauthCallback(req, res) {
+    try {
+        // Only accept redirects from a link this user started
+        if (!derivAccountService.consumeOAuthState(req.user.id, req.query.state)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired OAuth state'
+            });
+        }
+
+        const accounts = derivAccountService.parseOAuthParams(req.query);
+
+        if (accounts.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No Deriv accounts in OAuth response'
+            });
+        }
+
+        const { linked, failed } = await derivAccountService.linkAccounts(req.user, accounts);
+
+        res.status(linked.length > 0 ? 201 : 400).json({
+            success: linked.length > 0,
+            linked,
+            failed,
+            accounts: describeAccounts(req.user)
+        });
+    } catch (error) {
+        _error('OAuth callback error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error linking Deriv accounts'
+        });
+    }
+}
+
+// @desc    Set default Deriv account
+// @route   PUT /api/accounts/:loginid/default
+// @access  Private
+export async function setDefaultAccount(req, res) {
+    try {
+        const { loginid } = req.params;
+        const accounts = req.user.derivAccounts || [];
+
+        if (!accounts.some(account => account.loginid === loginid)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Account not found'
+            });
+        }
+
+        accounts.forEach(account => { account.isDefault = account.loginid === loginid; });
+        await req.user.save();
+
+        if (global.derivWSManager.getConnection(req.user.id, loginid)) {
+            global.derivWSManager.setDefaultAccount(req.user.id, loginid);
+        }
+
+        res.json({
+            success: true,
+            accounts: describeAccounts(req.user)
+        });
+    } catch (error) {
+        _error('Set default account error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error setting default account'
+        });
+    }
+}
+
+// @desc    Unlink a Deriv account
+// @route   DELETE /api/accounts/:loginid
+// @access  Private
+export async function unlinkAccount(req, res) {
+    try {
+        const { loginid } = req.params;
+        const accounts = req.user.derivAccounts || [];
+        const account = accounts.find(item => item.loginid === loginid);
+
+        if (!account) {
+            return res.status(404).json({
+                success: false,
+                message: 'Account not found'
+            });
+        }
+
+        // Don't pull the account out from under running bots
+        const activeBots = await countDocuments({ userId: req.user.id, loginid, status: 'active' });
+        if (activeBots > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Stop the bots trading on this account before unlinking it'
+            });
+        }
+
+        await global.derivWSManager.disconnect(req.user.id, loginid);
+
+        req.user.derivAccounts = accounts.filter(item => item.loginid !== loginid);
+        if (account.isDefault && req.user.derivAccounts.length > 0) {
+            const next = req.user.derivAccounts[0];
+            next.isDefault = true;
+            if (global.derivWSManager.getConnection(req.user.id, next.loginid)) {
+                global.derivWSManager.setDefaultAccount(req.user.id, next.loginid);
+            }
+        }
+        await req.user.save();
+
+        res.json({
+            success: true,
+            message: 'Account unlinked successfully',
+            accounts: describeAccounts(req.user)
+        });
+    } catch (error) {
+        _error('Unlink account error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error unlinking account'
+        });
+    }
+}
@@ -4,22 +4,38 @@ import User from '../models/User';
 import { error as _error } from '../utils/logger';
 import { Types } from 'mongoose';
 
+// Narrow a query to one Deriv account when ?loginid= is given
+function accountFilter(req) {
+    return req.query.loginid ? { loginid: req.query.loginid } : {};
+}
+
+// Paper trades are left out unless ?paper=include (both) or ?paper=only
+function paperFilter(req) {
+    if (req.query.paper === 'include') return {};
+    if (req.query.paper === 'only') return { isPaper: true };
+    return { isPaper: { $ne: true } };
+}
+
 // @desc    Get dashboard analytics
 // @route   GET /api/analytics/dashboard
 // @access  Private
 export async function getDashboard(req, res) {
     try {
         const userId = req.user.id;
+        const account = accountFilter(req);
+        const paper = paperFilter(req);
 
         // Get overall statistics
-        const totalTrades = await countDocuments({ userId });
-        const activeBots = await _countDocuments({ userId, status: 'active' });
+        const totalTrades = await countDocuments({ userId, ...account, ...paper });
+        const activeBots = await _countDocuments({ userId, ...account, status: 'active' });
 
         // Get recent performance
         const recentTrades = await aggregate([
             {
                 $match: {
                     userId: Types.ObjectId(userId),
+                    ...account,
+                    ...paper,
                     status: { $in: ['won', 'lost'] },
                     createdAt: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) }
                 }
@@ -47,6 +63,8 @@ export async function getDashboard(req, res) {
             {
                 $match: {
                     userId: Types.ObjectId(userId),
+                    ...account,
+                    ...paper,
                     status: { $in: ['won', 'lost'] },
                     createdAt: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) }
                 }
@@ -63,7 +81,7 @@ export async function getDashboard(req, res) {
         ]);
 
         // Get top performing bots
-        const topBots = await _find({ userId })
+        const topBots = await _find({ userId, ...account })
             .sort({ 'performance.netProfitLoss': -1 })
             .limit(5)
             .select('name type performance status');
@@ -79,6 +97,13 @@ export async function getDashboard(req, res) {
                     winRate: stats.totalTrades > 0 ? (stats.wins / stats.totalTrades) * 100 : 0,
                     totalProfit: stats.totalProfit
                 },
+                accounts: (req.user.derivAccounts || []).map(item => ({
+                    loginid: item.loginid,
+                    currency: item.currency,
+                    isVirtual: item.isVirtual,
+                    isDefault: item.isDefault,
+                    balance: item.balance
+                })),
                 dailyData,
                 topBots,
                 recentStats: stats
@@ -100,7 +125,7 @@ export async function getTradeJournal(req, res) {
     try {
         const { page = 1, limit = 50, startDate, endDate, status, symbol } = req.query;
 
-        const filter = { userId: req.user.id };
+        const filter = { userId: req.user.id, ...accountFilter(req), ...paperFilter(req) };
 
         if (status) filter.status = status;
         if (symbol) filter.symbol = symbol;
@@ -143,6 +168,8 @@ export async function getPerformanceMetrics(req, res) {
         const { period = '30' } = req.query;
         const days = parseInt(period);
         const userId = req.user.id;
+        const account = accountFilter(req);
+        const paper = paperFilter(req);
 
         const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
 
@@ -151,6 +178,8 @@ export async function getPerformanceMetrics(req, res) {
             {
                 $match: {
                     userId: Types.ObjectId(userId),
+                    ...account,
+                    ...paper,
                     status: { $in: ['won', 'lost'] },
                     createdAt: { $gte: startDate }
                 }
@@ -186,6 +215,8 @@ export async function getPerformanceMetrics(req, res) {
             {
                 $match: {
                     userId: Types.ObjectId(userId),
+                    ...account,
+                    ...paper,
                     status: { $in: ['won', 'lost'] },
                     createdAt: { $gte: startDate }
                 }
@@ -215,6 +246,8 @@ export async function getPerformanceMetrics(req, res) {
             {
                 $match: {
                     userId: Types.ObjectId(userId),
+                    ...account,
+                    ...paper,
                     status: { $in: ['won', 'lost'] },
                     createdAt: { $gte: startDate }
                 }
@@ -238,6 +271,37 @@ export async function getPerformanceMetrics(req, res) {
             }
         ]);
 
+        // Performance by Deriv account
+        const byAccount = await aggregate([
+            {
+                $match: {
+                    userId: Types.ObjectId(userId),
+                    ...account,
+                    ...paper,
+                    status: { $in: ['won', 'lost'] },
+                    createdAt: { $gte: startDate }
+                }
+            },
+            {
+                $group: {
+                    _id: '$loginid',
+                    trades: { $sum: 1 },
+                    wins: { $sum: { $cond: [{ $eq: ['$status', 'won'] }, 1, 0] } },
+                    profit: { $sum: '$profitLoss' }
+                }
+            },
+            {
+                $project: {
+                    loginid: '$_id',
+                    trades: 1,
+                    wins: 1,
+                    winRate: { $multiply: [{ $divide: ['$wins', '$trades'] }, 100] },
+                    profit: 1
+                }
+            },
+            { $sort: { profit: -1 } }
+        ]);
+
         res.json({
             success: true,
             period: `${days} days`,
@@ -257,7 +321,8 @@ export async function getPerformanceMetrics(req, res) {
                 expectancy: data.totalTrades > 0 ? netProfit / data.totalTrades : 0
             },
             bySymbol,
-            byContractType
+            byContractType,
+            byAccount
         });
     } catch (error) {
         _error('Get performance metrics error:', error);
@@ -276,6 +341,8 @@ export async function getChartData(req, res) {
         const { period = '30', interval = 'daily' } = req.query;
         const days = parseInt(period);
         const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+        const account = accountFilter(req);
+        const paper = paperFilter(req);
 
         let groupFormat;
         switch (interval) {
@@ -299,6 +366,8 @@ export async function getChartData(req, res) {
             {
                 $match: {
                     userId: Types.ObjectId(req.user.id),
+                    ...account,
+                    ...paper,
                     status: { $in: ['won', 'lost'] },
                     createdAt: { $gte: startDate }
                 }
@@ -330,6 +399,37 @@ export async function getChartData(req, res) {
             };
         });
 
+        // Performance by Deriv account
+        const byAccount = await aggregate([
+            {
+                $match: {
+                    userId: Types.ObjectId(userId),
+                    ...account,
+                    ...paper,
+                    status: { $in: ['won', 'lost'] },
+                    createdAt: { $gte: startDate }
+                }
+            },
+            {
+                $group: {
+                    _id: '$loginid',
+                    trades: { $sum: 1 },
+                    wins: { $sum: { $cond: [{ $eq: ['$status', 'won'] }, 1, 0] } },
+                    profit: { $sum: '$profitLoss' }
+                }
+            },
+            {
+                $project: {
+                    loginid: '$_id',
+                    trades: 1,
+                    wins: 1,
+                    winRate: { $multiply: [{ $divide: ['$wins', '$trades'] }, 100] },
+                    profit: 1
+                }
+            },
+            { $sort: { profit: -1 } }
+        ]);
+
         res.json({
             success: true,
             period: `${days} days`,
@@ -352,7 +452,7 @@ export async function exportTrades(req, res) {
     try {
         const { startDate, endDate } = req.query;
 
-        const filter = { userId: req.user.id };
+        const filter = { userId: req.user.id, ...accountFilter(req), ...paperFilter(req) };
 
         if (startDate || endDate) {
             filter.createdAt = {};
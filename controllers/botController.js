@@ -1,51 +1,214 @@
-const Bot = require('../models/Bot');
-const Trade = require('../models/Trade');
-const User = require('../models/User');
-const logger = require('../utils/logger');
-const BotExecutor = require('../services/botExecutor');
+import Bot from '../models/Bot';
+import Trade from '../models/Trade';
+import { error as _error } from '../utils/logger';
+import BotExecutor, { DIGIT_STRATEGIES } from '../services/botExecutor';
+import RuleEngine from '../services/ruleEngine';
+import { listIndicators, operandsFor, validateIndicators } from '../services/indicatorRegistry';
+import MoneyManager from '../services/moneyManagement';
+import TradingSchedule from '../services/tradingSchedule';
+import { validateSymbols } from '../services/symbolGroups';
+import StrategySandbox, { SCRIPT_STRATEGY } from '../services/strategySandbox';
+import BacktestService from '../services/backtestService';
+import DbotImporter, { IMPORTED_BOT_TYPE } from '../services/dbotImporter';
 
 const botExecutor = new BotExecutor();
+const ruleEngine = new RuleEngine();
+const moneyManager = new MoneyManager();
+const tradingSchedule = new TradingSchedule();
+const strategySandbox = new StrategySandbox();
+const backtestService = new BacktestService();
+const dbotImporter = new DbotImporter();
+
+// Check the settings of a digit strategy bot, returning readable errors (empty if valid)
+const validateDigitSettings = (type, configuration) => {
+    const errors = [];
+    const digits = configuration.digits || {};
+    const inRange = (value, min, max, integer = true) => value === undefined ||
+        (typeof value === 'number' && (!integer || Number.isInteger(value)) && value >= min && value <= max);
+
+    if (configuration.candleGranularity) {
+        errors.push('digit strategies trade on ticks and cannot use candleGranularity');
+    }
+    if (!inRange(digits.sample, 10, 1000)) errors.push('digits.sample must be an integer from 10 to 1000');
+    if (!inRange(digits.streakLength, 1, 20)) errors.push('digits.streakLength must be an integer from 1 to 20');
+    if (!inRange(digits.edge, 0, 0.5, false)) errors.push('digits.edge must be a number from 0 to 0.5');
+    if (!inRange(digits.prediction, 0, 9)) errors.push('digits.prediction must be a digit from 0 to 9');
+    if (type === 'digit_over_under' && !inRange(digits.barrier, 1, 8)) {
+        errors.push('digits.barrier must be a digit from 1 to 8');
+    }
+    if (digits.mode !== undefined && !['match', 'differ'].includes(digits.mode)) {
+        errors.push('digits.mode must be "match" or "differ"');
+    }
+
+    return errors;
+};
+
+// Validate indicator settings and strategy rules, returning a 400 response body if they are malformed
+const validateStrategy = (configuration, type) => {
+    if (!configuration) return null;
+
+    if (configuration.mode !== undefined && !['live', 'paper'].includes(configuration.mode)) {
+        return {
+            success: false,
+            message: 'mode must be "live" or "paper"'
+        };
+    }
+
+    if (DIGIT_STRATEGIES[type]) {
+        const digitErrors = validateDigitSettings(type, configuration);
+        if (digitErrors.length > 0) {
+            return {
+                success: false,
+                message: 'Invalid digit strategy settings',
+                errors: digitErrors
+            };
+        }
+    }
+
+    const symbolErrors = validateSymbols(configuration);
+    if (symbolErrors.length > 0) {
+        return {
+            success: false,
+            message: 'Invalid symbols',
+            errors: symbolErrors
+        };
+    }
+
+    const scheduleErrors = tradingSchedule.validate(configuration.tradingHours);
+    if (scheduleErrors.length > 0) {
+        return {
+            success: false,
+            message: 'Invalid trading hours',
+            errors: scheduleErrors
+        };
+    }
+
+    const moneyErrors = moneyManager.validate(configuration.moneyManagement, configuration.stake);
+    if (moneyErrors.length > 0) {
+        return {
+            success: false,
+            message: 'Invalid money management settings',
+            errors: moneyErrors
+        };
+    }
+
+    const indicatorErrors = validateIndicators(configuration.indicators);
+    if (indicatorErrors.length > 0) {
+        return {
+            success: false,
+            message: 'Invalid indicator configuration',
+            errors: indicatorErrors
+        };
+    }
+
+    // Rules may read any indicator this bot configures
+    const operands = operandsFor(configuration.indicators);
+    const strategy = configuration.strategy;
+    const errors = [
+        ...(strategy?.entryConditions ? ruleEngine.validate(strategy, operands) : []),
+        ...(strategy?.filters ? ruleEngine.validateFilters(strategy.filters, operands) : [])
+    ];
+    if (errors.length === 0) return null;
+
+    return {
+        success: false,
+        message: 'Invalid strategy entry conditions',
+        errors
+    };
+};
+
+// Compile and dry-run a script bot's strategy code, returning a 400 response body if it fails
+const validateScript = async (configuration, type) => {
+    if (type !== SCRIPT_STRATEGY || !configuration) return null;
+
+    const errors = await strategySandbox.validate(configuration.script, configuration.indicators);
+    if (errors.length === 0) return null;
+
+    return {
+        success: false,
+        message: 'Invalid strategy script',
+        errors
+    };
+};
 
 // @desc    Create new bot
 // @route   POST /api/bots
 // @access  Private
-exports.createBot = async (req, res) => {
+export async function createBot(req, res) {
     try {
-        const { name, description, type, configuration } = req.body;
+        const { name, description, type, configuration, loginid } = req.body;
+
+        // Check the bot targets one of the user's linked accounts
+        const accounts = req.user.derivAccounts || [];
+        if (loginid && !accounts.some(account => account.loginid === loginid)) {
+            return res.status(400).json({
+                success: false,
+                message: `Deriv account ${loginid} is not linked`
+            });
+        }
+        const defaultAccount = accounts.find(account => account.isDefault);
 
         // Check if user is connected to Deriv
-        if (!global.derivWSManager.isConnected(req.user.id)) {
+        if (!global.derivWSManager.isConnected(req.user.id, loginid || defaultAccount?.loginid)) {
             return res.status(400).json({
                 success: false,
                 message: 'Not connected to Deriv. Please reconnect your account.'
             });
         }
 
-        // Start bot execution
-        await botExecutor.startBot(bot._id.toString(), req.user.id);
+        const strategyError = validateStrategy(configuration, type) || await validateScript(configuration || {}, type);
+        if (strategyError) {
+            return res.status(400).json(strategyError);
+        }
 
-        bot.status = 'active';
-        bot.lastExecution = new Date();
-        await bot.save();
+        // Check if elite bot and user has subscription
+        if (type === 'elite_speedbot') {
+            if (!req.user.hasActiveSubscription() || req.user.subscription.type === 'free') {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Elite subscription required for SpeedBots'
+                });
+            }
+        }
 
-        res.json({
+        // Check bot limit
+        const botCount = await Bot.countDocuments({ userId: req.user.id, status: { $ne: 'stopped' } });
+        const maxBots = req.user.subscription.type === 'elite' ? 10 : 3;
+
+        if (botCount >= maxBots) {
+            return res.status(400).json({
+                success: false,
+                message: `Maximum bot limit reached (${maxBots})`
+            });
+        }
+
+        const bot = await Bot.create({
+            userId: req.user.id,
+            name,
+            description,
+            type,
+            configuration,
+            loginid: loginid || defaultAccount?.loginid,
+            isElite: type === 'elite_speedbot'
+        });
+
+        res.status(201).json({
             success: true,
-            message: 'Bot started successfully',
             bot
         });
     } catch (error) {
-        logger.error('Start bot error:', error);
+        _error('Create bot error:', error);
         res.status(500).json({
             success: false,
-            message: 'Error starting bot'
+            message: 'Error creating bot'
         });
     }
-};
+}
 
 // @desc    Stop bot
 // @route   POST /api/bots/:id/stop
 // @access  Private
-exports.stopBot = async (req, res) => {
+export async function stopBot(req, res) {
     try {
         const bot = await Bot.findOne({
             _id: req.params.id,
@@ -78,18 +241,18 @@ exports.stopBot = async (req, res) => {
             bot
         });
     } catch (error) {
-        logger.error('Stop bot error:', error);
+        _error('Stop bot error:', error);
         res.status(500).json({
             success: false,
             message: 'Error stopping bot'
         });
     }
-};
+}
 
 // @desc    Pause bot
 // @route   POST /api/bots/:id/pause
 // @access  Private
-exports.pauseBot = async (req, res) => {
+export async function pauseBot(req, res) {
     try {
         const bot = await Bot.findOne({
             _id: req.params.id,
@@ -114,18 +277,18 @@ exports.pauseBot = async (req, res) => {
             bot
         });
     } catch (error) {
-        logger.error('Pause bot error:', error);
+        _error('Pause bot error:', error);
         res.status(500).json({
             success: false,
             message: 'Error pausing bot'
         });
     }
-};
+}
 
 // @desc    Get bot performance
 // @route   GET /api/bots/:id/performance
 // @access  Private
-exports.getBotPerformance = async (req, res) => {
+export async function getBotPerformance(req, res) {
     try {
         const bot = await Bot.findOne({
             _id: req.params.id,
@@ -169,25 +332,63 @@ exports.getBotPerformance = async (req, res) => {
             { $sort: { _id: 1 } }
         ]);
 
+        // Each symbol's results, for bots trading several; paper bots report their paper trades
+        const symbolStats = await Trade.aggregate([
+            {
+                $match: {
+                    botId: bot._id,
+                    status: { $in: ['won', 'lost', 'sold'] },
+                    isPaper: bot.configuration?.mode === 'paper' ? true : { $ne: true }
+                }
+            },
+            {
+                $group: {
+                    _id: '$symbol',
+                    trades: { $sum: 1 },
+                    wins: { $sum: { $cond: [{ $gt: ['$profitLoss', 0] }, 1, 0] } },
+                    profit: { $sum: '$profitLoss' },
+                    bestTrade: { $max: '$profitLoss' },
+                    worstTrade: { $min: '$profitLoss' },
+                    lastTradeAt: { $max: '$createdAt' }
+                }
+            },
+            {
+                $project: {
+                    _id: 0,
+                    symbol: '$_id',
+                    trades: 1,
+                    wins: 1,
+                    losses: { $subtract: ['$trades', '$wins'] },
+                    winRate: { $multiply: [{ $divide: ['$wins', '$trades'] }, 100] },
+                    profit: 1,
+                    bestTrade: 1,
+                    worstTrade: 1,
+                    lastTradeAt: 1
+                }
+            },
+            { $sort: { profit: -1 } }
+        ]);
+
         res.json({
             success: true,
             performance: bot.performance,
             recentTrades: trades,
-            dailyStats
+            dailyStats,
+            symbolStats
         });
     } catch (error) {
-        logger.error('Get bot performance error:', error);
+        _error('Get bot performance error:', error);
         res.status(500).json({
             success: false,
             message: 'Error fetching bot performance'
         });
     }
-};
+}
 
 // @desc    Get bot trades
 // @route   GET /api/bots/:id/trades
 // @access  Private
-exports.getBotTrades = async (req, res) => {
+export async function getBotTrades(req, res) {
     try {
         const { page = 1, limit = 20, status } = req.query;
 
@@ -221,59 +422,18 @@ exports.getBotTrades = async (req, res) => {
             total: count
         });
     } catch (error) {
-        logger.error('Get bot trades error:', error);
+        _error('Get bot trades error:', error);
         res.status(500).json({
             success: false,
             message: 'Error fetching bot trades'
         });
     }
-}; if elite bot and user has subscription
-if (type === 'elite_speedbot') {
-    if (!req.user.hasActiveSubscription() || req.user.subscription.type === 'free') {
-        return res.status(403).json({
-            success: false,
-            message: 'Elite subscription required for SpeedBots'
-        });
-    }
-}
-
-// Check bot limit
-const botCount = await Bot.countDocuments({ userId: req.user.id, status: { $ne: 'stopped' } });
-const maxBots = req.user.subscription.type === 'elite' ? 10 : 3;
-
-if (botCount >= maxBots) {
-    return res.status(400).json({
-        success: false,
-        message: `Maximum bot limit reached (${maxBots})`
-    });
-}
-
-const bot = await Bot.create({
-    userId: req.user.id,
-    name,
-    description,
-    type,
-    configuration,
-    isElite: type === 'elite_speedbot'
-});
-
-res.status(201).json({
-    success: true,
-    bot
-});
-  } catch (error) {
-    logger.error('Create bot error:', error);
-    res.status(500).json({
-        success: false,
-        message: 'Error creating bot'
-    });
 }
-};
 
 // @desc    Get all user bots
 // @route   GET /api/bots
 // @access  Private
-exports.getBots = async (req, res) => {
+export async function getBots(req, res) {
     try {
         const { status, type } = req.query;
 
@@ -289,18 +449,18 @@ exports.getBots = async (req, res) => {
             bots
         });
     } catch (error) {
-        logger.error('Get bots error:', error);
+        _error('Get bots error:', error);
         res.status(500).json({
             success: false,
             message: 'Error fetching bots'
         });
     }
-};
+}
 
 // @desc    Get single bot
 // @route   GET /api/bots/:id
 // @access  Private
-exports.getBot = async (req, res) => {
+export async function getBot(req, res) {
     try {
         const bot = await Bot.findOne({
             _id: req.params.id,
@@ -316,23 +476,24 @@ exports.getBot = async (req, res) => {
 
         res.json({
             success: true,
-            bot
+            bot,
+            schedule: botExecutor.getScheduleStatus(bot)
         });
     } catch (error) {
-        logger.error('Get bot error:', error);
+        _error('Get bot error:', error);
         res.status(500).json({
             success: false,
             message: 'Error fetching bot'
         });
     }
-};
+}
 
 // @desc    Update bot
 // @route   PUT /api/bots/:id
 // @access  Private
-exports.updateBot = async (req, res) => {
+export async function updateBot(req, res) {
     try {
-        const { name, description, configuration } = req.body;
+        const { name, description, configuration, loginid } = req.body;
 
         let bot = await Bot.findOne({
             _id: req.params.id,
@@ -354,10 +515,32 @@ exports.updateBot = async (req, res) => {
             });
         }
 
+        // Validate against the settings the bot will end up with
+        const merged = configuration && { ...bot.configuration, ...configuration };
+        const strategyError = validateStrategy(merged, bot.type) || await validateScript(merged, bot.type);
+        if (strategyError) {
+            return res.status(400).json(strategyError);
+        }
+
         if (name) bot.name = name;
         if (description) bot.description = description;
         if (configuration) bot.configuration = { ...bot.configuration, ...configuration };
 
+        // A new base stake or progression starts the progression over
+        if (configuration?.moneyManagement || configuration?.stake !== undefined) {
+            bot.moneyManagementState = undefined;
+        }
+
+        if (loginid) {
+            if (!(req.user.derivAccounts || []).some(account => account.loginid === loginid)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Deriv account ${loginid} is not linked`
+                });
+            }
+            bot.loginid = loginid;
+        }
+
         await bot.save();
 
         res.json({
@@ -365,18 +548,18 @@ exports.updateBot = async (req, res) => {
             bot
         });
     } catch (error) {
-        logger.error('Update bot error:', error);
+        _error('Update bot error:', error);
         res.status(500).json({
             success: false,
             message: 'Error updating bot'
         });
     }
-};
+}
 
 // @desc    Delete bot
 // @route   DELETE /api/bots/:id
 // @access  Private
-exports.deleteBot = async (req, res) => {
+export async function deleteBot(req, res) {
     try {
         const bot = await Bot.findOne({
             _id: req.params.id,
@@ -402,18 +585,18 @@ exports.deleteBot = async (req, res) => {
             message: 'Bot deleted successfully'
         });
     } catch (error) {
-        logger.error('Delete bot error:', error);
+        _error('Delete bot error:', error);
         res.status(500).json({
             success: false,
             message: 'Error deleting bot'
         });
     }
-};
+}
 
 // @desc    Start bot
 // @route   POST /api/bots/:id/start
 // @access  Private
-exports.startBot = async (req, res) => {
+export async function startBot(req, res) {
     try {
         const bot = await Bot.findOne({
             _id: req.params.id,
@@ -434,4 +617,223 @@ exports.startBot = async (req, res) => {
             });
         }
 
-// Check
\ No newline at end of file
+        // Check if the bot's account is connected to Deriv
+        if (!global.derivWSManager.isConnected(req.user.id, bot.loginid)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Not connected to Deriv. Please reconnect your account.'
+            });
+        }
+
+        // Start bot execution
+        await botExecutor.startBot(bot._id.toString(), req.user.id);
+
+        bot.status = 'active';
+        bot.stopReason = undefined; // Clear any limit that stopped the last run
+        bot.lastExecution = new Date();
+        await bot.save();
+
+        res.json({
+            success: true,
+            message: 'Bot started successfully',
+            bot
+        });
+    } catch (error) {
+        _error('Start bot error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error starting bot'
+        });
+    }
+}
+
+// @desc    List the indicators bots can configure
+// @route   GET /api/bots/indicators
+// @access  Private
+export async function getIndicators(req, res) {
+    try {
+        res.json({
+            success: true,
+            indicators: listIndicators()
+        });
+    } catch (error) {
+        _error('Get indicators error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching indicators'
+        });
+    }
+}
+
+// @desc    Start a backtest of a bot over recorded or imported ticks
+// @route   POST /api/bots/:id/backtest
+// @access  Private
+export async function runBacktest(req, res) {
+    try {
+        const { ticks, count, symbol, initialBalance, payout, configuration } = req.body;
+
+        const bot = await Bot.findOne({
+            _id: req.params.id,
+            userId: req.user.id
+        });
+
+        if (!bot) {
+            return res.status(404).json({
+                success: false,
+                message: 'Bot not found'
+            });
+        }
+
+        // Overrides are tried out without being saved, but must still be valid
+        const merged = configuration && { ...bot.configuration, ...configuration };
+        const strategyError = validateStrategy(merged, bot.type) || await validateScript(merged, bot.type);
+        if (strategyError) {
+            return res.status(400).json(strategyError);
+        }
+
+        const job = backtestService.createJob(bot, req.user.id, {
+            ticks,
+            count,
+            symbol,
+            initialBalance,
+            payout,
+            configuration
+        });
+
+        res.status(202).json({
+            success: true,
+            jobId: job.id,
+            status: job.status
+        });
+    } catch (error) {
+        _error('Run backtest error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error starting backtest'
+        });
+    }
+}
+
+// @desc    Get a backtest's status, and its results once complete
+// @route   GET /api/bots/:id/backtest/:jobId
+// @access  Private
+export async function getBacktest(req, res) {
+    try {
+        const job = backtestService.getJob(req.params.jobId, req.user.id);
+
+        if (!job || job.botId !== req.params.id) {
+            return res.status(404).json({
+                success: false,
+                message: 'Backtest not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            job
+        });
+    } catch (error) {
+        _error('Get backtest error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching backtest'
+        });
+    }
+}
+
+// @desc    Import a DBot strategy (.xml) as a bot; with preview, only convert it
+// @route   POST /api/bots/import/dbot
+// @access  Private
+export async function importDbotBot(req, res) {
+    try {
+        // The file's text arrives as `xml` in JSON, or as the whole body when sent as text
+        const body = typeof req.body === 'string' ? { xml: req.body } : (req.body || {});
+        const { xml, name, description, loginid, preview } = body;
+
+        const result = dbotImporter.convert(xml);
+        if (result.errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid DBot strategy',
+                errors: result.errors,
+                unsupported: result.unsupported
+            });
+        }
+
+        const report = {
+            unsupported: result.unsupported,
+            ignored: result.ignored,
+            warnings: result.warnings
+        };
+
+        const strategyError = validateStrategy(result.configuration, IMPORTED_BOT_TYPE);
+        if (strategyError) {
+            return res.status(400).json({ ...strategyError, ...report });
+        }
+
+        if (preview) {
+            return res.json({
+                success: true,
+                type: IMPORTED_BOT_TYPE,
+                configuration: result.configuration,
+                ...report
+            });
+        }
+
+        // A bot missing part of its strategy would trade differently from the original
+        if (report.unsupported.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'DBot strategy uses blocks that cannot be imported',
+                ...report
+            });
+        }
+
+        // Check the bot targets one of the user's linked accounts
+        const accounts = req.user.derivAccounts || [];
+        if (loginid && !accounts.some(account => account.loginid === loginid)) {
+            return res.status(400).json({
+                success: false,
+                message: `Deriv account ${loginid} is not linked`
+            });
+        }
+        const defaultAccount = accounts.find(account => account.isDefault);
+
+        // Check bot limit
+        const botCount = await Bot.countDocuments({ userId: req.user.id, status: { $ne: 'stopped' } });
+        const maxBots = req.user.subscription.type === 'elite' ? 10 : 3;
+
+        if (botCount >= maxBots) {
+            return res.status(400).json({
+                success: false,
+                message: `Maximum bot limit reached (${maxBots})`
+            });
+        }
+
+        const bot = await Bot.create({
+            userId: req.user.id,
+            name: name || 'Imported DBot strategy',
+            description,
+            type: IMPORTED_BOT_TYPE,
+            configuration: result.configuration,
+            loginid: loginid || defaultAccount?.loginid,
+            isElite: false
+        });
+
+        res.status(201).json({
+            success: true,
+            bot,
+            ...report
+        });
+    } catch (error) {
+        _error('Import DBot bot error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error importing DBot strategy'
+        });
+    }
+}
+
+// Resume the bots that were running before a restart. The API module calls this once
+// the database is connected and the shared services exist.
+export const recoverBots = () => botExecutor.recoverBots();
@@ -0,0 +1,22 @@
+import { error as _error } from '../utils/logger';
+
+// @desc    Get the state of the user's Deriv connections
+// @route   GET /api/connection/status
+// @access  Private
+export async function getConnectionStatus(req, res) {
+    try {
+        const connections = global.derivWSManager.getStatus(req.user.id);
+
+        res.json({
+            success: true,
+            ready: connections.some(connection => connection.state === 'ready' || connection.state === 'degraded'),
+            connections
+        });
+    } catch (error) {
+        _error('Get connection status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching connection status'
+        });
+    }
+}
@@ -106,7 +106,7 @@ export async function getLeader(req, res) {
 export async function followLeader(req, res) {
     try {
         const { leaderId } = req.params;
-        const { investmentPerTrade, riskPercentage, maxDailyLoss } = req.body;
+        const { investmentPerTrade, riskPercentage, maxDailyLoss, loginid } = req.body;
 
         // Check if user has subscription for copy trading
         if (!req.user.hasActiveSubscription() || req.user.subscription.type === 'free') {
@@ -141,12 +141,26 @@ export async function followLeader(req, res) {
             });
         }
 
+        // Copy into a linked account, or the default one
+        const accounts = req.user.derivAccounts || [];
+        if (loginid && !accounts.some(account => account.loginid === loginid)) {
+            return res.status(400).json({
+                success: false,
+                message: `Deriv account ${loginid} is not linked`
+            });
+        }
+        const targetAccount = loginid || accounts.find(account => account.isDefault)?.loginid;
+
         // Update user copy trade settings
         req.user.copyTradeSettings = {
             enabled: true,
             investmentPerTrade: investmentPerTrade || 10,
             riskPercentage: riskPercentage || 2,
-            maxDailyLoss: maxDailyLoss || 100
+            maxDailyLoss: maxDailyLoss || 100,
+            accounts: {
+                ...req.user.copyTradeSettings?.accounts,
+                [leaderId]: targetAccount
+            }
         };
         req.user.following.push(leaderId);
         await req.user.save();
@@ -156,7 +170,7 @@ export async function followLeader(req, res) {
         await leader.save();
 
         // Register with copy trade service
-        await copyTradeService.registerFollower(req.user._id.toString(), leaderId);
+        await copyTradeService.registerFollower(req.user._id.toString(), leaderId, targetAccount);
 
         res.json({
             success: true,
@@ -192,6 +206,10 @@ export async function unfollowLeader(req, res) {
         if (req.user.following.length === 0) {
             req.user.copyTradeSettings.enabled = false;
         }
+        if (req.user.copyTradeSettings.accounts) {
+            const { [leaderId]: removed, ...accounts } = req.user.copyTradeSettings.accounts;
+            req.user.copyTradeSettings.accounts = accounts;
+        }
         await req.user.save();
 
         // Remove from leader's followers
@@ -301,12 +319,13 @@ export async function getCopyTradeHistory(req, res) {
 // @access  Private
 export async function updateCopyTradeSettings(req, res) {
     try {
-        const { enabled, investmentPerTrade, riskPercentage, maxDailyLoss } = req.body;
+        const { enabled, investmentPerTrade, riskPercentage, maxDailyLoss, maxSlippage } = req.body;
 
         if (enabled !== undefined) req.user.copyTradeSettings.enabled = enabled;
         if (investmentPerTrade) req.user.copyTradeSettings.investmentPerTrade = investmentPerTrade;
         if (riskPercentage) req.user.copyTradeSettings.riskPercentage = riskPercentage;
         if (maxDailyLoss) req.user.copyTradeSettings.maxDailyLoss = maxDailyLoss;
+        if (maxSlippage !== undefined) req.user.copyTradeSettings.maxSlippage = maxSlippage;
 
         await req.user.save();
 
@@ -0,0 +1,47 @@
+import DigitStats from '../services/digitStats';
+import { error as _error } from '../utils/logger';
+
+// @desc    Get last-digit statistics for a symbol's recent ticks
+// @route   GET /api/market/:symbol/digits?count=1000&barrier=4
+// @access  Private
+export async function getDigitStats(req, res) {
+    try {
+        const { symbol } = req.params;
+        const count = Math.min(Math.max(parseInt(req.query.count, 10) || 1000, 10), 5000);
+        const barrier = req.query.barrier !== undefined ? Number(req.query.barrier) : null;
+
+        if (barrier !== null && !(Number.isInteger(barrier) && barrier >= 0 && barrier <= 9)) {
+            return res.status(400).json({
+                success: false,
+                message: 'barrier must be a digit from 0 to 9'
+            });
+        }
+
+        const ticks = await global.marketDataHub.fetchHistory(symbol, { count });
+
+        const digitStats = new DigitStats({ window: count });
+        for (const tick of ticks) {
+            digitStats.record(symbol, tick);
+        }
+
+        const stats = digitStats.getStats(symbol);
+        if (!stats) {
+            return res.status(404).json({
+                success: false,
+                message: `No ticks found for ${symbol}`
+            });
+        }
+
+        res.json({
+            success: true,
+            stats,
+            barrier: barrier !== null ? digitStats.getBarrierStats(symbol, barrier) : undefined
+        });
+    } catch (error) {
+        _error('Get digit stats error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching digit statistics'
+        });
+    }
+}
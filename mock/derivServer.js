@@ -0,0 +1,813 @@
+import WebSocket, { WebSocketServer } from 'ws';
+import { readFileSync } from 'fs';
+import { pathToFileURL } from 'url';
+
+// Mock Deriv WebSocket API for offline development.
+//
+// Run with `npm run mock:deriv` and point DERIV_WEBSOCKET_URL at the printed URL.
+// Supports authorize, balance, portfolio, profit_table, statement, ticks, ticks_history, proposal,
+// buy, proposal_open_contract, forget, forget_all and ping. Ticks are a random walk per
+// symbol, and contracts settle on those ticks with Deriv's rise/fall and digit rules.
+// History is synthesised backwards from the current quote.
+//
+// Scenarios script failures. Each rule applies to the calls it matches, at most
+// `times` times (forever if omitted):
+//   { "on": "buy", "error": { "code": "InsufficientBalance", "message": "..." } }
+//   { "on": "proposal", "delay": 5000 }
+//   { "on": "ticks", "disconnect": true, "times": 1 }
+//   { "on": "authorize", "drop": true }
+// Load them from a JSON file with MOCK_DERIV_SCENARIO=path/to/scenario.json.
+
+// Starting quote and pip size of the synthetic symbols
+const SYMBOLS = {
+    R_10: { quote: 6000, pipSize: 3, volatility: 0.1 },
+    R_25: { quote: 2500, pipSize: 3, volatility: 0.25 },
+    R_50: { quote: 250, pipSize: 4, volatility: 0.5 },
+    R_75: { quote: 90000, pipSize: 4, volatility: 0.75 },
+    R_100: { quote: 1200, pipSize: 2, volatility: 1 },
+    '1HZ10V': { quote: 9000, pipSize: 2, volatility: 0.1 },
+    '1HZ100V': { quote: 1500, pipSize: 2, volatility: 1 }
+};
+
+const DEFAULT_SYMBOL = { quote: 1000, pipSize: 2, volatility: 0.5 };
+
+const DURATION_SECONDS = { s: 1, m: 60, h: 3600 };
+
+// Calls that don't need an authorized connection
+const PUBLIC_CALLS = new Set(['ticks', 'ticks_history', 'forget', 'forget_all']);
+
+class MockDerivServer {
+    constructor({ port = 8765, tickInterval = 1000, houseEdge = 0.05, startingBalance = 10000, scenarios = [] } = {}) {
+        this.port = port;
+        this.tickInterval = tickInterval;
+        this.houseEdge = houseEdge;
+        this.startingBalance = startingBalance;
+        this.scenarios = scenarios.map(rule => ({ ...rule }));
+
+        this.wss = null;
+        this.tickTimer = null;
+        this.markets = new Map(); // symbol -> { quote, pipSize, volatility, tickId }
+        this.accounts = new Map(); // token -> account
+        this.clients = new Set();
+        this.contracts = new Map(); // contract_id -> contract
+        this.proposals = new Map(); // proposal id -> proposal
+        this.nextId = 1;
+    }
+
+    // Start listening
+    start() {
+        return new Promise((resolve) => {
+            this.wss = new WebSocketServer({ port: this.port }, () => {
+                this.tickTimer = setInterval(() => this.generateTicks(), this.tickInterval);
+                resolve(this);
+            });
+
+            this.wss.on('connection', (ws) => this.handleConnection(ws));
+        });
+    }
+
+    // Stop listening and drop every client
+    stop() {
+        clearInterval(this.tickTimer);
+        this.disconnectAll();
+
+        return new Promise((resolve) => {
+            if (!this.wss) return resolve();
+            this.wss.close(() => resolve());
+        });
+    }
+
+    // Drop every connected client, as if the network failed
+    disconnectAll() {
+        for (const client of this.clients) {
+            client.ws.terminate();
+        }
+        this.clients.clear();
+    }
+
+    // Add a scenario rule at runtime
+    addScenario(rule) {
+        this.scenarios.push({ ...rule });
+    }
+
+    get url() {
+        return `ws://localhost:${this.port}/websockets/v3`;
+    }
+
+    handleConnection(ws) {
+        const client = {
+            ws,
+            account: null,
+            subscriptions: new Map() // subscription id -> { type, symbol, contractId, request }
+        };
+        this.clients.add(client);
+
+        ws.on('message', (data) => {
+            let request;
+            try {
+                request = JSON.parse(data.toString());
+            } catch (error) {
+                this.sendError(client, {}, 'InputValidationFailed', 'Message is not valid JSON');
+                return;
+            }
+            this.handleRequest(client, request);
+        });
+
+        ws.on('close', () => {
+            this.clients.delete(client);
+        });
+    }
+
+    // Apply any matching scenario rule, then answer the request
+    handleRequest(client, request) {
+        const type = Object.keys(request)[0];
+        const rule = this.takeScenario(type);
+
+        if (rule?.disconnect) {
+            client.ws.terminate();
+            return;
+        }
+        if (rule?.drop) return;
+
+        const respond = () => {
+            if (rule?.error) {
+                this.sendError(client, request, rule.error.code, rule.error.message);
+                return;
+            }
+            this.dispatch(client, type, request);
+        };
+
+        if (rule?.delay) {
+            setTimeout(respond, rule.delay);
+        } else {
+            respond();
+        }
+    }
+
+    // Find the first scenario rule for a call and use one of its turns
+    takeScenario(type) {
+        const rule = this.scenarios.find(candidate =>
+            (candidate.on === type || candidate.on === '*') && candidate.times !== 0);
+        if (!rule) return null;
+
+        if (rule.times !== undefined) rule.times--;
+        return rule;
+    }
+
+    dispatch(client, type, request) {
+        if (type === 'ping') {
+            return this.push(client, request, 'ping', 'pong');
+        }
+
+        if (type === 'authorize') {
+            return this.authorize(client, request);
+        }
+
+        if (!client.account && !PUBLIC_CALLS.has(type)) {
+            return this.sendError(client, request, 'AuthorizationRequired', 'Please log in.');
+        }
+
+        switch (type) {
+            case 'balance':
+                return this.balance(client, request);
+            case 'portfolio':
+                return this.portfolio(client, request);
+            case 'profit_table':
+                return this.profitTable(client, request);
+            case 'statement':
+                return this.statement(client, request);
+            case 'ticks':
+                return this.ticks(client, request);
+            case 'ticks_history':
+                return this.ticksHistory(client, request);
+            case 'proposal':
+                return this.proposal(client, request);
+            case 'buy':
+                return this.buy(client, request);
+            case 'proposal_open_contract':
+                return this.openContract(client, request);
+            case 'forget':
+                return this.forget(client, request);
+            case 'forget_all':
+                return this.forgetAll(client, request);
+            default:
+                return this.sendError(client, request, 'UnrecognisedRequest', 'Unrecognised request.');
+        }
+    }
+
+    authorize(client, request) {
+        const token = request.authorize;
+        if (!token || typeof token !== 'string') {
+            return this.sendError(client, request, 'InvalidToken', 'The token is invalid.');
+        }
+
+        if (!this.accounts.has(token)) {
+            const isVirtual = !token.startsWith('real');
+            this.accounts.set(token, {
+                loginid: `${isVirtual ? 'VRTC' : 'CR'}${1000000 + this.accounts.size}`,
+                balance: this.startingBalance,
+                currency: 'USD',
+                isVirtual,
+                transactions: []
+            });
+        }
+
+        client.account = this.accounts.get(token);
+        const account = client.account;
+
+        this.push(client, request, 'authorize', {
+            loginid: account.loginid,
+            balance: account.balance,
+            currency: account.currency,
+            is_virtual: account.isVirtual ? 1 : 0,
+            email: `${account.loginid.toLowerCase()}@example.com`,
+            fullname: 'Mock Trader',
+            scopes: ['read', 'trade', 'trading_information', 'payments'],
+            account_list: [{
+                loginid: account.loginid,
+                currency: account.currency,
+                is_virtual: account.isVirtual ? 1 : 0
+            }]
+        });
+    }
+
+    balance(client, request) {
+        const subscriptionId = request.subscribe ? this.addSubscription(client, 'balance', request) : null;
+        this.push(client, request, 'balance', this.balancePayload(client.account), subscriptionId);
+    }
+
+    balancePayload(account) {
+        return {
+            balance: account.balance,
+            currency: account.currency,
+            loginid: account.loginid
+        };
+    }
+
+    portfolio(client, request) {
+        const contracts = [...this.contracts.values()]
+            .filter(contract => contract.account === client.account && !contract.isSold)
+            .map(contract => ({
+                contract_id: contract.contractId,
+                contract_type: contract.contractType,
+                symbol: contract.symbol,
+                buy_price: contract.buyPrice,
+                payout: contract.payout,
+                purchase_time: contract.purchaseTime,
+                currency: client.account.currency
+            }));
+
+        this.push(client, request, 'portfolio', { contracts });
+    }
+
+    profitTable(client, request) {
+        const since = Number(request.date_from) || 0;
+        const transactions = [...this.contracts.values()]
+            .filter(contract => contract.account === client.account && contract.isSold && contract.purchaseTime >= since)
+            .sort((a, b) => request.sort === 'ASC' ? a.purchaseTime - b.purchaseTime : b.purchaseTime - a.purchaseTime)
+            .slice(0, request.limit || 50)
+            .map(contract => ({
+                contract_id: contract.contractId,
+                contract_type: contract.contractType,
+                underlying_symbol: contract.symbol,
+                buy_price: contract.buyPrice,
+                payout: contract.payout,
+                purchase_time: contract.purchaseTime,
+                sell_price: contract.sellPrice,
+                sell_time: contract.sellTime
+            }));
+
+        this.push(client, request, 'profit_table', { count: transactions.length, transactions });
+    }
+
+    statement(client, request) {
+        const limit = request.limit || 100;
+        const transactions = client.account.transactions.slice(-limit).reverse();
+        this.push(client, request, 'statement', { count: transactions.length, transactions });
+    }
+
+    ticks(client, request) {
+        const symbol = request.ticks;
+        const market = this.getMarket(symbol);
+
+        if (!request.subscribe) {
+            return this.push(client, request, 'tick', this.tickPayload(symbol, market));
+        }
+
+        const subscriptionId = this.addSubscription(client, 'ticks', request, { symbol });
+        this.push(client, request, 'tick', this.tickPayload(symbol, market), subscriptionId);
+    }
+
+    ticksHistory(client, request) {
+        const symbol = request.ticks_history;
+        const market = this.getMarket(symbol);
+        const count = Math.min(Number(request.count) || 5000, 5000);
+        const now = request.end && request.end !== 'latest' ? Number(request.end) : Math.floor(Date.now() / 1000);
+
+        if (request.style === 'candles') {
+            const granularity = Number(request.granularity) || 60;
+            const openTime = now - (now % granularity);
+            const candles = this.walkBack(market, count * 10);
+            const payload = [];
+
+            for (let i = 0; i < count; i++) {
+                const quotes = candles.slice(i * 10, i * 10 + 10);
+                payload.push({
+                    epoch: openTime - (count - 1 - i) * granularity,
+                    open: quotes[0],
+                    high: Math.max(...quotes),
+                    low: Math.min(...quotes),
+                    close: quotes[quotes.length - 1]
+                });
+            }
+
+            const last = payload[payload.length - 1];
+            const subscriptionId = request.subscribe
+                ? this.addSubscription(client, 'candles', request, { symbol, granularity, candle: { ...last } })
+                : null;
+            return this.push(client, request, 'candles', payload, subscriptionId, { pip_size: market.pipSize });
+        }
+
+        const step = Math.max(1, Math.round(this.tickInterval / 1000));
+        const prices = this.walkBack(market, count);
+        const times = prices.map((price, i) => now - (count - 1 - i) * step);
+
+        const subscriptionId = request.subscribe ? this.addSubscription(client, 'ticks', request, { symbol }) : null;
+        this.push(client, request, 'history', { prices, times }, subscriptionId, { pip_size: market.pipSize });
+    }
+
+    // Walk the market backwards from its current quote, returning oldest first
+    walkBack(market, count) {
+        const quotes = [];
+        let quote = market.quote;
+
+        for (let i = 0; i < count; i++) {
+            quotes.unshift(Number(quote.toFixed(market.pipSize)));
+            quote = Math.max(Math.pow(10, -market.pipSize),
+                quote - (Math.random() - 0.5) * 2 * quote * market.volatility * 0.001);
+        }
+
+        return quotes;
+    }
+
+    proposal(client, request) {
+        const contractType = request.contract_type;
+        const probability = this.winProbability(contractType, request.barrier);
+
+        if (probability === null) {
+            return this.sendError(client, request, 'ContractCreationFailure', `Contract type ${contractType} is not offered.`);
+        }
+        if (!(request.amount > 0)) {
+            return this.sendError(client, request, 'ContractCreationFailure', 'Please enter a stake amount.');
+        }
+
+        const market = this.getMarket(request.symbol);
+        const askPrice = Number(request.amount);
+        const payout = Number(((askPrice * (1 - this.houseEdge)) / probability).toFixed(2));
+        const id = this.newId();
+
+        const proposal = {
+            id,
+            account: client.account,
+            symbol: request.symbol,
+            contractType,
+            barrier: request.barrier,
+            askPrice,
+            payout,
+            duration: request.duration,
+            durationUnit: request.duration_unit || 't',
+            createdAt: Date.now()
+        };
+        this.proposals.set(id, proposal);
+
+        if (request.subscribe) {
+            this.addSubscription(client, 'proposal', request, { id });
+        }
+
+        this.push(client, request, 'proposal', {
+            id,
+            ask_price: askPrice,
+            payout,
+            spot: this.formatQuote(market),
+            spot_time: Math.floor(Date.now() / 1000),
+            date_start: Math.floor(Date.now() / 1000),
+            display_value: askPrice.toFixed(2),
+            longcode: `Win payout if ${request.symbol} ${contractType} after ${proposal.duration}${proposal.durationUnit}.`
+        }, request.subscribe ? id : null);
+    }
+
+    buy(client, request) {
+        const proposal = this.proposals.get(request.buy);
+
+        if (!proposal || proposal.account !== client.account) {
+            return this.sendError(client, request, 'InvalidContractProposal', 'Unknown contract proposal');
+        }
+        if (request.price !== undefined && Number(request.price) < proposal.askPrice) {
+            return this.sendError(client, request, 'PriceMoved', 'The underlying market has moved too much since you priced the contract.');
+        }
+
+        const account = client.account;
+        if (account.balance < proposal.askPrice) {
+            return this.sendError(client, request, 'InsufficientBalance', 'Your account balance is insufficient for this transaction.');
+        }
+
+        this.proposals.delete(proposal.id);
+        this.removeSubscription(client, proposal.id);
+
+        account.balance = Number((account.balance - proposal.askPrice).toFixed(2));
+
+        const contractId = this.newId();
+        const now = Math.floor(Date.now() / 1000);
+        const contract = {
+            contractId,
+            account,
+            symbol: proposal.symbol,
+            contractType: proposal.contractType,
+            barrier: proposal.barrier,
+            buyPrice: proposal.askPrice,
+            payout: proposal.payout,
+            purchaseTime: now,
+            tickCount: this.durationInTicks(proposal),
+            ticks: [],
+            isSold: false,
+            status: 'open',
+            profit: 0
+        };
+        this.contracts.set(contractId, contract);
+
+        const transactionId = this.recordTransaction(account, 'buy', -proposal.askPrice, contractId);
+
+        this.push(client, request, 'buy', {
+            contract_id: contractId,
+            transaction_id: transactionId,
+            buy_price: proposal.askPrice,
+            balance_after: account.balance,
+            payout: proposal.payout,
+            purchase_time: now,
+            start_time: now,
+            shortcode: `${proposal.contractType}_${proposal.symbol}_${proposal.payout}_${now}`,
+            longcode: `${proposal.contractType} on ${proposal.symbol}`
+        });
+
+        this.pushBalance(account);
+    }
+
+    openContract(client, request) {
+        const contract = this.contracts.get(request.contract_id);
+
+        if (!contract || contract.account !== client.account) {
+            return this.sendError(client, request, 'InvalidContractId', 'Contract not found.');
+        }
+
+        let subscriptionId = null;
+        if (request.subscribe && !contract.isSold) {
+            subscriptionId = this.addSubscription(client, 'proposal_open_contract', request, {
+                contractId: contract.contractId
+            });
+        }
+
+        this.push(client, request, 'proposal_open_contract', this.contractPayload(contract), subscriptionId);
+    }
+
+    forget(client, request) {
+        const removed = this.removeSubscription(client, request.forget);
+        this.push(client, request, 'forget', removed ? 1 : 0);
+    }
+
+    forgetAll(client, request) {
+        const types = [].concat(request.forget_all);
+        const removed = [];
+
+        for (const [id, subscription] of client.subscriptions) {
+            if (types.includes(subscription.type)) {
+                client.subscriptions.delete(id);
+                removed.push(id);
+            }
+        }
+
+        this.push(client, request, 'forget_all', removed);
+    }
+
+    // Advance every market that has a subscriber or an open contract
+    generateTicks() {
+        const symbols = new Set();
+
+        for (const client of this.clients) {
+            for (const subscription of client.subscriptions.values()) {
+                if (subscription.symbol) symbols.add(subscription.symbol);
+            }
+        }
+        for (const contract of this.contracts.values()) {
+            if (!contract.isSold) symbols.add(contract.symbol);
+        }
+
+        for (const symbol of symbols) {
+            const market = this.getMarket(symbol);
+            const step = (Math.random() - 0.5) * 2 * market.quote * market.volatility * 0.001;
+            market.quote = Math.max(Math.pow(10, -market.pipSize), market.quote + step);
+            market.tickId++;
+
+            this.publishTick(symbol, market);
+            this.advanceContracts(symbol, market);
+        }
+    }
+
+    publishTick(symbol, market) {
+        const tick = this.tickPayload(symbol, market);
+
+        for (const client of this.clients) {
+            for (const [id, subscription] of client.subscriptions) {
+                if (subscription.symbol !== symbol) continue;
+
+                if (subscription.type === 'ticks') {
+                    this.push(client, subscription.request, 'tick', tick, id);
+                } else if (subscription.type === 'candles') {
+                    this.push(client, subscription.request, 'ohlc', this.ohlcPayload(subscription, tick, id), id);
+                }
+            }
+        }
+    }
+
+    // Feed a tick to the open contracts on a symbol and settle expired ones
+    advanceContracts(symbol, market) {
+        const quote = Number(this.formatQuote(market));
+
+        for (const contract of this.contracts.values()) {
+            if (contract.isSold || contract.symbol !== symbol) continue;
+
+            contract.ticks.push({ epoch: Math.floor(Date.now() / 1000), quote });
+
+            if (this.isExpired(contract)) {
+                this.settle(contract, market);
+            }
+
+            this.pushContract(contract);
+        }
+    }
+
+    // Rise/fall needs an entry tick plus the duration; digits settle on the last tick of the duration
+    isExpired(contract) {
+        const needed = contract.contractType.startsWith('DIGIT') ? contract.tickCount : contract.tickCount + 1;
+        return contract.ticks.length >= needed;
+    }
+
+    settle(contract, market) {
+        const entry = contract.ticks[0].quote;
+        const exit = contract.ticks[contract.ticks.length - 1].quote;
+        const digit = Number(exit.toFixed(market.pipSize).slice(-1));
+        const barrier = Number(contract.barrier);
+
+        const outcomes = {
+            CALL: exit > entry,
+            PUT: exit < entry,
+            DIGITEVEN: digit % 2 === 0,
+            DIGITODD: digit % 2 === 1,
+            DIGITOVER: digit > barrier,
+            DIGITUNDER: digit < barrier,
+            DIGITMATCH: digit === barrier,
+            DIGITDIFF: digit !== barrier
+        };
+
+        const won = Boolean(outcomes[contract.contractType]);
+        const sellPrice = won ? contract.payout : 0;
+
+        contract.isSold = true;
+        contract.status = won ? 'won' : 'lost';
+        contract.sellPrice = sellPrice;
+        contract.profit = Number((sellPrice - contract.buyPrice).toFixed(2));
+        contract.exitTick = exit;
+        contract.sellTime = Math.floor(Date.now() / 1000);
+
+        const account = contract.account;
+        account.balance = Number((account.balance + sellPrice).toFixed(2));
+        this.recordTransaction(account, 'sell', sellPrice, contract.contractId);
+        this.pushBalance(account);
+    }
+
+    pushContract(contract) {
+        const payload = this.contractPayload(contract);
+
+        for (const client of this.clients) {
+            for (const [id, subscription] of client.subscriptions) {
+                if (subscription.type === 'proposal_open_contract' && subscription.contractId === contract.contractId) {
+                    this.push(client, subscription.request, 'proposal_open_contract', payload, id);
+
+                    // Deriv ends the stream once the contract is sold
+                    if (contract.isSold) client.subscriptions.delete(id);
+                }
+            }
+        }
+    }
+
+    pushBalance(account) {
+        const payload = this.balancePayload(account);
+
+        for (const client of this.clients) {
+            if (client.account !== account) continue;
+
+            for (const [id, subscription] of client.subscriptions) {
+                if (subscription.type === 'balance') {
+                    this.push(client, subscription.request, 'balance', payload, id);
+                }
+            }
+        }
+    }
+
+    contractPayload(contract) {
+        const entry = contract.ticks[0];
+        const current = contract.ticks[contract.ticks.length - 1];
+
+        return {
+            contract_id: contract.contractId,
+            contract_type: contract.contractType,
+            underlying: contract.symbol,
+            barrier: contract.barrier,
+            buy_price: contract.buyPrice,
+            payout: contract.payout,
+            date_start: contract.purchaseTime,
+            purchase_time: contract.purchaseTime,
+            entry_tick: entry?.quote,
+            entry_spot: entry?.quote,
+            current_spot: current?.quote,
+            tick_count: contract.tickCount,
+            tick_stream: contract.ticks,
+            exit_tick: contract.exitTick,
+            sell_price: contract.sellPrice,
+            sell_time: contract.sellTime,
+            is_expired: contract.isSold ? 1 : 0,
+            is_sold: contract.isSold ? 1 : 0,
+            status: contract.status,
+            profit: contract.profit,
+            currency: contract.account.currency
+        };
+    }
+
+    // Fold a tick into a candle subscription, starting a new candle when its period rolls over
+    ohlcPayload(subscription, tick, id) {
+        const { granularity, symbol } = subscription;
+        const openTime = tick.epoch - (tick.epoch % granularity);
+        const candle = subscription.candle;
+
+        if (candle.epoch !== openTime) {
+            subscription.candle = { epoch: openTime, open: tick.quote, high: tick.quote, low: tick.quote, close: tick.quote };
+        } else {
+            candle.high = Math.max(candle.high, tick.quote);
+            candle.low = Math.min(candle.low, tick.quote);
+            candle.close = tick.quote;
+        }
+
+        const current = subscription.candle;
+        const pipSize = this.getMarket(symbol).pipSize;
+
+        return {
+            id,
+            symbol,
+            granularity,
+            open_time: current.epoch,
+            epoch: tick.epoch,
+            open: current.open.toFixed(pipSize),
+            high: current.high.toFixed(pipSize),
+            low: current.low.toFixed(pipSize),
+            close: current.close.toFixed(pipSize)
+        };
+    }
+
+    tickPayload(symbol, market) {
+        const quote = Number(this.formatQuote(market));
+        const spread = Math.pow(10, -market.pipSize);
+
+        return {
+            symbol,
+            id: `${symbol}-${market.tickId}`,
+            epoch: Math.floor(Date.now() / 1000),
+            quote,
+            ask: Number((quote + spread).toFixed(market.pipSize)),
+            bid: Number((quote - spread).toFixed(market.pipSize)),
+            pip_size: market.pipSize
+        };
+    }
+
+    winProbability(contractType, barrier) {
+        const digit = Number(barrier);
+
+        switch (contractType) {
+            case 'CALL':
+            case 'PUT':
+            case 'DIGITEVEN':
+            case 'DIGITODD':
+                return 0.5;
+            case 'DIGITMATCH':
+                return 0.1;
+            case 'DIGITDIFF':
+                return 0.9;
+            case 'DIGITOVER':
+                return digit >= 0 && digit <= 8 ? (9 - digit) / 10 : null;
+            case 'DIGITUNDER':
+                return digit >= 1 && digit <= 9 ? digit / 10 : null;
+            default:
+                return null;
+        }
+    }
+
+    durationInTicks(proposal) {
+        if (proposal.durationUnit === 't') return Number(proposal.duration) || 1;
+
+        const seconds = Number(proposal.duration) * (DURATION_SECONDS[proposal.durationUnit] || 1);
+        return Math.max(1, Math.ceil((seconds * 1000) / this.tickInterval));
+    }
+
+    getMarket(symbol) {
+        if (!this.markets.has(symbol)) {
+            const config = SYMBOLS[symbol] || DEFAULT_SYMBOL;
+            this.markets.set(symbol, { ...config, tickId: 0 });
+        }
+        return this.markets.get(symbol);
+    }
+
+    formatQuote(market) {
+        return market.quote.toFixed(market.pipSize);
+    }
+
+    recordTransaction(account, action, amount, contractId) {
+        const transactionId = this.newId();
+
+        account.transactions.push({
+            transaction_id: transactionId,
+            contract_id: contractId,
+            action_type: action,
+            amount: Number(amount.toFixed(2)),
+            balance_after: account.balance,
+            transaction_time: Math.floor(Date.now() / 1000)
+        });
+
+        return transactionId;
+    }
+
+    addSubscription(client, type, request, fields = {}) {
+        const id = fields.id || this.newId();
+        client.subscriptions.set(String(id), { type, request, ...fields });
+        return String(id);
+    }
+
+    removeSubscription(client, id) {
+        return client.subscriptions.delete(String(id));
+    }
+
+    newId() {
+        return String(this.nextId++).padStart(8, '0');
+    }
+
+    // Send a message in Deriv's envelope, echoing the request it belongs to
+    push(client, request, msgType, payload, subscriptionId = null, extra = {}) {
+        if (client.ws.readyState !== WebSocket.OPEN) return;
+
+        const message = {
+            echo_req: request,
+            msg_type: msgType,
+            [msgType]: payload,
+            ...extra
+        };
+
+        if (request.req_id !== undefined) message.req_id = request.req_id;
+        if (request.passthrough !== undefined) message.passthrough = request.passthrough;
+        if (subscriptionId) message.subscription = { id: subscriptionId };
+
+        client.ws.send(JSON.stringify(message));
+    }
+
+    sendError(client, request, code, message) {
+        if (client.ws.readyState !== WebSocket.OPEN) return;
+
+        const response = {
+            echo_req: request,
+            msg_type: Object.keys(request)[0] || 'error',
+            error: { code, message }
+        };
+
+        if (request.req_id !== undefined) response.req_id = request.req_id;
+        if (request.passthrough !== undefined) response.passthrough = request.passthrough;
+
+        client.ws.send(JSON.stringify(response));
+    }
+}
+
+// Run standalone: `node mock/derivServer.js`
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const scenarios = process.env.MOCK_DERIV_SCENARIO
+        ? JSON.parse(readFileSync(process.env.MOCK_DERIV_SCENARIO, 'utf8'))
+        : [];
+
+    const server = new MockDerivServer({
+        port: Number(process.env.MOCK_DERIV_PORT) || 8765,
+        tickInterval: Number(process.env.MOCK_DERIV_TICK_INTERVAL) || 1000,
+        scenarios
+    });
+
+    server.start().then(() => {
+        console.log(`✅ Mock Deriv API running, set DERIV_WEBSOCKET_URL=${server.url}`);
+    });
+
+    process.on('SIGINT', () => server.stop().then(() => process.exit(0)));
+}
+
+export default MockDerivServer;
@@ -37,3 +37,16 @@ app.use(
 app.listen(5000, () => {
     console.log("✅ Reverse proxy running at http://localhost:5000");
 });
+
+// The trading API needs MongoDB, so without a database the proxy runs on its own.
+// It is loaded lazily so that a failure to start it doesn't take the proxy down.
+if (process.env.MONGODB_URI) {
+    import("./api.js")
+        .then(({ startApi }) => startApi(app))
+        .then((report) => {
+            console.log(`✅ Trading API started, recovered ${report.recovered.length} bots, ${report.failed.length} failed`);
+        })
+        .catch((error) => {
+            console.error("❌ Trading API failed to start:", error);
+        });
+}
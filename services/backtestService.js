@@ -0,0 +1,456 @@
+import { randomUUID } from 'crypto';
+import BotExecutor from './botExecutor';
+import { tickToBar } from './indicatorEngine';
+import { resolveIndicators } from './indicatorRegistry';
+import { symbolsFor } from './symbolGroups';
+import { SCRIPT_STRATEGY } from './strategySandbox';
+import { createContract, feedTick, settle, fairPayoutRatio } from './contractSimulator';
+import { info, error as _error } from '../utils/logger';
+
+// Replays tick history through a detached BotExecutor, so a backtest runs the same
+// indicators, strategies, money management and risk limits as a live bot, and
+// settles contracts the way Deriv does.
+
+const MAX_TICKS = 50000;
+const PAGE_SIZE = 5000; // most ticks Deriv returns per ticks_history call
+const BACKTEST_ID = 'backtest';
+
+class BacktestService {
+    constructor({ maxJobs = 50, jobTtl = 60 * 60 * 1000, commission = 0.05 } = {}) {
+        this.jobs = new Map(); // jobId -> job
+        this.queue = []; // jobs run one at a time
+        this.running = false;
+        this.maxJobs = maxJobs;
+        this.jobTtl = jobTtl; // finished jobs are kept this long for polling
+        this.commission = commission; // house edge used for default payouts
+    }
+
+    // Queue a backtest of a bot, returning the job to poll.
+    // options: { ticks, count, symbol, initialBalance, payout, configuration }
+    // A bot trading several symbols is tested on one: `symbol`, else its first.
+    createJob(bot, userId, options = {}) {
+        this.pruneJobs();
+
+        const job = {
+            id: randomUUID(),
+            botId: bot._id.toString(),
+            userId: String(userId),
+            status: 'queued',
+            progress: 0,
+            createdAt: new Date(),
+            startedAt: null,
+            finishedAt: null,
+            result: null,
+            error: null
+        };
+
+        // Run against a copy, with any configuration overrides being tried out
+        const source = typeof bot.toObject === 'function' ? bot.toObject() : bot;
+        const snapshot = {
+            ...source,
+            configuration: { ...source.configuration, ...(options.configuration || {}) }
+        };
+
+        this.jobs.set(job.id, job);
+        this.queue.push({ job, bot: snapshot, options });
+        this.processQueue();
+
+        return job;
+    }
+
+    // Get a job if it belongs to the user
+    getJob(jobId, userId) {
+        const job = this.jobs.get(jobId);
+        return job && job.userId === String(userId) ? job : null;
+    }
+
+    // Run queued jobs one after another
+    async processQueue() {
+        if (this.running) return;
+        this.running = true;
+
+        while (this.queue.length > 0) {
+            const { job, bot, options } = this.queue.shift();
+            job.status = 'running';
+            job.startedAt = new Date();
+
+            try {
+                job.result = await this.run(bot, options, job);
+                job.status = 'completed';
+                info(`Backtest ${job.id} for bot ${job.botId} completed: ${job.result.metrics.totalTrades} trades`);
+            } catch (error) {
+                _error(`Backtest ${job.id} for bot ${job.botId} failed:`, error);
+                job.status = 'failed';
+                job.error = error.message;
+            }
+
+            job.progress = 1;
+            job.finishedAt = new Date();
+        }
+
+        this.running = false;
+    }
+
+    // Drop expired jobs, then the oldest finished ones if there are still too many
+    pruneJobs() {
+        const now = Date.now();
+
+        for (const [id, job] of this.jobs) {
+            if (job.finishedAt && now - job.finishedAt.getTime() > this.jobTtl) {
+                this.jobs.delete(id);
+            }
+        }
+
+        for (const [id, job] of this.jobs) {
+            if (this.jobs.size < this.maxJobs) break;
+            if (job.finishedAt) this.jobs.delete(id);
+        }
+    }
+
+    // Replay ticks through the bot's strategy and return the results
+    async run(bot, options, job = { progress: 0 }) {
+        const config = bot.configuration;
+        const symbol = options.symbol || symbolsFor(config)[0];
+        const initialBalance = Number(options.initialBalance) || 1000;
+
+        const ticks = options.ticks
+            ? this.normalizeTicks(options.ticks, symbol)
+            : await this.loadTicks(symbol, Math.min(Number(options.count) || PAGE_SIZE, MAX_TICKS));
+
+        if (ticks.length < 2) {
+            throw new Error(`Not enough tick history for ${symbol} to backtest`);
+        }
+
+        // Same execution data a live bot keeps, with its one symbol's series alongside
+        const executor = new BotExecutor({ listen: false });
+        const botData = {
+            botId: BACKTEST_ID,
+            bot,
+            seriesKey: symbol,
+            indicators: resolveIndicators(config.indicators),
+            indicatorHistory: [],
+            tickBuffer: [],
+            candleBuffer: [],
+            bufferSize: config.historyCount || 100,
+            currentTrade: null,
+            dailyLoss: 0,
+            dailyProfit: 0,
+            riskDay: null,
+            timezone: executor.riskTimezone(bot),
+            sessionProfit: 0,
+            peakSessionProfit: 0,
+            consecutiveLosses: 0,
+            moneyState: executor.moneyManager.initialState()
+        };
+        executor.indicatorEngine.acquire(symbol, BACKTEST_ID, botData.indicators);
+
+        const run = {
+            balance: initialBalance,
+            peakBalance: initialBalance,
+            maxDrawdown: 0,
+            maxDrawdownPercent: 0,
+            trades: [],
+            equityCurve: [{ epoch: ticks[0].epoch, balance: initialBalance }],
+            candle: null,
+            stopReason: null
+        };
+
+        try {
+            await this.replay(executor, botData, run, ticks, options, job);
+        } finally {
+            executor.strategySandbox.release(BACKTEST_ID);
+        }
+
+        return this.summarize(symbol, ticks, initialBalance, run);
+    }
+
+    // Step through the ticks, trading as the live bot would
+    async replay(executor, botData, run, ticks, options, job) {
+        const bot = botData.bot;
+        const config = bot.configuration;
+        const symbol = botData.seriesKey;
+        const granularity = config.candleGranularity || null;
+        const maxScriptFailures = executor.strategySandbox.settingsFor(config.script).maxFailures;
+        let scriptFailures = 0;
+
+        for (let i = 0; i < ticks.length; i++) {
+            // Let the event loop breathe on long replays
+            if (i % 1000 === 0) {
+                job.progress = i / ticks.length;
+                await new Promise(resolve => setImmediate(resolve));
+            }
+
+            const tick = ticks[i];
+            executor.digitStats.record(symbol, tick);
+            executor.pushToBuffer(botData.tickBuffer, tick, botData.bufferSize);
+
+            if (botData.currentTrade) {
+                this.advanceContract(executor, botData, run, tick);
+            }
+
+            // Candle bots only act when a candle closes
+            let bar = tickToBar(tick);
+            if (granularity) {
+                bar = this.aggregateCandle(run, tick, granularity);
+                if (!bar) continue;
+                executor.pushToBuffer(botData.candleBuffer, bar, botData.bufferSize);
+            }
+
+            const indicators = executor.recordIndicators(BACKTEST_ID, botData, bar);
+            if (botData.currentTrade) continue;
+
+            const now = new Date(tick.epoch * 1000);
+            const breach = executor.checkRiskManagement(botData, bot, now);
+            if (breach) {
+                run.stopReason = { ...breach, epoch: tick.epoch };
+                break;
+            }
+
+            if (config.tradingHours?.enabled && !executor.isWithinTradingHours(config.tradingHours, now)) {
+                continue;
+            }
+
+            const currentTick = { symbol, epoch: bar.epoch, quote: bar.close };
+            let signal;
+            if (bot.type === SCRIPT_STRATEGY) {
+                try {
+                    signal = await executor.runScriptStrategy(BACKTEST_ID, botData, botData, indicators);
+                    scriptFailures = 0;
+                } catch (error) {
+                    // Same tolerance as a live bot, which pauses after this many errors in a row
+                    if (++scriptFailures >= maxScriptFailures) {
+                        run.stopReason = {
+                            reason: 'script_errors',
+                            message: `Strategy failed ${scriptFailures} times in a row: ${error.message}`,
+                            epoch: tick.epoch
+                        };
+                        break;
+                    }
+                    continue;
+                }
+            } else {
+                signal = executor.evaluateStrategy(bot, indicators, currentTick, botData.indicatorHistory);
+            }
+
+            if (signal && signal.action !== 'HOLD') {
+                const stake = executor.moneyManager.nextStake(config.moneyManagement, botData.moneyState, {
+                    baseStake: config.stake,
+                    balance: run.balance
+                });
+
+                if (stake > run.balance) {
+                    run.stopReason = { reason: 'insufficient_balance', message: 'Balance fell below the next stake', epoch: tick.epoch };
+                    break;
+                }
+
+                botData.currentTrade = this.openContract(signal, stake, config, tick, botData.moneyState.step, options.payout);
+            }
+        }
+    }
+
+    // Fetch up to `count` recent ticks, paging back through Deriv's history
+    async loadTicks(symbol, count) {
+        const pages = [];
+        let end = 'latest';
+        let total = 0;
+
+        while (total < count) {
+            const wanted = Math.min(PAGE_SIZE, count - total);
+            const page = await global.marketDataHub.fetchHistory(symbol, { count: wanted, end });
+            if (page.length === 0) break;
+
+            pages.unshift(page);
+            total += page.length;
+            end = page[0].epoch - 1;
+
+            if (page.length < wanted) break;
+        }
+
+        return pages.flat();
+    }
+
+    // Check and order imported ticks, dropping repeats
+    normalizeTicks(ticks, symbol) {
+        if (!Array.isArray(ticks)) {
+            throw new Error('ticks must be an array of { epoch, quote }');
+        }
+        if (ticks.length > MAX_TICKS) {
+            throw new Error(`A backtest can replay at most ${MAX_TICKS} ticks`);
+        }
+
+        const normalized = ticks.map((tick, i) => {
+            const epoch = Number(tick.epoch);
+            const quote = Number(tick.quote);
+            if (!Number.isFinite(epoch) || !Number.isFinite(quote)) {
+                throw new Error(`ticks[${i}] needs a numeric epoch and quote`);
+            }
+            return { symbol, epoch, quote, pipSize: tick.pipSize ?? tick.pip_size };
+        });
+
+        normalized.sort((a, b) => a.epoch - b.epoch);
+        return normalized.filter((tick, i) => i === 0 || tick.epoch > normalized[i - 1].epoch);
+    }
+
+    // Build candles from ticks, returning a candle once the next one opens
+    aggregateCandle(run, tick, granularity) {
+        const epoch = tick.epoch - (tick.epoch % granularity);
+        const quote = tick.quote;
+
+        if (run.candle && run.candle.epoch === epoch) {
+            run.candle.high = Math.max(run.candle.high, quote);
+            run.candle.low = Math.min(run.candle.low, quote);
+            run.candle.close = quote;
+            return null;
+        }
+
+        const closed = run.candle;
+        run.candle = { epoch, open: quote, high: quote, low: quote, close: quote };
+        return closed;
+    }
+
+    // Buy a simulated contract. Its entry spot is the next tick, as on Deriv.
+    openContract(signal, stake, config, tick, stakeStep, payout) {
+        return {
+            ...createContract({
+                contractType: signal.action,
+                barrier: signal.barrier,
+                stake,
+                payoutRatio: this.payoutRatio(signal.action, signal.barrier, payout),
+                duration: config.duration,
+                durationType: config.durationType
+            }),
+            rule: signal.rule,
+            stakeStep,
+            purchaseEpoch: tick.epoch
+        };
+    }
+
+    // Net profit per unit staked on a win. Defaults to the fair price less the
+    // house commission; `payout` overrides it with a number or a per-contract map.
+    payoutRatio(contractType, barrier, payout) {
+        if (typeof payout === 'number') return payout;
+        if (payout && typeof payout[contractType] === 'number') return payout[contractType];
+
+        return fairPayoutRatio(contractType, barrier, this.commission);
+    }
+
+    // Feed a tick to the open contract, settling it once it expires
+    advanceContract(executor, botData, run, tick) {
+        const contract = botData.currentTrade;
+        const exit = feedTick(contract, tick);
+
+        if (exit) {
+            this.settleContract(executor, botData, run, contract, exit);
+        }
+    }
+
+    // Pay out a finished contract and update the bot's running state the way a live close does
+    settleContract(executor, botData, run, contract, exit) {
+        const config = botData.bot.configuration;
+        const { won, exitDigit } = settle(contract, exit, executor.digitStats.getPipSize(exit.symbol) ?? 2);
+
+        const profitLoss = Math.round((won ? contract.stake * contract.payoutRatio : -contract.stake) * 100) / 100;
+        run.balance = Math.round((run.balance + profitLoss) * 100) / 100;
+
+        run.trades.push({
+            contractType: contract.contractType,
+            barrier: contract.barrier,
+            rule: contract.rule,
+            stake: contract.stake,
+            stakeStep: contract.stakeStep,
+            entryEpoch: contract.entry.epoch,
+            entryPrice: contract.entry.quote,
+            exitEpoch: exit.epoch,
+            exitPrice: exit.quote,
+            exitDigit,
+            status: won ? 'won' : 'lost',
+            profitLoss,
+            balance: run.balance
+        });
+        run.equityCurve.push({ epoch: exit.epoch, balance: run.balance });
+
+        run.peakBalance = Math.max(run.peakBalance, run.balance);
+        const drawdown = run.peakBalance - run.balance;
+        if (drawdown > run.maxDrawdown) {
+            run.maxDrawdown = drawdown;
+            run.maxDrawdownPercent = run.peakBalance > 0 ? (drawdown / run.peakBalance) * 100 : 0;
+        }
+
+        // Mirror BotExecutor.handleTradeClosed
+        executor.rollRiskDay(botData, new Date(exit.epoch * 1000));
+        if (profitLoss < 0) {
+            botData.dailyLoss += Math.abs(profitLoss);
+            botData.consecutiveLosses++;
+        } else if (profitLoss > 0) {
+            botData.consecutiveLosses = 0;
+        }
+        botData.sessionProfit += profitLoss;
+        botData.dailyProfit += profitLoss;
+        botData.peakSessionProfit = Math.max(botData.peakSessionProfit, botData.sessionProfit);
+        botData.moneyState = executor.moneyManager.applyOutcome(config.moneyManagement, botData.moneyState, {
+            stake: contract.stake,
+            profit: profitLoss,
+            baseStake: config.stake
+        });
+
+        botData.currentTrade = null;
+    }
+
+    // Results in the shape getPerformanceMetrics reports, plus the equity curve and drawdown
+    summarize(symbol, ticks, initialBalance, run) {
+        const { trades } = run;
+        const wins = trades.filter(trade => trade.status === 'won');
+        const losses = trades.filter(trade => trade.status === 'lost');
+
+        const totalProfit = wins.reduce((sum, trade) => sum + trade.profitLoss, 0);
+        const totalLoss = losses.reduce((sum, trade) => sum + Math.abs(trade.profitLoss), 0);
+        const netProfit = totalProfit - totalLoss;
+        const winRate = trades.length > 0 ? (wins.length / trades.length) * 100 : 0;
+        const profitFactor = totalLoss > 0 ? totalProfit / totalLoss : 0;
+
+        const byContractType = Object.values(trades.reduce((groups, trade) => {
+            const group = groups[trade.contractType] ||
+                (groups[trade.contractType] = { contractType: trade.contractType, trades: 0, wins: 0, profit: 0 });
+            group.trades++;
+            if (trade.status === 'won') group.wins++;
+            group.profit += trade.profitLoss;
+            return groups;
+        }, {})).map(group => ({ ...group, winRate: (group.wins / group.trades) * 100 }));
+
+        return {
+            symbol,
+            from: ticks[0].epoch,
+            to: ticks[ticks.length - 1].epoch,
+            ticks: ticks.length,
+            initialBalance,
+            finalBalance: run.balance,
+            returnPercent: ((run.balance - initialBalance) / initialBalance) * 100,
+            maxDrawdown: run.maxDrawdown,
+            maxDrawdownPercent: run.maxDrawdownPercent,
+            stopReason: run.stopReason,
+            metrics: {
+                totalTrades: trades.length,
+                wins: wins.length,
+                losses: losses.length,
+                winRate: winRate.toFixed(2),
+                totalProfit,
+                totalLoss,
+                netProfit,
+                profitFactor: profitFactor.toFixed(2),
+                avgWin: wins.length > 0 ? totalProfit / wins.length : 0,
+                avgLoss: losses.length > 0 ? totalLoss / losses.length : 0,
+                maxWin: trades.reduce((max, trade) => Math.max(max, trade.profitLoss), trades.length > 0 ? -Infinity : 0),
+                maxLoss: trades.reduce((min, trade) => Math.min(min, trade.profitLoss), trades.length > 0 ? Infinity : 0),
+                expectancy: trades.length > 0 ? netProfit / trades.length : 0
+            },
+            bySymbol: trades.length > 0
+                ? [{ symbol, trades: trades.length, wins: wins.length, winRate, profit: netProfit }]
+                : [],
+            byContractType,
+            trades,
+            equityCurve: run.equityCurve
+        };
+    }
+}
+
+export default BacktestService;
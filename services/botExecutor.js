@@ -1,70 +1,151 @@
-import { findById } from '../models/Bot';
-import { create, findOne, countDocuments } from '../models/Trade';
-import { findById as _findById, findByIdAndUpdate } from '../models/User';
+import { find as findBots, findById, findByIdAndUpdate as updateBotById, findOneAndUpdate as updateBotWhere } from '../models/Bot';
+import { create, countDocuments, find } from '../models/Trade';
+import { findById as _findById, findByIdAndUpdate, updateOne } from '../models/User';
 import { info, error as _error, warn } from '../utils/logger';
-
-class BotExecutor {
-    constructor() {
+import RuleEngine, { SNAPSHOT_HISTORY_SIZE } from './ruleEngine';
+import IndicatorEngine, { tickToBar } from './indicatorEngine';
+import { resolveIndicators } from './indicatorRegistry';
+import DigitStats from './digitStats';
+import MoneyManager from './moneyManagement';
+import TradingSchedule from './tradingSchedule';
+import { symbolsFor } from './symbolGroups';
+import StrategySandbox, { SCRIPT_STRATEGY } from './strategySandbox';
+import DerivAccountService from './derivAccountService';
+import { createContract, feedTick, settle } from './contractSimulator';
+import { Types } from 'mongoose';
+import EventEmitter from 'events';
+
+// Built-in strategy types that trade digit contracts on tick streams
+export const DIGIT_STRATEGIES = {
+    digit_even_odd: ['DIGITEVEN', 'DIGITODD'],
+    digit_over_under: ['DIGITOVER', 'DIGITUNDER'],
+    digit_matches_differs: ['DIGITMATCH', 'DIGITDIFF']
+};
+
+// Results that count towards a bot's profit and loss
+const SETTLED_STATUSES = ['won', 'lost', 'sold'];
+
+class BotExecutor extends EventEmitter {
+    // Pass { listen: false } for a detached executor that only evaluates
+    // strategies, e.g. to replay history in a backtest
+    constructor({ listen = true } = {}) {
+        super();
         this.activeBots = new Map(); // botId -> execution data
-        this.tickData = new Map(); // symbol -> tick history
-        this.setupEventListeners();
+        this.ruleEngine = new RuleEngine();
+        this.indicatorEngine = new IndicatorEngine(); // shared by bots on the same symbol and timeframe
+        this.snapshotHistorySize = SNAPSHOT_HISTORY_SIZE;
+        this.digitStats = new DigitStats(); // last-digit statistics per symbol, shared by every bot
+        this.moneyManager = new MoneyManager();
+        this.schedule = new TradingSchedule();
+        this.strategySandbox = new StrategySandbox(); // one sandbox per bot running its own code
+        this.recoveryTimeout = 30 * 1000; // how long a recovered bot waits for its account to authorize
+        if (listen) this.setupEventListeners();
     }
 
     // Setup WebSocket event listeners
     setupEventListeners() {
         const wsManager = global.derivWSManager;
 
-        // Listen for tick updates
-        wsManager.on('tick', ({ userId, tick }) => {
-            this.handleTickUpdate(userId, tick);
-        });
-
-        // Listen for contract updates
-        wsManager.on('contract_update', ({ userId, contract }) => {
-            this.handleContractUpdate(userId, contract);
+        // Listen for trades closing, however they closed
+        global.tradeLifecycle.on('closed', ({ trade }) => {
+            this.handleTradeClosed(trade);
         });
 
         // Listen for buy confirmations
-        wsManager.on('buy', ({ userId, buy }) => {
-            this.handleBuyConfirmation(userId, buy);
+        wsManager.on('buy', ({ userId, buy, passthrough }) => {
+            this.handleBuyConfirmation(userId, buy, passthrough);
         });
 
         // Listen for balance updates
-        wsManager.on('balance', ({ userId, balance }) => {
-            this.updateUserBalance(userId, balance);
+        wsManager.on('balance', ({ userId, loginid, balance }) => {
+            this.updateUserBalance(userId, loginid, balance);
+        });
+
+        // Pause bots while their account's connection is down
+        wsManager.on('connection_state', ({ userId, loginid, state }) => {
+            this.handleConnectionState(userId, loginid, state);
         });
     }
 
-    // Start bot execution
-    async startBot(botId, userId) {
+    // Start bot execution. With { recover: true } the bot carries on from its last
+    // checkpoint instead of starting a new session.
+    async startBot(botId, userId, { recover = false } = {}) {
         try {
             const bot = await findById(botId);
             if (!bot) throw new Error('Bot not found');
 
-            info(`Starting bot ${botId} for user ${userId}`);
+            // Trade on the bot's chosen account, or the user's default one
+            const loginid = bot.loginid || global.derivWSManager.getDefaultAccount(userId);
 
-            // Subscribe to tick data for bot's symbol
-            global.derivWSManager.subscribeTicks(userId, bot.configuration.symbol);
+            info(`Starting bot ${botId} for user ${userId} on ${loginid}`);
+
+            const indicators = resolveIndicators(bot.configuration.indicators);
+            const symbols = symbolsFor(bot.configuration);
+            if (symbols.length === 0) throw new Error('Bot has no symbols to trade');
+
+            // Daily limits follow the owner's calendar day
+            const timezone = this.riskTimezone(bot, await _findById(userId));
+
+            // Carry today's results over a restart so daily limits still hold
+            const today = await this.loadDailyResults(botId, timezone);
 
             // Initialize bot execution data
             this.activeBots.set(botId, {
                 botId,
                 userId,
+                loginid,
                 bot,
                 isRunning: true,
-                currentTrade: null,
-                dailyLoss: 0,
+                dailyLoss: today.loss,
+                dailyProfit: today.profit, // net P/L today, in the risk timezone
+                riskDay: today.day,
+                timezone,
+                sessionProfit: 0, // net P/L since this start
+                sessionStartedAt: new Date(),
+                peakSessionProfit: 0,
                 consecutiveLosses: 0,
                 lastTradeTime: null,
-                tickBuffer: []
+                moneyState: bot.moneyManagementState || this.moneyManager.initialState(), // stake progression
+                bufferSize: bot.configuration.historyCount || 100,
+                indicators, // [{ name, type, params, id }] this bot reads
+                markets: new Map() // symbol -> per-symbol execution data; risk and stakes above are shared
             });
 
-            // Initialize tick data storage
-            if (!this.tickData.has(bot.configuration.symbol)) {
-                this.tickData.set(bot.configuration.symbol, []);
+            const { candleGranularity } = bot.configuration;
+            const botData = this.activeBots.get(botId);
+            for (const symbol of symbols) {
+                botData.markets.set(symbol, this.createMarket(symbol, candleGranularity));
             }
 
-            info(`Bot ${botId} started successfully`);
+            // Pick up the last run's counters and contracts before any new trade can be placed
+            if (recover) {
+                await this.restoreExecutionState(botData);
+            }
+            await this.checkpoint(botData);
+
+            // Prefill buffers so indicators are ready from the first live update
+            for (const market of botData.markets.values()) {
+                await this.backfillHistory(botData, market);
+                if (this.activeBots.get(botId) !== botData) return; // Stopped while backfilling
+            }
+
+            for (const market of botData.markets.values()) {
+                this.indicatorEngine.acquire(market.seriesKey, botId, indicators, this.getBarHistory(botData, market));
+
+                // Subscribe to the shared candle or tick stream for the symbol
+                if (candleGranularity) {
+                    global.marketDataHub.subscribeCandles(market.symbol, candleGranularity, botId, (candle) => {
+                        this.handleCandleClose(botId, market.symbol, candle);
+                    });
+                } else {
+                    global.marketDataHub.subscribe(market.symbol, botId, (tick) => {
+                        this.handleTickUpdate(botId, market.symbol, tick);
+                    });
+                }
+            }
+
+            info(`Bot ${botId} started successfully on ${symbols.join(', ')}`);
+            return botData;
         } catch (error) {
             _error(`Error starting bot ${botId}:`, error);
             throw error;
@@ -79,8 +160,17 @@ class BotExecutor {
 
             info(`Stopping bot ${botId}`);
 
-            // Unsubscribe from tick data
-            global.derivWSManager.unsubscribeTicks(botData.userId, botData.bot.configuration.symbol);
+            // Unsubscribe from each symbol's shared candle or tick stream
+            const { candleGranularity } = botData.bot.configuration;
+            for (const market of botData.markets.values()) {
+                if (candleGranularity) {
+                    global.marketDataHub.unsubscribeCandles(market.symbol, candleGranularity, botId);
+                } else {
+                    global.marketDataHub.unsubscribe(market.symbol, botId);
+                }
+                this.indicatorEngine.release(market.seriesKey, botId);
+            }
+            this.strategySandbox.release(botId);
 
             // Remove from active bots
             this.activeBots.delete(botId);
@@ -92,11 +182,25 @@ class BotExecutor {
         }
     }
 
+    // Execution data a bot keeps for each symbol it trades
+    createMarket(symbol, candleGranularity) {
+        return {
+            symbol,
+            seriesKey: global.marketDataHub.streamKey(symbol, candleGranularity),
+            tickBuffer: [],
+            candleBuffer: [],
+            indicatorHistory: [], // indicator snapshots, oldest first, for rules that look back
+            quotedPayouts: new Map(), // contract -> payout per unit staked on its last live quote
+            currentTrade: null
+        };
+    }
+
     // Pause bot execution
     async pauseBot(botId) {
         const botData = this.activeBots.get(botId);
         if (botData) {
             botData.isRunning = false;
+            botData.pausedByConnection = false; // Stay paused when the connection recovers
             info(`Bot ${botId} paused`);
         }
     }
@@ -110,62 +214,130 @@ class BotExecutor {
         }
     }
 
+    // Pause a user's bots on an account when its connection drops, and resume them when it recovers
+    handleConnectionState(userId, loginid, state) {
+        for (const [botId, botData] of this.activeBots) {
+            if (botData.userId !== userId || botData.loginid !== loginid) continue;
+
+            if ((state === 'reconnecting' || state === 'failed') && botData.isRunning) {
+                botData.isRunning = false;
+                botData.pausedByConnection = true;
+                warn(`Bot ${botId} paused: connection ${state}`);
+            } else if (state === 'ready' && botData.pausedByConnection) {
+                botData.isRunning = true;
+                botData.pausedByConnection = false;
+                info(`Bot ${botId} resumed: connection ready`);
+            }
+        }
+    }
+
     // Handle tick updates
-    async handleTickUpdate(userId, tick) {
+    async handleTickUpdate(botId, symbol, tick) {
         try {
-            // Store tick data
-            const symbol = tick.symbol;
-            if (!this.tickData.has(symbol)) {
-                this.tickData.set(symbol, []);
-            }
+            const botData = this.activeBots.get(botId);
+            const market = botData?.markets.get(symbol);
+            if (!market) return;
 
-            const tickHistory = this.tickData.get(symbol);
-            tickHistory.push({
-                time: tick.epoch,
-                price: tick.quote,
-                symbol: tick.symbol
-            });
+            // Keep digit statistics current even while the bot is paused
+            this.digitStats.record(symbol, tick);
+            if (!botData.isRunning) return;
 
-            // Keep only last 1000 ticks
-            if (tickHistory.length > 1000) {
-                tickHistory.shift();
-            }
+            // Add tick to the symbol's buffer
+            this.pushToBuffer(market.tickBuffer, tick, botData.bufferSize);
 
-            // Process all active bots for this user and symbol
-            for (const [botId, botData] of this.activeBots) {
-                if (botData.userId === userId &&
-                    botData.bot.configuration.symbol === symbol &&
-                    botData.isRunning) {
-
-                    // Add tick to bot's buffer
-                    botData.tickBuffer.push(tick);
-                    if (botData.tickBuffer.length > 100) {
-                        botData.tickBuffer.shift();
-                    }
+            // Check if bot should place a trade
+            await this.evaluateTradeSignal(botId, botData, market, tick);
+        } catch (error) {
+            _error('Error handling tick update:', error);
+        }
+    }
 
-                    // Check if bot should place a trade
-                    await this.evaluateTradeSignal(botId, botData, tick);
-                }
+    // Handle closed candles for bots trading on a candle timeframe
+    async handleCandleClose(botId, symbol, candle) {
+        try {
+            const botData = this.activeBots.get(botId);
+            const market = botData?.markets.get(symbol);
+            if (!market || !botData.isRunning) return;
+
+            this.pushToBuffer(market.candleBuffer, candle, botData.bufferSize);
+
+            // Trade off the candle's close as if it were the latest tick
+            await this.evaluateTradeSignal(botId, botData, market, {
+                symbol,
+                epoch: candle.epoch,
+                quote: candle.close
+            }, candle);
+        } catch (error) {
+            _error('Error handling candle close:', error);
+        }
+    }
+
+    // Load recent ticks or candles into a symbol's buffer
+    async backfillHistory(botData, market) {
+        const { candleGranularity } = botData.bot.configuration;
+        const { symbol } = market;
+
+        try {
+            const history = await global.marketDataHub.fetchHistory(symbol, {
+                granularity: candleGranularity,
+                count: botData.bufferSize
+            });
+
+            const buffer = candleGranularity ? market.candleBuffer : market.tickBuffer;
+            for (const item of history) {
+                this.pushToBuffer(buffer, item, botData.bufferSize);
+                if (!candleGranularity) this.digitStats.record(symbol, item);
             }
+
+            info(`Backfilled ${history.length} ${candleGranularity ? 'candles' : 'ticks'} of ${symbol} for bot ${botData.botId}`);
         } catch (error) {
-            _error('Error handling tick update:', error);
+            // Not fatal: the bot fills its buffer from the live stream instead
+            warn(`Could not backfill ${symbol} history for bot ${botData.botId}: ${error.message}`);
+        }
+    }
+
+    // Append to a time-ordered buffer, skipping anything not newer than its last entry
+    pushToBuffer(buffer, item, size) {
+        const last = buffer[buffer.length - 1];
+        if (last && item.epoch <= last.epoch) return;
+
+        buffer.push(item);
+        if (buffer.length > size) {
+            buffer.shift();
+        }
+    }
+
+    // Bars a symbol's indicators run on, oldest first: candles, or ticks as flat bars
+    getBarHistory(botData, market) {
+        if (botData.bot.configuration.candleGranularity) {
+            return market.candleBuffer;
         }
+        return market.tickBuffer.map(tickToBar);
     }
 
-    // Evaluate if bot should place a trade
-    async evaluateTradeSignal(botId, botData, currentTick) {
+    // Evaluate if bot should place a trade on a symbol
+    async evaluateTradeSignal(botId, botData, market, currentTick, bar = tickToBar(currentTick)) {
         try {
-            // Don't trade if already in a trade
-            if (botData.currentTrade) return;
+            // Indicators follow every update, even while a trade is open
+            const indicators = this.recordIndicators(botId, market, bar);
+
+            // Don't trade if already in a trade on this symbol
+            if (market.currentTrade) return;
 
             const bot = botData.bot;
             const config = bot.configuration;
 
-            // Check risk management rules
-            if (!this.checkRiskManagement(botData, bot)) {
+            // Stop the bot once it hits any of its risk limits
+            const breach = this.checkRiskManagement(botData, bot);
+            if (breach) {
+                await this.haltBot(botId, botData, breach);
                 return;
             }
 
+            // Symbols share the bot's risk budget, so cap how many trade at once
+            const maxOpenTrades = config.riskManagement?.maxOpenTrades;
+            if (maxOpenTrades && this.openTrades(botData).length >= maxOpenTrades) return;
+
             // Check trading hours
             if (config.tradingHours?.enabled) {
                 if (!this.isWithinTradingHours(config.tradingHours)) {
@@ -173,174 +345,392 @@ class BotExecutor {
                 }
             }
 
-            // Calculate indicators
-            const indicators = this.calculateIndicators(botData.tickBuffer);
-
             // Evaluate strategy conditions
-            const signal = this.evaluateStrategy(bot, indicators, currentTick);
+            const signal = bot.type === SCRIPT_STRATEGY
+                ? await this.evaluateScriptStrategy(botId, botData, market, indicators)
+                : this.evaluateStrategy(bot, indicators, currentTick, market.indicatorHistory);
 
             if (signal && signal.action !== 'HOLD') {
-                await this.placeTrade(botId, botData, signal, currentTick, indicators);
+                await this.placeTrade(botId, botData, market, signal, currentTick, indicators);
             }
 
         } catch (error) {
             _error(`Error evaluating trade signal for bot ${botId}:`, error);
 
             // Log error to bot
-            bot.errorLog.push({
-                timestamp: new Date(),
-                error: error.message,
-                details: { currentTick }
-            });
-            await bot.save();
+            try {
+                await updateBotById(botId, {
+                    $push: {
+                        errorLog: {
+                            timestamp: new Date(),
+                            error: error.message,
+                            details: { currentTick }
+                        }
+                    }
+                });
+            } catch (logError) {
+                _error(`Error logging trade signal failure for bot ${botId}:`, logError);
+            }
         }
     }
 
-    // Check risk management rules
-    checkRiskManagement(botData, bot) {
-        const riskMgmt = bot.configuration.riskManagement;
+    // Advance a symbol's indicators by one bar and keep the snapshot for rules that look back
+    recordIndicators(botId, market, bar) {
+        const indicators = this.indicatorEngine.update(market.seriesKey, botId, bar);
 
-        // Check max daily loss
-        if (riskMgmt?.maxDailyLoss && botData.dailyLoss >= riskMgmt.maxDailyLoss) {
-            warn(`Bot ${bot._id} reached max daily loss limit`);
-            return false;
+        if (indicators) {
+            market.indicatorHistory.push(indicators);
+            if (market.indicatorHistory.length > this.snapshotHistorySize) {
+                market.indicatorHistory.shift();
+            }
         }
 
-        // Check consecutive losses
-        if (riskMgmt?.maxConsecutiveLosses &&
-            botData.consecutiveLosses >= riskMgmt.maxConsecutiveLosses) {
-            warn(`Bot ${bot._id} reached max consecutive losses`);
-            return false;
+        return indicators;
+    }
+
+    // Check risk management rules, returning the limit the bot has hit, if any.
+    // Limits live in configuration.riskManagement:
+    //   maxDailyLoss, maxConsecutiveLosses,
+    //   sessionTakeProfit, sessionStopLoss, dailyTakeProfit, dailyStopLoss,
+    //   trailingProfitLock: { activateAt, trailBy }  stop once session profit has
+    //     reached activateAt and then falls trailBy below its peak
+    // maxOpenTrades, which caps trades open at once across a bot's symbols, is
+    // checked before each trade instead.
+    checkRiskManagement(botData, bot, now = new Date()) {
+        const riskMgmt = bot.configuration.riskManagement;
+        if (!riskMgmt) return null;
+
+        this.rollRiskDay(botData, now);
+
+        const { sessionProfit, peakSessionProfit, dailyProfit } = botData;
+        const limits = [
+            ['max_daily_loss', riskMgmt.maxDailyLoss, botData.dailyLoss >= riskMgmt.maxDailyLoss,
+                `Reached max daily loss of ${riskMgmt.maxDailyLoss}`],
+            ['max_consecutive_losses', riskMgmt.maxConsecutiveLosses, botData.consecutiveLosses >= riskMgmt.maxConsecutiveLosses,
+                `Reached ${riskMgmt.maxConsecutiveLosses} consecutive losses`],
+            ['session_take_profit', riskMgmt.sessionTakeProfit, sessionProfit >= riskMgmt.sessionTakeProfit,
+                `Session profit reached take-profit of ${riskMgmt.sessionTakeProfit}`],
+            ['session_stop_loss', riskMgmt.sessionStopLoss, -sessionProfit >= riskMgmt.sessionStopLoss,
+                `Session loss reached stop-loss of ${riskMgmt.sessionStopLoss}`],
+            ['daily_take_profit', riskMgmt.dailyTakeProfit, dailyProfit >= riskMgmt.dailyTakeProfit,
+                `Daily profit reached take-profit of ${riskMgmt.dailyTakeProfit}`],
+            ['daily_stop_loss', riskMgmt.dailyStopLoss, -dailyProfit >= riskMgmt.dailyStopLoss,
+                `Daily loss reached stop-loss of ${riskMgmt.dailyStopLoss}`]
+        ];
+
+        for (const [reason, limit, hit, message] of limits) {
+            if (limit && hit) {
+                return { reason, message, details: { limit, sessionProfit, dailyProfit, dailyLoss: botData.dailyLoss } };
+            }
         }
 
-        return true;
+        // Trailing lock: once profit has run up far enough, don't give back more than trailBy
+        const lock = riskMgmt.trailingProfitLock;
+        if (lock?.trailBy && peakSessionProfit >= (lock.activateAt || 0) && peakSessionProfit > 0 &&
+            peakSessionProfit - sessionProfit >= lock.trailBy) {
+            return {
+                reason: 'trailing_profit_lock',
+                message: `Session profit fell ${lock.trailBy} from its peak of ${peakSessionProfit}`,
+                details: { ...lock, peakSessionProfit, sessionProfit }
+            };
+        }
+
+        return null;
     }
 
-    // Check if within trading hours
-    isWithinTradingHours(tradingHours) {
-        const now = new Date();
-        const currentTime = now.getHours() * 60 + now.getMinutes();
+    // Start daily counters over at local midnight in the bot's risk timezone
+    rollRiskDay(botData, now = new Date()) {
+        const day = this.schedule.localDate(botData.timezone || 'UTC', now);
+        if (botData.riskDay === day) return;
+
+        botData.riskDay = day;
+        botData.dailyLoss = 0;
+        botData.dailyProfit = 0;
+    }
 
-        const [startHour, startMin] = tradingHours.start.split(':').map(Number);
-        const [endHour, endMin] = tradingHours.end.split(':').map(Number);
+    // Sum a bot's settled trades so far today, in the given timezone
+    async loadDailyResults(botId, timezone = 'UTC') {
+        const day = this.schedule.localDate(timezone);
+        const results = { day, profit: 0, loss: 0 };
+
+        try {
+            const trades = await find({
+                botId,
+                status: { $in: SETTLED_STATUSES },
+                exitTime: { $gte: this.schedule.startOfDay(timezone, day) }
+            }).select('profitLoss');
 
-        const startTime = startHour * 60 + startMin;
-        const endTime = endHour * 60 + endMin;
+            for (const trade of trades) {
+                results.profit += trade.profitLoss || 0;
+                if (trade.profitLoss < 0) results.loss += Math.abs(trade.profitLoss);
+            }
+        } catch (error) {
+            warn(`Could not load today's results for bot ${botId}: ${error.message}`);
+        }
 
-        return currentTime >= startTime && currentTime <= endTime;
+        return results;
     }
 
-    // Calculate technical indicators
-    calculateIndicators(tickBuffer) {
-        if (tickBuffer.length < 20) return null;
+    // Stop a bot that hit a risk limit, record why, and tell listeners
+    async haltBot(botId, botData, { reason, message, details }) {
+        if (botData.halting) return;
+        botData.halting = true;
 
-        const prices = tickBuffer.map(t => t.quote);
-        const closePrices = prices.slice(-50);
+        warn(`Stopping bot ${botId}: ${message}`);
 
-        return {
-            currentPrice: prices[prices.length - 1],
-            sma20: this.calculateSMA(closePrices, 20),
-            ema12: this.calculateEMA(closePrices, 12),
-            ema26: this.calculateEMA(closePrices, 26),
-            rsi: this.calculateRSI(closePrices, 14),
-            macd: this.calculateMACD(closePrices),
-            bollinger: this.calculateBollingerBands(closePrices, 20, 2)
-        };
+        await this.stopBot(botId);
+
+        const stoppedAt = new Date();
+        try {
+            await updateBotById(botId, {
+                status: 'stopped',
+                stopReason: { reason, message, at: stoppedAt },
+                $push: {
+                    errorLog: {
+                        timestamp: stoppedAt,
+                        error: message,
+                        details: { reason, ...details }
+                    }
+                }
+            });
+        } catch (error) {
+            _error(`Error recording stop reason for bot ${botId}:`, error);
+        }
+
+        this.emit('bot_stopped', {
+            botId,
+            userId: botData.userId,
+            reason,
+            message,
+            details,
+            at: stoppedAt
+        });
     }
 
-    // Simple Moving Average
-    calculateSMA(prices, period) {
-        if (prices.length < period) return null;
-        const slice = prices.slice(-period);
-        return slice.reduce((sum, price) => sum + price, 0) / period;
+    // Save the counters a restart would otherwise lose. Today's results and the stake
+    // progression are already in the database.
+    async checkpoint(botData) {
+        try {
+            await updateBotById(botData.botId, {
+                executionState: {
+                    consecutiveLosses: botData.consecutiveLosses,
+                    sessionProfit: botData.sessionProfit,
+                    peakSessionProfit: botData.peakSessionProfit,
+                    sessionStartedAt: botData.sessionStartedAt,
+                    lastTradeTime: botData.lastTradeTime,
+                    openTradeIds: this.openTrades(botData).map(trade => trade._id),
+                    scriptState: botData.scriptState,
+                    savedAt: new Date()
+                }
+            });
+        } catch (error) {
+            _error(`Error checkpointing bot ${botData.botId}:`, error);
+        }
     }
 
-    // Exponential Moving Average
-    calculateEMA(prices, period) {
-        if (prices.length < period) return null;
+    // Restore a bot's checkpointed counters and take back the trades it left unsettled
+    async restoreExecutionState(botData) {
+        const saved = botData.bot.executionState;
+        if (saved) {
+            botData.consecutiveLosses = saved.consecutiveLosses || 0;
+            botData.sessionProfit = saved.sessionProfit || 0;
+            botData.peakSessionProfit = saved.peakSessionProfit || 0;
+            botData.sessionStartedAt = saved.sessionStartedAt || botData.sessionStartedAt;
+            botData.lastTradeTime = saved.lastTradeTime || null;
+            botData.scriptState = saved.scriptState;
+        }
 
-        const multiplier = 2 / (period + 1);
-        let ema = prices[0];
+        const recovered = { reattached: 0, pending: 0, cancelled: 0 };
+        const trades = await find({ botId: botData.botId, status: { $in: ['pending', 'open'] } })
+            .sort({ createdAt: -1 });
+        const unconfirmed = [];
+
+        for (const trade of trades) {
+            if (trade.status === 'open' && trade.contractId) {
+                this.reattachContract(botData, trade.contractId);
+                recovered.reattached++;
+            } else if (trade.status === 'open') {
+                // A paper contract's ticks were lost with the process, so it can't be settled fairly
+                await global.tradeLifecycle.transition(trade, 'cancelled', { reason: 'interrupted by restart' });
+                recovered.cancelled++;
+                continue;
+            } else {
+                // Never confirmed: asked about below, once every symbol holds its lock
+                unconfirmed.push(trade);
+            }
 
-        for (let i = 1; i < prices.length; i++) {
-            ema = (prices[i] - ema) * multiplier + ema;
+            // Each symbol waits on its newest unsettled trade
+            const market = botData.markets.get(trade.symbol);
+            if (market && !market.currentTrade) {
+                market.currentTrade = trade;
+            }
         }
 
-        return ema;
+        // Nothing is in flight after a restart, so Deriv knows whether each buy went through.
+        // Closing a trade releases its symbol; one Deriv can't be asked about waits for the sweeper.
+        // The lifecycle follows the contracts it opens, so they need no re-attaching here.
+        for (const trade of unconfirmed) {
+            const resolved = await global.tradeLifecycle.reconcilePendingTrade(trade);
+            if (!resolved) {
+                recovered.pending++;
+            } else if (resolved.status === 'open') {
+                recovered.reattached++;
+            }
+        }
+
+        botData.recovered = recovered;
+        return recovered;
     }
 
-    // Relative Strength Index
-    calculateRSI(prices, period = 14) {
-        if (prices.length < period + 1) return null;
+    // Follow a recovered contract again. Deriv replies with its current state,
+    // settling it if it expired meanwhile.
+    reattachContract(botData, contractId) {
+        global.derivWSManager.subscribeToContract(botData.userId, contractId, { botId: botData.botId }, botData.loginid)
+            .catch(error => _error(`Error re-attaching to contract ${contractId}:`, error));
+    }
 
-        let gains = 0;
-        let losses = 0;
+    // Resume every bot the last run left active: reconnect its owner's accounts, restart
+    // it from its checkpoint and re-attach its open contracts. Call once on boot.
+    async recoverBots() {
+        const report = { recovered: [], failed: [], reattachedTrades: 0, cancelledTrades: 0 };
 
-        for (let i = prices.length - period; i < prices.length; i++) {
-            const change = prices[i] - prices[i - 1];
-            if (change > 0) gains += change;
-            else losses -= change;
+        let bots;
+        try {
+            bots = await findBots({ status: 'active' });
+        } catch (error) {
+            _error('Error loading bots to recover:', error);
+            return report;
         }
 
-        const avgGain = gains / period;
-        const avgLoss = losses / period;
+        const byUser = new Map();
+        for (const bot of bots) {
+            const userId = bot.userId.toString();
+            if (!byUser.has(userId)) byUser.set(userId, []);
+            byUser.get(userId).push(bot);
+        }
 
-        if (avgLoss === 0) return 100;
-        const rs = avgGain / avgLoss;
-        return 100 - (100 / (1 + rs));
-    }
+        const accountService = new DerivAccountService({ listen: false });
 
-    // MACD
-    calculateMACD(prices) {
-        const ema12 = this.calculateEMA(prices, 12);
-        const ema26 = this.calculateEMA(prices, 26);
+        for (const [userId, userBots] of byUser) {
+            const user = await _findById(userId);
+            if (user) {
+                await accountService.connectStoredAccounts(user);
+            }
 
-        if (!ema12 || !ema26) return null;
+            for (const bot of userBots) {
+                const botId = bot._id.toString();
+                const loginid = bot.loginid || global.derivWSManager.getDefaultAccount(userId);
 
-        const macdLine = ema12 - ema26;
+                try {
+                    if (!user) throw new Error('Owner no longer exists');
+                    if (!global.derivWSManager.getConnection(userId, loginid)) {
+                        throw new Error(`No usable Deriv token for ${loginid || 'any account'}`);
+                    }
 
-        return {
-            macd: macdLine,
-            signal: macdLine, // Simplified, should calculate EMA of MACD
-            histogram: 0
-        };
+                    await this.waitForAuthorization(userId, loginid);
+
+                    const botData = await this.startBot(botId, userId, { recover: true });
+                    if (!botData) continue;
+
+                    // Hold off trading until the account is ready; the connection listener resumes it
+                    if (!global.derivWSManager.isConnected(userId, loginid)) {
+                        botData.isRunning = false;
+                        botData.pausedByConnection = true;
+                    }
+
+                    report.recovered.push({ botId, userId, loginid, ...botData.recovered });
+                    report.reattachedTrades += botData.recovered.reattached;
+                    report.cancelledTrades += botData.recovered.cancelled;
+                } catch (error) {
+                    report.failed.push({ botId, userId, loginid, message: error.message });
+                    await this.haltBot(botId, { userId }, {
+                        reason: 'recovery_failed',
+                        message: `Could not resume after restart: ${error.message}`,
+                        details: { loginid }
+                    });
+                }
+            }
+        }
+
+        info(`Bot recovery: ${report.recovered.length} of ${bots.length} bots resumed, ` +
+            `${report.reattachedTrades} contracts re-attached, ${report.cancelledTrades} paper trades cancelled, ` +
+            `${report.failed.length} failed`);
+        for (const { botId, message } of report.failed) {
+            warn(`Bot ${botId} not recovered: ${message}`);
+        }
+
+        return report;
     }
 
-    // Bollinger Bands
-    calculateBollingerBands(prices, period, stdDev) {
-        const sma = this.calculateSMA(prices, period);
-        if (!sma) return null;
+    // Wait for an account to authorize. Rejects if Deriv refuses the token; gives up
+    // quietly after recoveryTimeout or a dropped socket and leaves the rest to the reconnect logic.
+    async waitForAuthorization(userId, loginid) {
+        try {
+            return await global.derivWSManager.whenAuthorized(userId, loginid, this.recoveryTimeout);
+        } catch (error) {
+            if (error.code === 'NotAuthorized') return null;
+            throw error;
+        }
+    }
 
-        const slice = prices.slice(-period);
-        const variance = slice.reduce((sum, price) => sum + Math.pow(price - sma, 2), 0) / period;
-        const standardDeviation = Math.sqrt(variance);
+    // Check if within trading hours
+    isWithinTradingHours(tradingHours, now = new Date()) {
+        return this.schedule.isOpen(tradingHours, now);
+    }
+
+    // Whether a bot's schedule lets it trade now, and when it next may
+    getScheduleStatus(bot, now = new Date()) {
+        const tradingHours = bot.configuration?.tradingHours;
+        if (!tradingHours?.enabled) {
+            return { enabled: false, isOpen: true, nextTradingTime: now };
+        }
 
+        const nextTradingTime = this.schedule.nextOpen(tradingHours, now);
         return {
-            upper: sma + (standardDeviation * stdDev),
-            middle: sma,
-            lower: sma - (standardDeviation * stdDev)
+            enabled: true,
+            timezone: this.schedule.timezoneOf(tradingHours),
+            isOpen: nextTradingTime === now,
+            nextTradingTime
         };
     }
 
-    // Evaluate trading strategy
-    evaluateStrategy(bot, indicators, currentTick) {
-        if (!indicators) return { action: 'HOLD' };
+    // Timezone whose midnight resets a bot's daily counters: the owner's, else the
+    // bot's schedule's, else UTC
+    riskTimezone(bot, user) {
+        const candidates = [user?.timezone, bot.configuration.tradingHours?.timezone];
+        return candidates.find(timezone => this.schedule.isValidTimezone(timezone)) || 'UTC';
+    }
 
+    // Evaluate trading strategy
+    evaluateStrategy(bot, indicators, currentTick, indicatorHistory = [indicators]) {
         const strategy = bot.configuration.strategy;
         const type = bot.type;
 
+        // Digit strategies read last-digit statistics rather than indicators
+        if (DIGIT_STRATEGIES[type]) {
+            const signal = this.digitStrategy(type, bot.configuration.digits, currentTick.symbol);
+            return indicators ? this.applyStrategyFilters(signal, strategy, indicatorHistory) : signal;
+        }
+
+        if (!indicators) return { action: 'HOLD' };
+
         // Simple strategy based on bot type
+        let signal = null;
         if (type === 'scalper' || type === 'elite_speedbot') {
-            return this.scalperStrategy(indicators);
+            signal = this.scalperStrategy(indicators);
         } else if (type === 'trend_follower') {
-            return this.trendFollowerStrategy(indicators);
+            signal = this.trendFollowerStrategy(indicators);
         } else if (type === 'swing') {
-            return this.swingStrategy(indicators);
+            signal = this.swingStrategy(indicators);
+        }
+
+        if (signal) {
+            return this.applyStrategyFilters(signal, strategy, indicatorHistory);
         }
 
         // Custom strategy
         if (strategy?.entryConditions) {
-            return this.evaluateCustomStrategy(strategy, indicators);
+            return this.evaluateCustomStrategy(strategy, indicatorHistory);
         }
 
         return { action: 'HOLD' };
@@ -403,187 +793,577 @@ class BotExecutor {
         return { action: 'HOLD' };
     }
 
-    // Evaluate custom strategy
-    evaluateCustomStrategy(strategy, indicators) {
-        // This would be more complex in production
-        // For now, return HOLD
-        return { action: 'HOLD' };
+    // Digit strategies: bet on a parity streak reversing, or on recent digit frequencies
+    // holding, with settings from configuration.digits
+    digitStrategy(type, settings = {}, symbol) {
+        const { sample = 100, streakLength = 4, barrier = 4, edge = 0.05, mode = 'differ' } = settings;
+
+        const stats = this.digitStats.getStats(symbol, { sample });
+        if (!stats || stats.sampleSize < sample) return { action: 'HOLD' };
+
+        if (type === 'digit_even_odd') {
+            // After a run of one parity, take the other
+            const { parity, length } = stats.parityStreak;
+            if (length < streakLength) return { action: 'HOLD' };
+
+            return { action: parity === 'even' ? 'DIGITODD' : 'DIGITEVEN', confidence: 0.55 };
+        }
+
+        if (type === 'digit_over_under') {
+            // Follow whichever side of the barrier is landing more often than chance
+            const { over, under } = this.digitStats.getBarrierStats(symbol, barrier, { sample });
+
+            if (over - (9 - barrier) / 10 >= edge) {
+                return { action: 'DIGITOVER', barrier, confidence: 0.55 };
+            }
+            if (under - barrier / 10 >= edge) {
+                return { action: 'DIGITUNDER', barrier, confidence: 0.55 };
+            }
+            return { action: 'HOLD' };
+        }
+
+        // digit_matches_differs: differ from the coldest digit, or match the hottest
+        if (mode === 'match') {
+            const digit = settings.prediction ?? stats.mostFrequent;
+            if (stats.frequency[digit] - 0.1 < edge) return { action: 'HOLD' };
+
+            return { action: 'DIGITMATCH', barrier: digit, confidence: 0.3 };
+        }
+
+        const digit = settings.prediction ?? stats.leastFrequent;
+        if (0.1 - stats.frequency[digit] < edge) return { action: 'HOLD' };
+
+        return { action: 'DIGITDIFF', barrier: digit, confidence: 0.9 };
+    }
+
+    // Get a symbol's last-digit statistics
+    getDigitStats(symbol, options) {
+        return this.digitStats.getStats(symbol, options);
+    }
+
+    // Hold a built-in strategy's signal unless the bot's extra filters also pass,
+    // e.g. strategy.filters: ["adx.adx > 25"]
+    applyStrategyFilters(signal, strategy, indicatorHistory) {
+        if (signal.action === 'HOLD' || !strategy?.filters?.length) return signal;
+
+        const { passed, fired } = this.ruleEngine.check(strategy.filters, indicatorHistory);
+        if (!passed) return { action: 'HOLD' };
+
+        return { ...signal, fired };
+    }
+
+    // Evaluate custom strategy rules against recent indicator snapshots
+    evaluateCustomStrategy(strategy, indicatorHistory) {
+        const signal = this.ruleEngine.evaluate(strategy, indicatorHistory);
+
+        if (signal.action !== 'HOLD') {
+            info(`Rule "${signal.rule}" fired: ${signal.fired.join(', ')}`);
+        }
+
+        return signal;
+    }
+
+    // Run a bot's own strategy code on a symbol. Errors go to the bot's error log,
+    // and enough of them in a row pause the bot.
+    async evaluateScriptStrategy(botId, botData, market, indicators) {
+        // Ticks that arrive while the code is still deciding are skipped, so one
+        // decision can't race another into a second trade
+        if (market.scriptPending) return { action: 'HOLD' };
+
+        market.scriptPending = true;
+        try {
+            const signal = await this.runScriptStrategy(botId, botData, market, indicators);
+            botData.scriptFailures = 0;
+            return signal;
+        } catch (error) {
+            // A bot stopped mid-call fails its call; that's not the script's fault
+            if (this.activeBots.get(botId) === botData) {
+                await this.recordScriptFailure(botId, botData, market, error);
+            }
+            return { action: 'HOLD' };
+        } finally {
+            market.scriptPending = false;
+        }
+    }
+
+    // Ask a bot's sandbox for a signal from the symbol's recent ticks (candles for
+    // candle bots) and latest indicators, keeping the state the code leaves
+    async runScriptStrategy(key, botData, market, indicators) {
+        if (!indicators) return { action: 'HOLD' };
+
+        const config = botData.bot.configuration;
+        const ticks = config.candleGranularity ? market.candleBuffer : market.tickBuffer;
+
+        const signal = await this.strategySandbox.evaluate(key, config.script, ticks, indicators, {
+            state: botData.scriptState
+        });
+        botData.scriptState = this.strategySandbox.getState(key);
+        return signal;
+    }
+
+    // Log a strategy script error to the bot, pausing the bot once they keep coming
+    async recordScriptFailure(botId, botData, market, error) {
+        const { maxFailures } = this.strategySandbox.settingsFor(botData.bot.configuration.script);
+        botData.scriptFailures = (botData.scriptFailures || 0) + 1;
+
+        warn(`Strategy script for bot ${botId} failed on ${market.symbol} (${botData.scriptFailures}/${maxFailures}): ${error.message}`);
+
+        const at = new Date();
+        try {
+            await updateBotById(botId, {
+                $push: {
+                    errorLog: {
+                        timestamp: at,
+                        error: error.message,
+                        details: { source: 'script', symbol: market.symbol, failures: botData.scriptFailures }
+                    }
+                }
+            });
+        } catch (logError) {
+            _error(`Error logging script failure for bot ${botId}:`, logError);
+        }
+
+        if (botData.scriptFailures < maxFailures || !botData.isRunning || this.activeBots.get(botId) !== botData) return;
+
+        const message = `Strategy script failed ${botData.scriptFailures} times in a row`;
+        await this.pauseBot(botId);
+        this.strategySandbox.release(botId);
+
+        try {
+            await updateBotById(botId, {
+                status: 'paused',
+                stopReason: { reason: 'script_errors', message, at }
+            });
+        } catch (updateError) {
+            _error(`Error recording pause for bot ${botId}:`, updateError);
+        }
+
+        this.emit('bot_paused', {
+            botId,
+            userId: botData.userId,
+            reason: 'script_errors',
+            message,
+            details: { lastError: error.message },
+            at
+        });
     }
 
-    // Place a trade
-    async placeTrade(botId, botData, signal, currentTick, indicators) {
+    // Place a trade on a symbol
+    async placeTrade(botId, botData, market, signal, currentTick, indicators) {
         try {
             const bot = botData.bot;
             const config = bot.configuration;
 
-            info(`Bot ${botId} placing ${signal.action} trade on ${config.symbol}`);
+            // Size the stake from the bot's money management progression
+            const balance = global.derivWSManager.getAccounts(botData.userId)
+                .find(account => account.loginid === botData.loginid)?.balance;
+            const stake = this.moneyManager.nextStake(config.moneyManagement, botData.moneyState, {
+                baseStake: config.stake,
+                balance
+            });
+
+            info(`Bot ${botId} placing ${signal.action} trade on ${market.symbol} at ${stake}`);
+
+            // Hold the symbol before the first await so the next tick can't trade it too
+            const tradeId = new Types.ObjectId();
+            market.currentTrade = { _id: tradeId, status: 'pending' };
 
             // Create trade record
-            const trade = await create({
-                userId: botData.userId,
-                botId: bot._id,
-                symbol: config.symbol,
-                contractType: signal.action,
-                entryPrice: currentTick.quote,
-                stake: config.stake,
-                duration: config.duration,
-                durationType: config.durationType,
-                status: 'pending',
-                entryTime: new Date(),
-                indicators: {
-                    rsi: indicators?.rsi,
-                    macd: indicators?.macd,
-                    ema: indicators?.ema12,
-                    sma: indicators?.sma20,
-                    bollinger: indicators?.bollinger
-                },
-                metadata: {
-                    strategy: bot.type
+            let trade;
+            try {
+                trade = await create({
+                    _id: tradeId,
+                    userId: botData.userId,
+                    loginid: botData.loginid,
+                    botId: bot._id,
+                    symbol: market.symbol,
+                    contractType: signal.action,
+                    barrier: signal.barrier,
+                    entryPrice: currentTick.quote,
+                    stake,
+                    duration: config.duration,
+                    durationType: config.durationType,
+                    isPaper: config.mode === 'paper',
+                    status: 'pending',
+                    statusChangedAt: new Date(),
+                    statusHistory: [{ status: 'pending', at: new Date() }],
+                    entryTime: new Date(),
+                    indicators: {
+                        rsi: indicators?.rsi,
+                        macd: indicators?.macd,
+                        ema: indicators?.ema12,
+                        sma: indicators?.sma20,
+                        bollinger: indicators?.bollinger
+                    },
+                    metadata: {
+                        strategy: bot.type,
+                        rule: signal.rule,
+                        firedRules: signal.fired,
+                        moneyManagement: config.moneyManagement?.mode || 'fixed',
+                        stakeStep: botData.moneyState.step
+                    }
+                });
+            } catch (error) {
+                this.releaseTrade(botData, tradeId);
+                throw error;
+            }
+
+            // Store current trade
+            market.currentTrade = trade;
+            botData.lastTradeTime = new Date();
+            await this.checkpoint(botData);
+
+            // Paper bots take the live price but settle locally
+            if (trade.isPaper) {
+                if (!await this.fillPaperTrade(botData, trade, signal)) return;
+                await this.recordExecution(botId, bot);
+                return;
+            }
+
+            // Price the contract and buy it within the bot's slippage limit of the payout its
+            // last quote paid. The buy confirmation handler opens the trade.
+            const contractKey = `${signal.action}:${signal.barrier ?? ''}`;
+            const quotedRatio = market.quotedPayouts.get(contractKey);
+            try {
+                const { proposal } = await global.derivWSManager.proposeAndBuy(botData.userId, {
+                    contractType: signal.action,
+                    barrier: signal.barrier,
+                    symbol: market.symbol,
+                    stake,
+                    duration: config.duration,
+                    durationType: config.durationType,
+                    currency: 'USD',
+                    loginid: botData.loginid,
+                    passthrough: { botId, tradeId: trade._id.toString() }
+                }, {
+                    maxSlippage: config.maxSlippage ?? 0.01,
+                    expectedPayout: quotedRatio ? quotedRatio * stake : undefined,
+                    minPayoutRatio: config.minPayoutRatio ?? 1
+                });
+                market.quotedPayouts.set(contractKey, Number(proposal.payout) / stake);
+            } catch (error) {
+                // Measure the next buy against the price we refused, so one move can't stall the bot
+                if (error.proposal) {
+                    market.quotedPayouts.set(contractKey, Number(error.proposal.payout) / stake);
                 }
-            });
+                await this.failTrade(botData, trade, error);
+                return;
+            }
 
-            // Get proposal from Deriv
-            global.derivWSManager.getProposal(botData.userId, {
+            // Update bot
+            await this.recordExecution(botId, bot);
+
+        } catch (error) {
+            _error(`Error placing trade for bot ${botId}:`, error);
+            throw error;
+        }
+    }
+
+    // Stamp the bot's last execution. Symbols share the bot document, so this is a
+    // single update rather than a save that could race another symbol's.
+    async recordExecution(botId, bot) {
+        bot.lastExecution = new Date();
+        await updateBotById(botId, { $set: { lastExecution: bot.lastExecution } });
+    }
+
+    // Open a paper trade at the live proposal price, then settle it on live ticks at expiry
+    async fillPaperTrade(botData, trade, signal) {
+        const config = botData.bot.configuration;
+
+        let proposal;
+        try {
+            const response = await global.derivWSManager.getProposal(botData.userId, {
                 contractType: signal.action,
-                symbol: config.symbol,
-                stake: config.stake,
+                barrier: signal.barrier,
+                symbol: trade.symbol,
+                stake: trade.stake,
                 duration: config.duration,
                 durationType: config.durationType,
-                currency: 'USD'
+                currency: 'USD',
+                loginid: botData.loginid
             });
+            proposal = response.proposal;
+            global.derivWSManager.forgetProposal(botData.userId, proposal.id, botData.loginid);
+        } catch (error) {
+            await this.failTrade(botData, trade, error);
+            return false;
+        }
 
-            // Store current trade
-            botData.currentTrade = trade;
+        const buyPrice = Number(proposal.ask_price);
+        const payout = Number(proposal.payout);
 
-            // Update bot
-            bot.lastExecution = new Date();
-            await bot.save();
+        const opened = await global.tradeLifecycle.transition(trade, 'open', {
+            reason: 'paper fill',
+            buyPrice,
+            payout
+        });
+        if (!opened) return false;
+
+        const contract = createContract({
+            contractType: signal.action,
+            barrier: signal.barrier,
+            stake: buyPrice,
+            payoutRatio: payout / buyPrice - 1,
+            duration: config.duration,
+            durationType: config.durationType
+        });
 
+        // Watch the symbol's ticks until the contract expires, whatever the bot itself follows
+        const subscriberId = `paper:${trade._id}`;
+        global.marketDataHub.subscribe(trade.symbol, subscriberId, (tick) => {
+            const exit = feedTick(contract, tick);
+            if (!exit) return;
+
+            global.marketDataHub.unsubscribe(trade.symbol, subscriberId);
+            const pipSize = tick.pip_size ?? this.digitStats.getPipSize(trade.symbol) ?? 2;
+            this.settlePaperTrade(trade, contract, exit, pipSize);
+        });
+
+        info(`Paper trade ${trade._id} filled at ${buyPrice} for a payout of ${payout}`);
+        return true;
+    }
+
+    // Close a paper trade as won or lost from its exit tick
+    async settlePaperTrade(trade, contract, exit, pipSize) {
+        try {
+            const { won } = settle(contract, exit, pipSize);
+            const sellPrice = won ? trade.payout : 0;
+
+            await global.tradeLifecycle.transition(trade, won ? 'won' : 'lost', {
+                reason: 'paper settlement',
+                entryPrice: contract.entry.quote,
+                exitPrice: exit.quote,
+                exitTime: new Date(exit.epoch * 1000),
+                sellPrice,
+                profitLoss: Math.round((sellPrice - trade.buyPrice) * 100) / 100
+            });
         } catch (error) {
-            _error(`Error placing trade for bot ${botId}:`, error);
-            throw error;
+            _error(`Error settling paper trade ${trade._id}:`, error);
         }
     }
 
-    // Handle buy confirmation
-    async handleBuyConfirmation(userId, buy) {
+    // Mark a trade that never opened as failed and release the bot's trade lock
+    async failTrade(botData, trade, error) {
+        const errorCode = error.code || 'RequestFailed';
+
         try {
-            // Find which bot made this trade
-            for (const [botId, botData] of this.activeBots) {
-                if (botData.userId === userId && botData.currentTrade) {
-                    const trade = botData.currentTrade;
+            await global.tradeLifecycle.transition(trade, 'failed', {
+                reason: errorCode,
+                errorCode,
+                errorMessage: error.message
+            });
+        } catch (saveError) {
+            _error(`Error marking trade ${trade._id} failed:`, saveError);
+        }
 
-                    // Update trade with contract details
-                    trade.contractId = buy.contract_id;
-                    trade.payout = buy.payout;
-                    trade.status = 'open';
-                    await trade.save();
+        // Release the lock even if the lifecycle already closed the trade
+        this.releaseTrade(botData, trade._id);
 
-                    // Subscribe to contract updates
-                    global.derivWSManager.subscribeToContract(userId, buy.contract_id);
+        warn(`Trade ${trade._id} for bot ${botData.botId} failed: ${errorCode} - ${error.message}`);
+    }
 
-                    info(`Trade ${trade._id} opened for bot ${botId}`);
-                    break;
-                }
-            }
+    // The bot's symbol that is waiting on a trade, if any
+    marketHolding(botData, tradeId) {
+        if (!tradeId) return null;
+
+        for (const market of botData.markets.values()) {
+            if (market.currentTrade && market.currentTrade._id.equals(tradeId)) return market;
+        }
+        return null;
+    }
+
+    // Free the symbol waiting on a trade to trade again, returning that symbol's data
+    releaseTrade(botData, tradeId) {
+        const market = this.marketHolding(botData, tradeId);
+        if (market) market.currentTrade = null;
+        return market;
+    }
+
+    // Trades a bot is waiting on, across its symbols
+    openTrades(botData) {
+        return [...botData.markets.values()].map(market => market.currentTrade).filter(Boolean);
+    }
+
+    // Handle buy confirmation
+    async handleBuyConfirmation(userId, buy, passthrough) {
+        try {
+            // The buy carries the bot that requested it in its passthrough
+            const botId = passthrough?.botId;
+            const botData = botId && this.activeBots.get(botId);
+            if (!botData || botData.userId !== userId) return;
+            if (passthrough.loginid && passthrough.loginid !== botData.loginid) return;
+
+            const market = this.marketHolding(botData, passthrough.tradeId);
+            if (!market) return;
+
+            const trade = market.currentTrade;
+
+            // Update trade with contract details
+            const opened = await global.tradeLifecycle.transition(trade, 'open', {
+                contractId: buy.contract_id,
+                payout: buy.payout,
+                buyPrice: buy.buy_price
+            });
+            if (!opened) return;
+
+            // Subscribe to contract updates
+            global.derivWSManager.subscribeToContract(userId, buy.contract_id, { botId }, botData.loginid)
+                .catch(error => _error(`Error subscribing to contract ${buy.contract_id}:`, error));
+
+            info(`Trade ${trade._id} opened for bot ${botId}`);
         } catch (error) {
             _error('Error handling buy confirmation:', error);
         }
     }
 
-    // Handle contract updates
-    async handleContractUpdate(userId, contract) {
+    // Release the bot's trade lock and record the result once a trade closes
+    async handleTradeClosed(trade) {
         try {
-            // Find the trade
-            const trade = await findOne({ contractId: contract.contract_id });
-            if (!trade) return;
-
-            // Check if contract is finished
-            if (contract.is_sold || contract.status === 'won' || contract.status === 'lost') {
-                trade.exitPrice = contract.exit_tick || contract.current_spot;
-                trade.exitTime = new Date();
-                trade.status = contract.status;
-                trade.profitLoss = contract.profit;
-                await trade.save();
-
-                // Update bot performance
-                await this.updateBotPerformance(trade.botId, trade);
-
-                // Clear current trade
-                for (const [botId, botData] of this.activeBots) {
-                    if (botData.currentTrade && botData.currentTrade._id.equals(trade._id)) {
-                        botData.currentTrade = null;
-
-                        // Update risk management data
-                        if (trade.status === 'lost') {
-                            botData.dailyLoss += Math.abs(trade.profitLoss);
-                            botData.consecutiveLosses++;
-                        } else {
-                            botData.consecutiveLosses = 0;
-                        }
-                        break;
+            for (const [botId, botData] of this.activeBots) {
+                if (!this.releaseTrade(botData, trade._id)) continue;
+
+                // Update risk management data
+                this.rollRiskDay(botData);
+                if (trade.profitLoss < 0) {
+                    botData.dailyLoss += Math.abs(trade.profitLoss);
+                    botData.consecutiveLosses++;
+                } else if (trade.profitLoss > 0) {
+                    botData.consecutiveLosses = 0;
+                }
+
+                if (SETTLED_STATUSES.includes(trade.status)) {
+                    const profit = trade.profitLoss || 0;
+                    botData.sessionProfit += profit;
+                    botData.dailyProfit += profit;
+                    botData.peakSessionProfit = Math.max(botData.peakSessionProfit, botData.sessionProfit);
+
+                    await this.advanceStakeProgression(botId, botData, trade);
+
+                    // Stop straight away rather than on the next signal
+                    const breach = this.checkRiskManagement(botData, botData.bot);
+                    if (breach) {
+                        await this.haltBot(botId, botData, breach);
                     }
                 }
 
+                await this.checkpoint(botData);
+                break;
+            }
+
+            // Only trades that reached the market count towards performance
+            if (SETTLED_STATUSES.includes(trade.status)) {
+                if (trade.botId) {
+                    await this.updateBotPerformance(trade.botId, trade);
+                }
+                if (!trade.isPaper) {
+                    await this.updateUserStatistics(trade.userId, trade);
+                }
                 info(`Trade ${trade._id} closed: ${trade.status}, P/L: ${trade.profitLoss}`);
             }
         } catch (error) {
-            _error('Error handling contract update:', error);
+            _error('Error handling closed trade:', error);
+        }
+    }
+
+    // Move a bot's stake progression on from a settled trade and persist it
+    async advanceStakeProgression(botId, botData, trade) {
+        const config = botData.bot.configuration;
+
+        botData.moneyState = this.moneyManager.applyOutcome(config.moneyManagement, botData.moneyState, {
+            stake: trade.stake,
+            profit: trade.profitLoss,
+            baseStake: config.stake
+        });
+
+        try {
+            await updateBotById(botId, { moneyManagementState: botData.moneyState });
+        } catch (error) {
+            _error(`Error saving stake progression for bot ${botId}:`, error);
         }
     }
 
     // Update bot performance metrics
     async updateBotPerformance(botId, trade) {
         try {
-            const bot = await findById(botId);
-            if (!bot) return;
-
-            const perf = bot.performance;
-
-            perf.totalTrades++;
+            // Paper trades keep their own record, apart from real performance
+            const field = trade.isPaper ? 'paperPerformance' : 'performance';
+            const profit = trade.profitLoss || 0;
+
+            // Contracts sold early count by which side of the stake they closed on
+            const outcome = trade.status === 'sold'
+                ? (profit >= 0 ? 'won' : 'lost')
+                : trade.status;
+
+            // Counts and totals move by increments, so trades closing together can't lose each other's
+            const update = { $inc: { [`${field}.totalTrades`]: 1 } };
+            let step = 0; // which way the trade moves the streak
+
+            if (outcome === 'won') {
+                update.$inc[`${field}.winningTrades`] = 1;
+                update.$inc[`${field}.totalProfit`] = profit;
+                update.$inc[`${field}.netProfitLoss`] = profit;
+                update.$max = { [`${field}.bestTrade`]: profit };
+                step = 1;
+            } else if (outcome === 'lost') {
+                update.$inc[`${field}.losingTrades`] = 1;
+                update.$inc[`${field}.totalLoss`] = Math.abs(profit);
+                update.$inc[`${field}.netProfitLoss`] = -Math.abs(profit);
+                update.$min = { [`${field}.worstTrade`]: profit };
+                step = -1;
+            }
 
-            if (trade.status === 'won') {
-                perf.winningTrades++;
-                perf.totalProfit += trade.profitLoss;
-                perf.currentStreak = perf.currentStreak > 0 ? perf.currentStreak + 1 : 1;
-                if (perf.currentStreak > perf.longestWinStreak) {
-                    perf.longestWinStreak = perf.currentStreak;
-                }
-                if (trade.profitLoss > perf.bestTrade) {
-                    perf.bestTrade = trade.profitLoss;
-                }
-            } else if (trade.status === 'lost') {
-                perf.losingTrades++;
-                perf.totalLoss += Math.abs(trade.profitLoss);
-                perf.currentStreak = perf.currentStreak < 0 ? perf.currentStreak - 1 : -1;
-                if (Math.abs(perf.currentStreak) > perf.longestLoseStreak) {
-                    perf.longestLoseStreak = Math.abs(perf.currentStreak);
-                }
-                if (trade.profitLoss < perf.worstTrade) {
-                    perf.worstTrade = trade.profitLoss;
+            // Extend a streak running the same way or start a new one, each conditional on the
+            // stored streak, and try again if another close changed it in between
+            const streakPath = `${field}.currentStreak`;
+            const continuing = step > 0 ? { $gt: 0 } : { $lt: 0 };
+            let bot = null;
+
+            if (step === 0) {
+                bot = await updateBotById(botId, update, { new: true });
+            } else {
+                for (let attempt = 0; !bot && attempt < 3; attempt++) {
+                    bot = await updateBotWhere(
+                        { _id: botId, [streakPath]: continuing },
+                        { ...update, $inc: { ...update.$inc, [streakPath]: step } },
+                        { new: true }
+                    ) || await updateBotWhere(
+                        { _id: botId, [streakPath]: { $not: continuing } },
+                        { ...update, $set: { [streakPath]: step } },
+                        { new: true }
+                    );
                 }
             }
+            if (!bot) return;
 
-            perf.netProfitLoss = perf.totalProfit - perf.totalLoss;
+            const perf = bot[field];
 
-            // Update win rate
-            bot.updateWinRate();
+            if (step !== 0) {
+                const longest = step > 0 ? 'longestWinStreak' : 'longestLoseStreak';
+                await updateBotById(botId, { $max: { [`${field}.${longest}`]: Math.abs(perf.currentStreak) } });
+            }
 
-            // Update profit factor
+            // Rates and averages follow the counts just written; skipped if a later close
+            // already moved the counts on, since that close writes its own
+            if (trade.isPaper) {
+                perf.winRate = perf.totalTrades > 0 ? (perf.winningTrades / perf.totalTrades) * 100 : 0;
+            } else {
+                bot.updateWinRate();
+            }
             bot.updateProfitFactor();
 
-            // Calculate average win/loss
-            if (perf.winningTrades > 0) {
-                perf.averageWin = perf.totalProfit / perf.winningTrades;
-            }
-            if (perf.losingTrades > 0) {
-                perf.averageLoss = perf.totalLoss / perf.losingTrades;
+            const derived = {
+                [`${field}.winRate`]: perf.winRate,
+                [`${field}.averageWin`]: perf.winningTrades > 0 ? perf.totalProfit / perf.winningTrades : perf.averageWin,
+                [`${field}.averageLoss`]: perf.losingTrades > 0 ? perf.totalLoss / perf.losingTrades : perf.averageLoss
+            };
+            if (!trade.isPaper) {
+                derived['performance.profitFactor'] = bot.performance.profitFactor;
             }
 
-            await bot.save();
-
-            // Also update user statistics
-            await this.updateUserStatistics(trade.userId, trade);
+            await updateBotWhere(
+                { _id: botId, [`${field}.totalTrades`]: perf.totalTrades },
+                { $set: derived }
+            );
 
         } catch (error) {
             _error('Error updating bot performance:', error);
@@ -609,7 +1389,7 @@ class BotExecutor {
             }
 
             // Recalculate win rate
-            const totalWins = await countDocuments({ userId, status: 'won' });
+            const totalWins = await countDocuments({ userId, status: 'won', isPaper: { $ne: true } });
             stats.winRate = stats.totalTrades > 0 ? (totalWins / stats.totalTrades) * 100 : 0;
 
             await user.save();
@@ -618,13 +1398,23 @@ class BotExecutor {
         }
     }
 
-    // Update user balance
-    async updateUserBalance(userId, balance) {
+    // Update the balance of one of the user's Deriv accounts
+    async updateUserBalance(userId, loginid, balance) {
         try {
-            await findByIdAndUpdate(userId, {
-                balance: balance.balance,
-                currency: balance.currency
+            await updateOne({ _id: userId, 'derivAccounts.loginid': loginid }, {
+                $set: {
+                    'derivAccounts.$.balance': balance.balance,
+                    'derivAccounts.$.currency': balance.currency
+                }
             });
+
+            // The default account's balance is the one shown for the user
+            if (global.derivWSManager.getDefaultAccount(userId) === loginid) {
+                await findByIdAndUpdate(userId, {
+                    balance: balance.balance,
+                    currency: balance.currency
+                });
+            }
         } catch (error) {
             _error('Error updating user balance:', error);
         }
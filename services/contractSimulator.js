@@ -0,0 +1,89 @@
+// Settles contracts locally against ticks the way Deriv does, for backtests and
+// paper trading.
+//
+// The entry spot is the first tick after purchase. Rise/fall contracts measured in
+// ticks exit `duration` ticks after the entry; digit contracts settle on the last
+// digit of the `duration`th tick. Timed contracts exit on the last tick at or
+// before expiry.
+
+// Contracts settled on the last digit of the exit tick, by whether that digit wins
+export const DIGIT_OUTCOMES = {
+    DIGITEVEN: (digit) => digit % 2 === 0,
+    DIGITODD: (digit) => digit % 2 === 1,
+    DIGITOVER: (digit, barrier) => digit > barrier,
+    DIGITUNDER: (digit, barrier) => digit < barrier,
+    DIGITMATCH: (digit, barrier) => digit === barrier,
+    DIGITDIFF: (digit, barrier) => digit !== barrier
+};
+
+// Contracts settled on the exit spot against the entry spot
+export const RISE_FALL_OUTCOMES = {
+    CALL: (entry, exit) => exit > entry,
+    PUT: (entry, exit) => exit < entry,
+    CALLE: (entry, exit) => exit >= entry,
+    PUTE: (entry, exit) => exit <= entry
+};
+
+const DURATION_SECONDS = { s: 1, m: 60, h: 3600 };
+
+// Contract types this simulator can settle
+export const isSimulated = (contractType) => Boolean(DIGIT_OUTCOMES[contractType] || RISE_FALL_OUTCOMES[contractType]);
+
+// A contract waiting for its entry tick
+export const createContract = ({ contractType, barrier, stake, payoutRatio, duration, durationType }) => ({
+    contractType,
+    barrier,
+    stake,
+    payoutRatio, // net profit per unit staked on a win
+    duration: Number(duration) || 1,
+    durationType: durationType || 't',
+    entry: null,
+    lastTick: null,
+    ticksSeen: 0
+});
+
+// Feed the next tick to a contract. Returns the exit tick once it expires, else null.
+export const feedTick = (contract, tick) => {
+    const isDigit = Boolean(DIGIT_OUTCOMES[contract.contractType]);
+
+    if (!contract.entry) {
+        contract.entry = tick;
+    }
+    contract.ticksSeen++;
+
+    let exit = null;
+    if (isDigit || contract.durationType === 't') {
+        const needed = isDigit ? contract.duration : contract.duration + 1;
+        if (contract.ticksSeen >= needed) exit = tick;
+    } else {
+        const deadline = contract.entry.epoch + contract.duration * (DURATION_SECONDS[contract.durationType] || 1);
+        if (tick.epoch >= deadline) {
+            exit = tick.epoch === deadline || !contract.lastTick ? tick : contract.lastTick;
+        }
+    }
+
+    contract.lastTick = tick;
+    return exit;
+};
+
+// Decide a contract at its exit tick, reading digits at `pipSize` decimals
+export const settle = (contract, exit, pipSize) => {
+    if (DIGIT_OUTCOMES[contract.contractType]) {
+        const formatted = Number(exit.quote).toFixed(pipSize);
+        const exitDigit = Number(formatted[formatted.length - 1]);
+        return { won: DIGIT_OUTCOMES[contract.contractType](exitDigit, contract.barrier), exitDigit };
+    }
+
+    return { won: Boolean(RISE_FALL_OUTCOMES[contract.contractType]?.(contract.entry.quote, exit.quote)) };
+};
+
+// Fair net payout per unit staked, less the house commission
+export const fairPayoutRatio = (contractType, barrier, commission = 0.05) => {
+    let probability = 0.5;
+    if (DIGIT_OUTCOMES[contractType]) {
+        const winning = [...Array(10).keys()].filter(digit => DIGIT_OUTCOMES[contractType](digit, barrier));
+        probability = winning.length / 10;
+    }
+
+    return probability > 0 ? (1 - commission) / probability - 1 : 0;
+};
@@ -1,10 +1,10 @@
-import { findOne, create, findById, aggregate } from '../models/Trade';
+import { findOne, create, aggregate } from '../models/Trade';
 import { findById as _findById } from '../models/User';
 import { info, warn, error as _error } from '../utils/logger';
 
 class CopyTradeService {
     constructor() {
-        this.followers = new Map(); // leaderId -> Set of followerIds
+        this.followers = new Map(); // leaderId -> Map of followerId -> loginid
         this.dailyLoss = new Map(); // followerId -> daily loss amount
         this.setupEventListeners();
     }
@@ -17,17 +17,22 @@ class CopyTradeService {
         wsManager.on('buy', async ({ userId, buy }) => {
             await this.replicateTrade(userId, buy);
         });
+
+        // Track followers' losses as their copy trades close
+        global.tradeLifecycle.on('closed', ({ trade }) => {
+            this.handleCopyTradeClosed(trade);
+        });
     }
 
-    // Register a follower
-    async registerFollower(followerId, leaderId) {
+    // Register a follower, copying into one of their Deriv accounts
+    async registerFollower(followerId, leaderId, loginid) {
         if (!this.followers.has(leaderId)) {
-            this.followers.set(leaderId, new Set());
+            this.followers.set(leaderId, new Map());
         }
-        this.followers.get(leaderId).add(followerId);
+        this.followers.get(leaderId).set(followerId, loginid);
         this.dailyLoss.set(followerId, 0);
 
-        info(`Follower ${followerId} registered for leader ${leaderId}`);
+        info(`Follower ${followerId} registered for leader ${leaderId} on ${loginid || 'default account'}`);
     }
 
     // Unregister a follower
@@ -63,9 +68,9 @@ class CopyTradeService {
             const leader = await _findById(leaderId);
 
             // Replicate to each follower
-            for (const followerId of leaderFollowers) {
+            for (const [followerId, loginid] of leaderFollowers) {
                 try {
-                    await this.copyTradeToFollower(followerId, leader, originalTrade, buyDetails);
+                    await this.copyTradeToFollower(followerId, loginid, leader, originalTrade, buyDetails);
                 } catch (error) {
                     _error(`Error copying trade to follower ${followerId}:`, error);
                 }
@@ -77,7 +82,7 @@ class CopyTradeService {
     }
 
     // Copy trade to a specific follower
-    async copyTradeToFollower(followerId, leader, originalTrade, buyDetails) {
+    async copyTradeToFollower(followerId, loginid, leader, originalTrade, buyDetails) {
         try {
             // Get follower
             const follower = await _findById(followerId);
@@ -99,16 +104,21 @@ class CopyTradeService {
             }
 
             // Check if follower is connected to Deriv
-            if (!global.derivWSManager.isConnected(followerId)) {
+            if (!global.derivWSManager.isConnected(followerId, loginid)) {
                 warn(`Follower ${followerId} not connected to Deriv`);
                 return;
             }
 
+            // Use the balance of the account this relationship copies into
+            const accountId = loginid || global.derivWSManager.getDefaultAccount(followerId);
+            const account = follower.derivAccounts?.find(linked => linked.loginid === accountId);
+            const balance = account ? account.balance : follower.balance;
+
             // Calculate stake based on follower's settings
-            const stake = this.calculateFollowerStake(follower, originalTrade.stake);
+            const stake = this.calculateFollowerStake(follower, originalTrade.stake, balance);
 
             // Check if follower has sufficient balance
-            if (follower.balance < stake) {
+            if (balance < stake) {
                 warn(`Follower ${followerId} has insufficient balance`);
                 return;
             }
@@ -116,6 +126,7 @@ class CopyTradeService {
             // Create copy trade record
             const copyTrade = await create({
                 userId: followerId,
+                loginid: accountId,
                 symbol: originalTrade.symbol,
                 contractType: originalTrade.contractType,
                 entryPrice: originalTrade.entryPrice,
@@ -123,6 +134,8 @@ class CopyTradeService {
                 duration: originalTrade.duration,
                 durationType: originalTrade.durationType,
                 status: 'pending',
+                statusChangedAt: new Date(),
+                statusHistory: [{ status: 'pending', at: new Date() }],
                 entryTime: new Date(),
                 metadata: {
                     isCopyTrade: true,
@@ -131,20 +144,48 @@ class CopyTradeService {
                 }
             });
 
-            // Place the trade via Deriv WebSocket
-            global.derivWSManager.getProposal(followerId, {
-                contractType: originalTrade.contractType,
-                symbol: originalTrade.symbol,
-                stake: stake,
-                duration: originalTrade.duration,
-                durationType: originalTrade.durationType,
-                currency: follower.currency
+            // Buy at the leader's payout, scaled to the follower's stake, within the slippage limit
+            const expectedPayout = originalTrade.payout && originalTrade.stake
+                ? (originalTrade.payout * stake) / originalTrade.stake
+                : undefined;
+
+            let buy;
+            try {
+                ({ buy } = await global.derivWSManager.proposeAndBuy(followerId, {
+                    contractType: originalTrade.contractType,
+                    symbol: originalTrade.symbol,
+                    stake: stake,
+                    duration: originalTrade.duration,
+                    durationType: originalTrade.durationType,
+                    currency: account?.currency || follower.currency,
+                    loginid: accountId,
+                    passthrough: { tradeId: copyTrade._id.toString() }
+                }, {
+                    maxSlippage: follower.copyTradeSettings.maxSlippage ?? 0.01,
+                    expectedPayout
+                }));
+            } catch (error) {
+                const errorCode = error.code || 'RequestFailed';
+                await global.tradeLifecycle.transition(copyTrade, 'failed', {
+                    reason: errorCode,
+                    errorCode,
+                    errorMessage: error.message
+                });
+
+                warn(`Copy trade for follower ${followerId} failed: ${errorCode} - ${error.message}`);
+                return;
+            }
+
+            await global.tradeLifecycle.transition(copyTrade, 'open', {
+                contractId: buy.contract_id,
+                payout: buy.payout,
+                buyPrice: buy.buy_price
             });
 
-            info(`Copy trade created for follower ${followerId} from leader ${leader._id}`);
+            global.derivWSManager.subscribeToContract(followerId, buy.contract_id, { tradeId: copyTrade._id.toString() }, accountId)
+                .catch(error => _error(`Error subscribing to contract ${buy.contract_id}:`, error));
 
-            // Setup listener for this specific copy trade
-            this.setupCopyTradeListener(followerId, copyTrade._id);
+            info(`Copy trade opened for follower ${followerId} from leader ${leader._id}`);
 
         } catch (error) {
             _error(`Error copying trade to follower ${followerId}:`, error);
@@ -153,7 +194,7 @@ class CopyTradeService {
     }
 
     // Calculate follower's stake based on their settings
-    calculateFollowerStake(follower, originalStake) {
+    calculateFollowerStake(follower, originalStake, balance = follower.balance) {
         const settings = follower.copyTradeSettings;
 
         // Use fixed investment per trade if set
@@ -163,40 +204,20 @@ class CopyTradeService {
 
         // Or use risk percentage of balance
         if (settings.riskPercentage) {
-            return (follower.balance * settings.riskPercentage) / 100;
+            return (balance * settings.riskPercentage) / 100;
         }
 
         // Default to same stake (with max limit)
-        return Math.min(originalStake, follower.balance * 0.02); // Max 2% of balance
+        return Math.min(originalStake, balance * 0.02); // Max 2% of balance
     }
 
-    // Setup listener for copy trade completion
-    setupCopyTradeListener(followerId, tradeId) {
-        const wsManager = global.derivWSManager;
-
-        const contractUpdateHandler = async ({ userId, contract }) => {
-            if (userId !== followerId) return;
-
-            try {
-                const trade = await findById(tradeId);
-                if (!trade || trade.contractId !== contract.contract_id) return;
-
-                // Update daily loss tracking
-                if (contract.is_sold || contract.status === 'won' || contract.status === 'lost') {
-                    if (contract.status === 'lost') {
-                        const currentLoss = this.dailyLoss.get(followerId) || 0;
-                        this.dailyLoss.set(followerId, currentLoss + Math.abs(contract.profit));
-                    }
-
-                    // Remove listener
-                    wsManager.off('contract_update', contractUpdateHandler);
-                }
-            } catch (error) {
-                _error('Error in copy trade listener:', error);
-            }
-        };
+    // Add a closed copy trade's loss to its follower's daily total
+    handleCopyTradeClosed(trade) {
+        if (!trade.metadata?.isCopyTrade || !(trade.profitLoss < 0)) return;
 
-        wsManager.on('contract_update', contractUpdateHandler);
+        const followerId = trade.userId.toString();
+        const currentLoss = this.dailyLoss.get(followerId) || 0;
+        this.dailyLoss.set(followerId, currentLoss + Math.abs(trade.profitLoss));
     }
 
     // Reset daily loss tracking (should be called daily)
@@ -0,0 +1,833 @@
+import { DIGIT_BARRIERS } from './ruleEngine';
+
+// Turns a strategy built in Deriv's DBot (its Blockly .xml export) into a bot
+// configuration for a rule-based bot:
+//   trade parameters      -> symbol, stake, duration, durationType
+//   purchase conditions   -> strategy.entryConditions, with indicators for any
+//                            SMA / EMA / RSI / Bollinger blocks they read
+//   stake changes on a win or loss  -> moneyManagement (martingale,
+//                            anti_martingale or dalembert)
+//   total profit checks around "trade again" -> riskManagement session limits
+// Every block that can't be carried over is listed in `unsupported` with its id, so
+// the user can find it in DBot; blocks that only print or notify go in `ignored`.
+
+export const IMPORTED_BOT_TYPE = 'custom';
+
+const MAX_XML_LENGTH = 512 * 1024;
+const MAX_XML_DEPTH = 500;
+
+// Blocks that hold the trade parameters: DBot's, and the older Binary Bot's
+const TRADE_DEFINITIONS = ['trade_definition', 'trade'];
+const TRADE_OPTIONS = ['trade_definition_tradeoptions', 'tradeOptions'];
+
+// DBot trade types, and the contract types each buys
+const TRADE_TYPES = {
+    callput: ['CALL', 'PUT'],
+    risefall: ['CALL', 'PUT'],
+    callputequal: ['CALLE', 'PUTE'],
+    evenodd: ['DIGITEVEN', 'DIGITODD'],
+    overunder: ['DIGITOVER', 'DIGITUNDER'],
+    matchesdiffers: ['DIGITMATCH', 'DIGITDIFF']
+};
+
+// Settings on the trade parameters block that are read elsewhere or mean nothing here
+const TRADE_SETTINGS = {
+    trade_definition_market: null,
+    trade_definition_tradetype: null,
+    trade_definition_contracttype: null,
+    trade_definition_candleinterval: null,
+    trade_definition_restartbuysell: 'bots here buy again only after the open contract closes',
+    trade_definition_restartonerror: 'bots here keep running after a failed purchase'
+};
+
+// Blocks that only print or notify
+const DISPLAY_BLOCKS = ['notify', 'notify_telegram', 'text_print'];
+
+// Indicator blocks that give the latest value, and the registry indicator each becomes.
+// Each also has a `<name>_statement` form that stores the value in a variable.
+const INDICATORS = {
+    sma: { type: 'sma', params: { period: 'PERIOD' } },
+    ema: { type: 'ema', params: { period: 'PERIOD' } },
+    rsi: { type: 'rsi', params: { period: 'PERIOD' } },
+    bb: {
+        type: 'bollinger',
+        params: { period: 'PERIOD', stdDev: 'UPMULTIPLIER' },
+        output: { field: 'BBRESULT_LIST', values: { 0: 'middle', 1: 'upper', 2: 'lower' } }
+    }
+};
+
+const COMPARE_OPS = { EQ: '==', NEQ: '!=', LT: '<', LTE: '<=', GT: '>', GTE: '>=' };
+const NEGATED_OPS = { '==': '!=', '!=': '==', '<': '>=', '<=': '>', '>': '<=', '>=': '<' };
+const SWAPPED_OPS = { '<': '>', '<=': '>=', '>': '<', '>=': '<=' };
+
+// Conditions that always and never hold
+const ALWAYS = '0 == 0';
+const NEVER = '0 != 0';
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' };
+
+// Read XML into { name, attributes, children, text } elements. Covers what Blockly
+// writes: elements, attributes, text, comments, CDATA and character references.
+const parseXml = (xml) => {
+    const document = { name: '#document', attributes: {}, children: [], text: '' };
+    const stack = [document];
+    const token = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<!|<\/([A-Za-z_][\w.:-]*)\s*>|<([A-Za-z_][\w.:-]*)((?:\s+[A-Za-z_][\w.:-]*\s*=\s*(?:"[^"<]*"|'[^'<]*'))*)\s*(\/?)>|([^<]+)|</y;
+    const decode = (text) => text.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-z]+);/g, (entity, name) => {
+        if (name[0] !== '#') return XML_ENTITIES[name] ?? entity;
+        const code = name[1] === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+        return code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    });
+
+    let match;
+    while (token.lastIndex < xml.length && (match = token.exec(xml))) {
+        const [text, cdata, closing, opening, attributes, selfClosing, characters] = match;
+        const parent = stack[stack.length - 1];
+
+        if (closing) {
+            if (closing !== parent.name) throw new Error(`</${closing}> does not close <${parent.name}>`);
+            stack.pop();
+        } else if (opening) {
+            const element = { name: opening, attributes: {}, children: [], text: '' };
+            for (const [, name, , double, single] of attributes.matchAll(/([A-Za-z_][\w.:-]*)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+                element.attributes[name] = decode(double ?? single);
+            }
+            if (parent === document && document.children.length > 0) throw new Error('more than one root element');
+
+            parent.children.push(element);
+            if (!selfClosing) stack.push(element);
+            if (stack.length > MAX_XML_DEPTH) throw new Error(`elements are nested more than ${MAX_XML_DEPTH} deep`);
+        } else if (cdata !== undefined || characters !== undefined) {
+            const content = cdata ?? decode(characters);
+            if (parent === document) {
+                if (content.trim() !== '') throw new Error('text outside the root element');
+            } else {
+                parent.text += content;
+            }
+        } else if (text.startsWith('<!')) {
+            throw new Error('DOCTYPE and other declarations are not allowed');
+        } else if (text === '<') {
+            throw new Error(`malformed tag at character ${match.index}`);
+        }
+    }
+
+    if (stack.length > 1) throw new Error(`<${stack[stack.length - 1].name}> is never closed`);
+    if (document.children.length === 0) throw new Error('no root element');
+    return document.children[0];
+};
+
+// Child elements with a tag name
+const elementsOf = (node, tag) => node.children.filter(child => child.name === tag);
+
+// The child element with a tag and name attribute, e.g. <field name="NUM">
+const namedChild = (node, tag, name) => node.children.find(child => child.name === tag && child.attributes.name === name);
+
+// A block's field text
+const fieldOf = (block, name) => {
+    const field = namedChild(block, 'field', name);
+    return field ? field.text.trim() : undefined;
+};
+
+// The block plugged into an input, preferring a real block over its shadow default
+const inputOf = (block, tag, name) => {
+    const input = block && namedChild(block, tag, name);
+    if (!input) return null;
+    return input.children.find(child => child.name === 'block') || input.children.find(child => child.name === 'shadow') || null;
+};
+
+const valueOf = (block, name) => inputOf(block, 'value', name);
+const statementOf = (block, name) => inputOf(block, 'statement', name);
+
+// A block and the blocks stacked under it
+const stackFrom = (block) => {
+    const stack = [];
+    for (let current = block; current;) {
+        stack.push(current);
+        const next = elementsOf(current, 'next')[0];
+        current = next ? next.children.find(child => child.name === 'block') : null;
+    }
+    return stack;
+};
+
+// Every block nested anywhere inside an element
+const blocksWithin = (node) => node.children.flatMap(child => [
+    ...(child.name === 'block' ? [child] : []),
+    ...blocksWithin(child)
+]);
+
+const typeOf = (block) => block.attributes.type;
+const isDisabled = (block) => block.attributes.disabled === 'true';
+
+class DbotImporter {
+    // Convert a DBot strategy file into a bot configuration. `errors` lists what stops
+    // the file being imported at all; `unsupported` lists blocks left out of the
+    // configuration, and `ignored` blocks that don't affect trading.
+    convert(xml) {
+        if (typeof xml !== 'string' || xml.trim() === '') {
+            return { errors: ['xml must be the DBot strategy file as a string'] };
+        }
+        if (xml.length > MAX_XML_LENGTH) {
+            return { errors: [`xml must be at most ${MAX_XML_LENGTH} characters`] };
+        }
+
+        let root;
+        try {
+            root = parseXml(xml);
+        } catch (error) {
+            return { errors: [`xml is not well-formed: ${error.message}`] };
+        }
+        if (root.name !== 'xml') {
+            return { errors: ['not a DBot strategy: the root element must be <xml>'] };
+        }
+
+        const blocks = elementsOf(root, 'block').filter(block => !isDisabled(block));
+        const definition = blocks.find(block => TRADE_DEFINITIONS.includes(typeOf(block)));
+        const purchase = blocks.find(block => typeOf(block) === 'before_purchase');
+        if (!definition) return { errors: ['the strategy has no trade parameters block'] };
+        if (!purchase) return { errors: ['the strategy has no purchase conditions block'] };
+
+        const context = {
+            constants: new Map(), // variable -> the number it starts as
+            assigned: new Set(), // variables changed while the strategy runs
+            indicatorVariables: new Map(), // variable -> the indicator path it holds
+            indicators: {},
+            series: undefined, // 'ticks', or the candle granularity in seconds
+            unsupported: [],
+            ignored: [],
+            warnings: []
+        };
+
+        for (const block of blocks) {
+            if (TRADE_DEFINITIONS.includes(typeOf(block))) continue;
+            for (const inner of blocksWithin(block)) {
+                if (['variables_set', 'math_change'].includes(typeOf(inner))) context.assigned.add(fieldOf(inner, 'VAR'));
+            }
+        }
+
+        const trade = this.readTradeDefinition(context, definition);
+        if (trade.errors.length > 0) return { errors: trade.errors };
+
+        const entryConditions = [];
+        this.readPurchaseStack(context, statementOf(purchase, 'BEFOREPURCHASE_STACK'), [], entryConditions, trade);
+        if (entryConditions.length === 0) {
+            return { errors: ['the purchase conditions never buy a contract that can be imported'], unsupported: context.unsupported };
+        }
+
+        const configuration = {
+            symbol: trade.symbol,
+            stake: trade.stake,
+            duration: trade.duration,
+            durationType: trade.durationType,
+            strategy: { entryConditions }
+        };
+        if (typeof context.series === 'number') configuration.candleGranularity = context.series;
+        if (Object.keys(context.indicators).length > 0) configuration.indicators = context.indicators;
+
+        const afterPurchase = blocks.find(block => typeOf(block) === 'after_purchase');
+        if (afterPurchase) {
+            const { moneyManagement, riskManagement } = this.readAfterPurchase(context, afterPurchase, trade);
+            if (moneyManagement) configuration.moneyManagement = moneyManagement;
+            if (Object.keys(riskManagement).length > 0) configuration.riskManagement = riskManagement;
+        } else {
+            this.report(context.unsupported, purchase, 'there is no after purchase block, so DBot stops after one trade; bots here keep trading');
+        }
+
+        for (const block of blocks) {
+            this.readOtherBlock(context, block, definition, purchase, afterPurchase);
+        }
+
+        return {
+            errors: [],
+            configuration,
+            unsupported: context.unsupported,
+            ignored: context.ignored,
+            warnings: context.warnings
+        };
+    }
+
+    // Read the market, trade type, starting variables and trade options
+    readTradeDefinition(context, block) {
+        const errors = [];
+
+        // DBot stacks its settings under TRADE_OPTIONS; Binary Bot kept them as fields on the block
+        const settings = [block, ...stackFrom(statementOf(block, 'TRADE_OPTIONS'))];
+        const setting = (name) => settings.map(item => fieldOf(item, name)).find(value => value !== undefined);
+
+        for (const item of settings.slice(1)) {
+            const reason = TRADE_SETTINGS[typeOf(item)];
+            if (reason === undefined) {
+                this.report(context.unsupported, item, 'not a trade parameter this import knows');
+            } else if (reason) {
+                this.report(context.ignored, item, reason);
+            }
+        }
+
+        this.readInitialization(context, statementOf(block, 'INITIALIZATION'));
+
+        const symbol = setting('SYMBOL_LIST');
+        const tradeType = setting('TRADETYPE_LIST');
+        const contractType = setting('TYPE_LIST');
+        const candleInterval = Number(setting('CANDLEINTERVAL_LIST')) || 60;
+
+        if (!symbol) errors.push('the trade parameters name no symbol');
+        if (!TRADE_TYPES[tradeType]) {
+            errors.push(`trade type "${tradeType}" can't be imported; supported types are ${Object.keys(TRADE_TYPES).join(', ')}`);
+        }
+
+        const options = stackFrom(statementOf(block, 'SUBMARKET')).find(item => TRADE_OPTIONS.includes(typeOf(item)));
+        if (!options) {
+            errors.push('the trade parameters have no trade options block');
+            return { errors };
+        }
+
+        const amount = valueOf(options, 'AMOUNT');
+        const stake = this.constant(context, amount, { initial: true });
+        const duration = this.constant(context, valueOf(options, 'DURATION'), { initial: true });
+        const prediction = this.constant(context, valueOf(options, 'PREDICTION'), { initial: true });
+        if (stake === null) errors.push('the stake must be a number, or a variable set to one before trading starts');
+        if (duration === null) errors.push('the duration must be a number, or a variable set to one before trading starts');
+
+        for (const name of ['BARRIEROFFSET', 'SECONDBARRIEROFFSET']) {
+            const barrier = valueOf(options, name);
+            if (barrier) this.report(context.unsupported, barrier, 'contracts with barriers can\'t be imported');
+        }
+
+        const contractTypes = (TRADE_TYPES[tradeType] || [])
+            .filter(type => !contractType || contractType === 'both' || contractType === type);
+
+        return {
+            errors,
+            symbol,
+            tradeType,
+            contractTypes,
+            candleInterval,
+            stake,
+            stakeVariable: amount && typeOf(amount) === 'variables_get' ? fieldOf(amount, 'VAR') : null,
+            duration,
+            durationType: fieldOf(options, 'DURATIONTYPE_LIST') || 't',
+            prediction
+        };
+    }
+
+    // Read the variables set before trading starts
+    readInitialization(context, first) {
+        for (const block of stackFrom(first)) {
+            if (!this.isActive(context, block)) continue;
+
+            if (typeOf(block) === 'variables_set') {
+                const value = this.constant(context, valueOf(block, 'VALUE'), { initial: true });
+                if (value === null) {
+                    this.report(context.unsupported, block, 'only variables set to numbers can be imported');
+                } else {
+                    context.constants.set(fieldOf(block, 'VAR'), value);
+                }
+            } else {
+                this.report(context.unsupported, block, 'only setting variables is supported before trading starts');
+            }
+        }
+    }
+
+    // Read a purchase conditions stack into entries, each guarded by the conditions
+    // of the branches it sits in
+    readPurchaseStack(context, first, conditions, entries, trade) {
+        for (const block of stackFrom(first)) {
+            if (!this.isActive(context, block)) continue;
+
+            const type = typeOf(block);
+            if (type === 'purchase') {
+                this.readPurchase(context, block, conditions, entries, trade);
+                return;
+            }
+
+            if (type === 'controls_if') {
+                this.readPurchaseIf(context, block, conditions, entries, trade);
+            } else if (type.endsWith('_statement') && INDICATORS[type.slice(0, -'_statement'.length)]) {
+                const path = this.indicator(context, block, trade);
+                if (path) context.indicatorVariables.set(fieldOf(block, 'VARIABLE'), path);
+            } else if (type === 'variables_set') {
+                const path = this.operand(context, valueOf(block, 'VALUE'), trade);
+                if (path) context.indicatorVariables.set(fieldOf(block, 'VAR'), path);
+            } else {
+                this.report(context.unsupported, block, 'not supported in purchase conditions');
+            }
+        }
+    }
+
+    // Add an entry for a purchase block
+    readPurchase(context, block, conditions, entries, trade) {
+        const contractType = fieldOf(block, 'PURCHASE_LIST');
+        if (!trade.contractTypes.includes(contractType)) {
+            this.report(context.unsupported, block, `buys ${contractType}, which the ${trade.tradeType} trade type doesn't offer here`);
+            return;
+        }
+
+        const entry = {
+            contractType,
+            when: conditions.length === 0 ? ALWAYS : (conditions.length === 1 ? conditions[0] : { all: conditions })
+        };
+
+        if (DIGIT_BARRIERS[contractType]) {
+            if (trade.prediction === null) {
+                this.report(context.unsupported, block, `${contractType} needs a prediction digit in the trade options`);
+                return;
+            }
+            entry.barrier = trade.prediction;
+        }
+
+        entries.push(entry);
+    }
+
+    // Read each branch of an if block. A later branch only runs when the earlier
+    // conditions failed, so it is guarded by their negations.
+    readPurchaseIf(context, block, conditions, entries, trade) {
+        const { elseifs, hasElse } = this.branchesOf(block);
+        const failed = [];
+
+        for (let i = 0; i <= elseifs; i++) {
+            const condition = this.condition(context, valueOf(block, `IF${i}`), trade);
+            if (condition === null) {
+                this.report(context.unsupported, block, `branch ${i + 1} and any after it were left out because their condition can't be imported`);
+                return;
+            }
+
+            this.readPurchaseStack(context, statementOf(block, `DO${i}`), [...conditions, ...failed, condition], entries, trade);
+            failed.push(this.negate(condition));
+        }
+
+        if (hasElse) {
+            this.readPurchaseStack(context, statementOf(block, 'ELSE'), [...conditions, ...failed], entries, trade);
+        }
+    }
+
+    // Convert a condition block into a rule condition, or null if it can't be. An
+    // empty slot is false, as in DBot.
+    condition(context, block, trade) {
+        if (!block) return NEVER;
+
+        const type = typeOf(block);
+
+        if (type === 'logic_compare') {
+            const op = COMPARE_OPS[fieldOf(block, 'OP')];
+            const left = this.operand(context, valueOf(block, 'A'), trade);
+            const right = this.operand(context, valueOf(block, 'B'), trade);
+            return op && left !== null && right !== null ? `${left} ${op} ${right}` : null;
+        }
+
+        if (type === 'logic_operation') {
+            const group = fieldOf(block, 'OP') === 'OR' ? 'any' : 'all';
+            const a = this.condition(context, valueOf(block, 'A'), trade);
+            const b = this.condition(context, valueOf(block, 'B'), trade);
+            if (a === null || b === null) return null;
+
+            // Flatten (a AND b) AND c into one group
+            const members = [a, b].flatMap(member => (member[group] ? member[group] : [member]));
+            return { [group]: members };
+        }
+
+        if (type === 'logic_negate') {
+            const condition = this.condition(context, valueOf(block, 'BOOL'), trade);
+            return condition === null ? null : this.negate(condition);
+        }
+
+        if (type === 'logic_boolean') {
+            return fieldOf(block, 'BOOL') === 'TRUE' ? ALWAYS : NEVER;
+        }
+
+        // Direction of the last tick
+        if (type === 'check_direction') {
+            const direction = fieldOf(block, 'CHECK_DIRECTION');
+            if (!['rise', 'fall'].includes(direction) || !this.useSeries(context, 'ticks', block)) return null;
+            return direction === 'rise' ? 'price > prev.price' : 'price < prev.price';
+        }
+
+        this.report(context.unsupported, block, 'not supported as a purchase condition');
+        return null;
+    }
+
+    // The opposite of a rule condition
+    negate(condition) {
+        if (typeof condition === 'string') {
+            const [left, op, right] = condition.split(' ');
+            return `${left} ${NEGATED_OPS[op]} ${right}`;
+        }
+        if (condition.all) return { any: condition.all.map(member => this.negate(member)) };
+        return { all: condition.any.map(member => this.negate(member)) };
+    }
+
+    // Convert a value block into a rule operand (a number or indicator path), or null
+    operand(context, block, trade) {
+        if (!block) return null;
+
+        const value = this.constant(context, block);
+        if (value !== null) return String(value);
+
+        const type = typeOf(block);
+        if (type === 'tick') {
+            return this.useSeries(context, 'ticks', block) ? 'price' : null;
+        }
+        if (INDICATORS[type]) {
+            return this.indicator(context, block, trade);
+        }
+        if (type === 'variables_get') {
+            const name = fieldOf(block, 'VAR');
+            if (context.indicatorVariables.has(name)) return context.indicatorVariables.get(name);
+
+            this.report(context.unsupported, block, context.assigned.has(name)
+                ? `"${name}" changes while the strategy runs, so conditions can't read it`
+                : `"${name}" is never set to a number`);
+            return null;
+        }
+
+        this.report(context.unsupported, block, 'not supported as a value in purchase conditions');
+        return null;
+    }
+
+    // Add the indicator an indicator block reads, returning its path
+    indicator(context, block, trade) {
+        const type = typeOf(block).replace(/_statement$/, '');
+        const spec = INDICATORS[type];
+
+        // The statement form takes its inputs from the blocks stacked inside it
+        const sources = [block, ...stackFrom(statementOf(block, 'STATEMENT'))];
+        const input = (name) => sources.map(source => valueOf(source, name)).find(Boolean) || null;
+
+        const list = input('INPUT') || input('INPUT_LIST');
+        let series = null;
+        if (list && typeOf(list) === 'ticks') {
+            series = 'ticks';
+        } else if (list && typeOf(list) === 'ohlc_values' && (fieldOf(list, 'OHLCFIELD_LIST') || 'close') === 'close') {
+            const interval = fieldOf(list, 'CANDLEINTERVAL_LIST');
+            series = !interval || interval === 'default' ? trade.candleInterval : Number(interval);
+        }
+        if (series === null) {
+            this.report(context.unsupported, list || block, 'indicators can only read tick prices or candle closes');
+            return null;
+        }
+        if (!this.useSeries(context, series, block)) return null;
+
+        const params = {};
+        for (const [param, name] of Object.entries(spec.params)) {
+            params[param] = this.constant(context, input(name));
+            if (params[param] === null) {
+                this.report(context.unsupported, block, `the ${name.toLowerCase()} setting must be a number`);
+                return null;
+            }
+        }
+        if (spec.type === 'bollinger' && this.constant(context, input('DOWNMULTIPLIER')) !== params.stdDev) {
+            this.report(context.unsupported, block, 'Bollinger Bands need the same upper and lower multiplier');
+            return null;
+        }
+
+        // Named for its settings, so blocks with the same settings share one
+        const name = `${spec.type}${Object.values(params).join('_')}`.replace(/\./g, 'p').replace(/-/g, 'm');
+        context.indicators[name] = { type: spec.type, ...params };
+
+        if (!spec.output) return name;
+        const output = spec.output.values[fieldOf(block, spec.output.field)];
+        if (!output) {
+            this.report(context.unsupported, block, `unknown ${spec.output.field.toLowerCase()} choice`);
+            return null;
+        }
+        return `${name}.${output}`;
+    }
+
+    // Note which prices the strategy reads. A bot reads one series, ticks or candles
+    // of one size, so a strategy that mixes them can't be imported whole.
+    useSeries(context, series, block) {
+        if (context.series === undefined) context.series = series;
+        if (context.series === series) return true;
+
+        this.report(context.unsupported, block, 'reads different prices (ticks or candle sizes) than the rest of the strategy');
+        return false;
+    }
+
+    // Read the after purchase block into money and risk management
+    readAfterPurchase(context, block, trade) {
+        const state = { stakeChanges: [], tradeAgain: new Set(), riskManagement: {} };
+        this.readAfterStack(context, statementOf(block, 'AFTERPURCHASE_STACK'), { outcome: null, guards: [] }, state, trade);
+
+        // Trading again only after wins means stopping at the first loss
+        if (state.tradeAgain.size === 0) {
+            this.report(context.unsupported, block, 'never trades again, so DBot stops after one trade; bots here keep trading');
+        } else if (!state.tradeAgain.has('any') && !(state.tradeAgain.has('win') && state.tradeAgain.has('loss'))) {
+            if (state.tradeAgain.has('win')) {
+                state.riskManagement.maxConsecutiveLosses = 1;
+            } else {
+                this.report(context.unsupported, block, 'stops after the first win, which has no equivalent here');
+            }
+        }
+
+        return {
+            moneyManagement: this.moneyManagementFor(context, block, state.stakeChanges),
+            riskManagement: state.riskManagement
+        };
+    }
+
+    // Read an after purchase stack. `scope` says which contract result the stack runs
+    // after, if known, and which total profit checks guard it.
+    readAfterStack(context, first, scope, state, trade) {
+        for (const block of stackFrom(first)) {
+            if (!this.isActive(context, block)) continue;
+
+            const type = typeOf(block);
+            if (type === 'trade_again') {
+                state.tradeAgain.add(scope.outcome || 'any');
+                this.recordProfitLimits(context, block, scope.guards, state);
+                return;
+            }
+
+            if (type === 'controls_if') {
+                this.readAfterIf(context, block, scope, state, trade);
+            } else if (['variables_set', 'math_change'].includes(type) && trade.stakeVariable && fieldOf(block, 'VAR') === trade.stakeVariable) {
+                this.readStakeChange(context, block, scope, state, trade);
+            } else {
+                this.report(context.unsupported, block, 'not supported after purchase; only stake changes, total profit checks and trade again are');
+            }
+        }
+    }
+
+    // Read each branch of an if block after purchase. Conditions may check the
+    // contract's result or the total profit.
+    readAfterIf(context, block, scope, state, trade) {
+        const { elseifs, hasElse } = this.branchesOf(block);
+        let rest = scope;
+
+        for (let i = 0; i <= elseifs; i++) {
+            const condition = valueOf(block, `IF${i}`);
+            const branch = condition && this.afterCondition(context, condition);
+            if (!branch) {
+                this.report(context.unsupported, condition || block, 'after purchase, only the contract result or total profit can be checked');
+                return;
+            }
+
+            if (branch.outcome) {
+                this.readAfterStack(context, statementOf(block, `DO${i}`), { ...rest, outcome: branch.outcome }, state, trade);
+                rest = { ...rest, outcome: branch.outcome === 'win' ? 'loss' : 'win' };
+                continue;
+            }
+
+            this.readAfterStack(context, statementOf(block, `DO${i}`), { ...rest, guards: [...rest.guards, ...branch.guards] }, state, trade);
+            if (!branch.negated) {
+                if (i < elseifs || hasElse) {
+                    this.report(context.unsupported, block, 'branches after a combined total profit check were left out');
+                }
+                return;
+            }
+            rest = { ...rest, guards: [...rest.guards, ...branch.negated] };
+        }
+
+        if (hasElse) {
+            this.readAfterStack(context, statementOf(block, 'ELSE'), rest, state, trade);
+        }
+    }
+
+    // What an after purchase condition checks: { outcome } for the contract result, or
+    // { guards, negated } for total profit comparisons. Null if neither.
+    afterCondition(context, block) {
+        const type = typeOf(block);
+
+        if (type === 'contract_check_result') {
+            const outcome = fieldOf(block, 'CHECK_RESULT');
+            return ['win', 'loss'].includes(outcome) ? { outcome } : null;
+        }
+
+        if (type === 'logic_compare') {
+            const guard = this.profitGuard(context, block);
+            return guard && { guards: [guard], negated: [{ op: NEGATED_OPS[guard.op], value: guard.value }] };
+        }
+
+        if (type === 'logic_operation' && fieldOf(block, 'OP') === 'AND') {
+            const a = valueOf(block, 'A') && this.afterCondition(context, valueOf(block, 'A'));
+            const b = valueOf(block, 'B') && this.afterCondition(context, valueOf(block, 'B'));
+            return a?.guards && b?.guards ? { guards: [...a.guards, ...b.guards], negated: null } : null;
+        }
+
+        return null;
+    }
+
+    // A comparison of total profit with a number, as { op, value } reading
+    // "total profit <op> value", or null
+    profitGuard(context, block) {
+        const op = COMPARE_OPS[fieldOf(block, 'OP')];
+        if (!SWAPPED_OPS[op]) return null;
+
+        const a = valueOf(block, 'A');
+        const b = valueOf(block, 'B');
+
+        if (a && typeOf(a) === 'total_profit') {
+            const value = this.constant(context, b);
+            return value === null ? null : { op, value };
+        }
+        if (b && typeOf(b) === 'total_profit') {
+            const value = this.constant(context, a);
+            return value === null ? null : { op: SWAPPED_OPS[op], value };
+        }
+        return null;
+    }
+
+    // Turn the total profit checks guarding "trade again" into session limits
+    recordProfitLimits(context, block, guards, state) {
+        const limits = state.riskManagement;
+
+        for (const { op, value } of guards) {
+            // Keep trading while profit is below a target, or above a (negative) floor
+            const [limit, amount] = ['<', '<='].includes(op) && value > 0
+                ? ['sessionTakeProfit', value]
+                : (['>', '>='].includes(op) && value < 0 ? ['sessionStopLoss', -value] : []);
+
+            if (!limit) {
+                this.report(context.unsupported, block, `trades again only while total profit ${op} ${value}, which has no equivalent here`);
+            } else if (limits[limit] !== undefined && limits[limit] !== amount) {
+                this.report(context.unsupported, block, `sets ${limit} to both ${limits[limit]} and ${amount}; kept ${limits[limit]}`);
+            } else {
+                limits[limit] = amount;
+            }
+        }
+    }
+
+    // Read a change to the stake variable after a win or loss
+    readStakeChange(context, block, scope, state, trade) {
+        const name = trade.stakeVariable;
+        let change = null;
+
+        if (typeOf(block) === 'math_change') {
+            const delta = this.constant(context, valueOf(block, 'DELTA'), { initial: true });
+            if (delta !== null) change = { op: 'add', value: delta };
+        } else {
+            const value = valueOf(block, 'VALUE');
+            const self = (item) => item && typeOf(item) === 'variables_get' && fieldOf(item, 'VAR') === name;
+
+            if (value && typeOf(value) === 'math_arithmetic' && (self(valueOf(value, 'A')) || self(valueOf(value, 'B')))) {
+                // Stake = Stake * 2, Stake = Stake + 1, Stake = Stake - 1
+                const op = fieldOf(value, 'OP');
+                const other = this.constant(context, self(valueOf(value, 'A')) ? valueOf(value, 'B') : valueOf(value, 'A'), { initial: true });
+                if (other !== null && op === 'MULTIPLY') change = { op: 'multiply', value: other };
+                if (other !== null && op === 'ADD') change = { op: 'add', value: other };
+                if (other !== null && op === 'MINUS' && self(valueOf(value, 'A'))) change = { op: 'add', value: -other };
+            } else if (this.constant(context, value, { initial: true }) === trade.stake) {
+                change = { op: 'reset' };
+            }
+        }
+
+        if (!change) {
+            this.report(context.unsupported, block, 'only multiplying, adding to or resetting the stake can be imported');
+        } else if (!scope.outcome) {
+            this.report(context.unsupported, block, 'stake changes are only imported inside a win or loss check');
+        } else {
+            state.stakeChanges.push({ outcome: scope.outcome, ...change, block });
+        }
+    }
+
+    // Match the stake changes to a money management mode
+    moneyManagementFor(context, block, changes) {
+        if (changes.length === 0) return null;
+
+        const only = (outcome) => {
+            const matching = changes.filter(change => change.outcome === outcome);
+            return matching.length === 1 ? matching[0] : null;
+        };
+        const win = only('win');
+        const loss = only('loss');
+
+        let settings = null;
+        if (loss?.op === 'multiply' && win?.op === 'reset') {
+            settings = { mode: 'martingale', multiplier: loss.value };
+        } else if (win?.op === 'multiply' && loss?.op === 'reset') {
+            settings = { mode: 'anti_martingale', multiplier: win.value };
+        } else if (loss?.op === 'add' && win?.op === 'add' && loss.value > 0 && win.value === -loss.value) {
+            settings = { mode: 'dalembert', unit: loss.value };
+        }
+
+        if (!settings) {
+            changes.forEach(change => this.report(context.unsupported, change.block,
+                'the stake changes don\'t match martingale, anti-martingale or d\'Alembert'));
+            return null;
+        }
+
+        context.warnings.push(`DBot changes the stake without limit; here ${settings.mode} stops at moneyManagement.maxSteps and maxStake, which use their defaults`);
+        return settings;
+    }
+
+    // Report the top-level blocks the import doesn't read
+    readOtherBlock(context, block, ...read) {
+        if (read.includes(block)) return;
+
+        const type = typeOf(block);
+        if (['during_purchase', 'tick_analysis'].includes(type)) {
+            const stacks = elementsOf(block, 'statement')
+                .flatMap(statement => stackFrom(statement.children.find(child => child.name === 'block')));
+            for (const item of stacks) {
+                if (this.isActive(context, item)) {
+                    this.report(context.unsupported, item, type === 'during_purchase'
+                        ? 'selling before the contract ends isn\'t supported'
+                        : 'tick analysis isn\'t supported');
+                }
+            }
+        } else if (['procedures_defnoreturn', 'procedures_defreturn'].includes(type)) {
+            this.report(context.ignored, block, 'functions aren\'t imported, and calls to them are reported where they are made');
+        } else {
+            this.report(context.ignored, block, 'not attached to a strategy block, so DBot doesn\'t run it either');
+        }
+    }
+
+    // The number a value block always gives, or null. Variables changed while the
+    // strategy runs only count when `initial` asks for their starting value.
+    constant(context, block, { initial = false } = {}) {
+        if (!block) return null;
+
+        const number = (item) => this.constant(context, item, { initial });
+        switch (typeOf(block)) {
+            case 'math_number': {
+                const value = Number(fieldOf(block, 'NUM'));
+                return Number.isFinite(value) ? value : null;
+            }
+            case 'variables_get': {
+                const name = fieldOf(block, 'VAR');
+                if (!initial && context.assigned.has(name)) return null;
+                return context.constants.get(name) ?? null;
+            }
+            case 'math_single': {
+                const value = number(valueOf(block, 'NUM'));
+                return fieldOf(block, 'OP') === 'NEG' && value !== null ? -value : null;
+            }
+            case 'math_arithmetic': {
+                const a = number(valueOf(block, 'A'));
+                const b = number(valueOf(block, 'B'));
+                if (a === null || b === null) return null;
+
+                const result = { ADD: a + b, MINUS: a - b, MULTIPLY: a * b, DIVIDE: a / b, POWER: a ** b }[fieldOf(block, 'OP')];
+                return Number.isFinite(result) ? result : null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    // How many else-if branches an if block has, and whether it has an else
+    branchesOf(block) {
+        const mutation = elementsOf(block, 'mutation')[0];
+        return {
+            elseifs: Number(mutation?.attributes.elseif) || 0,
+            hasElse: mutation?.attributes.else === '1'
+        };
+    }
+
+    // Whether a block runs, noting blocks that are disabled or only print
+    isActive(context, block) {
+        if (isDisabled(block)) {
+            this.report(context.ignored, block, 'disabled in DBot');
+            return false;
+        }
+        if (DISPLAY_BLOCKS.includes(typeOf(block))) {
+            this.report(context.ignored, block, 'only prints or notifies');
+            return false;
+        }
+        return true;
+    }
+
+    // Add a block to a report list
+    report(list, block, reason) {
+        list.push({ block: typeOf(block), id: block.attributes.id, reason });
+    }
+}
+
+export default DbotImporter;
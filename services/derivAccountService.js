@@ -0,0 +1,173 @@
+import crypto from 'crypto';
+import { updateOne } from '../models/User';
+import encryption from '../utils/encryption';
+import { info, warn, error as _error } from '../utils/logger';
+
+class DerivAccountService {
+    // Pass { listen: false } to use the account helpers without a second set of listeners
+    constructor({ listen = true } = {}) {
+        this.oauthStates = new Map(); // userId -> { state, expiresAt }
+        this.oauthStateTtl = 10 * 60 * 1000;
+        if (listen) this.setupEventListeners();
+    }
+
+    // Setup WebSocket event listeners
+    setupEventListeners() {
+        const wsManager = global.derivWSManager;
+
+        // Flag tokens Deriv has revoked or expired
+        wsManager.on('token_invalid', ({ userId, loginid, error }) => {
+            this.flagToken(userId, loginid, error);
+        });
+    }
+
+    // Start an OAuth link, returning the Deriv URL carrying a one-time state for this user
+    beginOAuth(userId) {
+        const state = crypto.randomBytes(16).toString('hex');
+        this.oauthStates.set(userId.toString(), { state, expiresAt: Date.now() + this.oauthStateTtl });
+
+        const params = new URLSearchParams({ app_id: process.env.DERIV_APP_ID, state });
+        return `https://oauth.deriv.com/oauth2/authorize?${params}`;
+    }
+
+    // Check a callback's state against the one issued to the user. Each state works once.
+    consumeOAuthState(userId, state) {
+        const key = userId.toString();
+        const issued = this.oauthStates.get(key);
+        this.oauthStates.delete(key);
+
+        if (!issued || typeof state !== 'string' || Date.now() > issued.expiresAt) return false;
+
+        const expected = Buffer.from(issued.state);
+        const received = Buffer.from(state);
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    }
+
+    // Read the acct1/token1/cur1, acct2/token2/cur2... pairs of a Deriv OAuth redirect
+    parseOAuthParams(query) {
+        const accounts = [];
+
+        for (let i = 1; query[`acct${i}`]; i++) {
+            const token = query[`token${i}`];
+            if (!token) continue;
+
+            accounts.push({
+                loginid: query[`acct${i}`],
+                token,
+                currency: query[`cur${i}`] ? query[`cur${i}`].toUpperCase() : undefined
+            });
+        }
+
+        return accounts;
+    }
+
+    // Verify a token with Deriv and connect it under the user
+    async verifyAccount(userId, { loginid, token }, isDefault) {
+        const encryptedToken = encryption.encrypt(token);
+
+        await global.derivWSManager.connect(userId, loginid, encryptedToken, { isDefault });
+
+        let accountInfo;
+        try {
+            accountInfo = await global.derivWSManager.whenAuthorized(userId, loginid);
+        } catch (error) {
+            await global.derivWSManager.disconnect(userId, loginid);
+            throw new Error(error.message || 'Deriv rejected the token');
+        }
+
+        if (accountInfo.loginid !== loginid) {
+            await global.derivWSManager.disconnect(userId, loginid);
+            throw new Error(`Token belongs to ${accountInfo.loginid}, not ${loginid}`);
+        }
+
+        return {
+            loginid,
+            currency: accountInfo.currency,
+            isVirtual: Boolean(accountInfo.is_virtual),
+            balance: accountInfo.balance,
+            scopes: accountInfo.scopes || [],
+            encryptedToken,
+            tokenStatus: 'active',
+            tokenError: null,
+            tokenCheckedAt: new Date()
+        };
+    }
+
+    // Verify and store one or more accounts on the user record
+    async linkAccounts(user, accounts, { defaultLoginid } = {}) {
+        const stored = user.derivAccounts || [];
+        const linked = [];
+        const failed = [];
+
+        for (const account of accounts) {
+            const makeDefault = account.loginid === defaultLoginid ||
+                (!defaultLoginid && !stored.some(item => item.isDefault) && linked.length === 0);
+
+            let details;
+            try {
+                details = await this.verifyAccount(user.id, account, makeDefault);
+            } catch (error) {
+                warn(`Could not link Deriv account ${account.loginid} for user ${user.id}: ${error.message}`);
+                failed.push({ loginid: account.loginid, message: error.message });
+                continue;
+            }
+
+            if (makeDefault) {
+                stored.forEach(item => { item.isDefault = false; });
+            }
+
+            const existing = stored.find(item => item.loginid === account.loginid);
+            details.isDefault = makeDefault || Boolean(existing?.isDefault);
+
+            if (existing) {
+                Object.assign(existing, details);
+            } else {
+                stored.push({ ...details, linkedAt: new Date() });
+            }
+
+            linked.push(account.loginid);
+        }
+
+        user.derivAccounts = stored;
+        if (linked.length > 0) {
+            await user.save();
+            info(`Linked Deriv accounts ${linked.join(', ')} for user ${user.id}`);
+        }
+
+        return { linked, failed };
+    }
+
+    // Reconnect every stored account whose token is still usable
+    async connectStoredAccounts(user) {
+        for (const account of user.derivAccounts || []) {
+            if (!account.encryptedToken || account.tokenStatus === 'invalid') continue;
+
+            try {
+                await global.derivWSManager.connect(user.id, account.loginid, account.encryptedToken, {
+                    isDefault: account.isDefault
+                });
+            } catch (error) {
+                _error(`Failed to connect Deriv account ${account.loginid} for user ${user.id}:`, error);
+            }
+        }
+    }
+
+    // Mark a stored token as no longer usable
+    async flagToken(userId, loginid, error) {
+        try {
+            await updateOne({ _id: userId, 'derivAccounts.loginid': loginid }, {
+                $set: {
+                    'derivAccounts.$.tokenStatus': 'invalid',
+                    'derivAccounts.$.tokenError': error.message || error.code,
+                    'derivAccounts.$.tokenCheckedAt': new Date()
+                }
+            });
+
+            warn(`Flagged Deriv token for user ${userId} (${loginid}) as invalid`);
+        } catch (updateError) {
+            _error(`Error flagging token for user ${userId} (${loginid}):`, updateError);
+        }
+    }
+}
+
+export default DerivAccountService;
@@ -1,23 +1,138 @@
-import WebSocket, { OPEN } from 'ws';
+import WebSocket from 'ws';
 import { info, error as _error, warn } from '../utils/logger';
 import encryption from '../utils/encryption';
+import RateLimiter from './rateLimiter';
 import EventEmitter from 'events';
 
+// Deriv error codes meaning the stored token can no longer be used
+const TOKEN_ERROR_CODES = new Set(['InvalidToken', 'DisabledClient']);
+
+// Lifecycle of a connection. Bots may trade while ready or degraded.
+//   connecting -> authorizing -> ready <-> degraded
+//   any -> reconnecting -> authorizing -> ready, or -> failed
+export const CONNECTION_STATES = ['connecting', 'authorizing', 'ready', 'degraded', 'reconnecting', 'failed'];
+const USABLE_STATES = new Set(['ready', 'degraded']);
+
+// Error for trades refused before reaching Deriv, shaped like Deriv's own errors
+function tradeError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// Error for an authorization that will never arrive, as opposed to Deriv refusing the token
+function notAuthorized(reason) {
+    const error = new Error(`Not authorized: ${reason}`);
+    error.code = 'NotAuthorized';
+    return error;
+}
+
+// How each Deriv msg_type is handled: an optional handler method, then an event
+// carrying the response under `key`
+const MESSAGE_TYPES = {
+    authorize: { handler: 'handleAuthorize', event: 'authenticated', key: 'accountInfo' },
+    balance: { handler: 'handleBalance', event: 'balance', key: 'balance' },
+    portfolio: { event: 'portfolio', key: 'portfolio' },
+    statement: { event: 'statement', key: 'statement' },
+    profit_table: { event: 'profit_table', key: 'profitTable' },
+    transaction: { event: 'transaction', key: 'transaction' },
+    tick: { event: 'tick', key: 'tick' },
+    history: { event: 'ticks_history', key: 'history' },
+    candles: { event: 'candles', key: 'candles' },
+    ohlc: { event: 'ohlc', key: 'ohlc' },
+    proposal: { event: 'proposal', key: 'proposal' },
+    proposal_array: { event: 'proposal_array', key: 'proposalArray' },
+    buy: { event: 'buy', key: 'buy' },
+    sell: { event: 'sell', key: 'sell' },
+    proposal_open_contract: { handler: 'handleOpenContract', event: 'contract_update', key: 'contract' },
+    active_symbols: { event: 'active_symbols', key: 'activeSymbols' },
+    contracts_for: { event: 'contracts_for', key: 'contractsFor' },
+    website_status: { event: 'website_status', key: 'websiteStatus' },
+    ping: {},
+    forget: {},
+    forget_all: {}
+};
+
 class DerivWebSocketManager extends EventEmitter {
-    constructor() {
+    constructor(options = {}) {
         super();
-        this.connections = new Map(); // userId -> connection object
+        this.connections = new Map(); // `${userId}:${loginid}` -> connection object
+        this.defaultAccounts = new Map(); // userId -> default loginid
         this.reconnectAttempts = new Map();
         this.maxReconnectAttempts = 5;
         this.reconnectDelay = 3000;
+        this.maxReconnectDelay = 60000;
+        this.requestTimeout = 30000;
+        this.heartbeatInterval = options.heartbeatInterval ?? 30000;
+        this.degradedAfter = this.heartbeatInterval + 5000; // silence before a connection is degraded
+        this.heartbeatTimeout = this.heartbeatInterval * 3; // silence before it is dropped
+        this.heartbeatTimer = null;
+        this.nextReqId = 1;
+        this.nextProposalKey = 1; // proposal streams are tracked under their own counter
+        this.unknownMessageTypes = new Map(); // msg_type -> times received
+        this.rateLimitOptions = options.rateLimits || {}; // { limits, maxQueueSize, messageTtl }
+
+        if (this.heartbeatInterval > 0) {
+            this.startHeartbeat();
+        }
     }
 
-    // Create a new WebSocket connection for a user
-    async connect(userId, derivToken) {
+    // Key of the connection for one of a user's Deriv accounts
+    connectionKey(userId, loginid) {
+        return `${userId}:${loginid}`;
+    }
+
+    // Find a user's connection, falling back to their default account
+    getConnection(userId, loginid) {
+        const account = loginid || this.getDefaultAccount(userId);
+        if (!account) return null;
+        return this.connections.get(this.connectionKey(userId, account)) || null;
+    }
+
+    // Get the loginid used when no account is specified
+    getDefaultAccount(userId) {
+        return this.defaultAccounts.get(userId) || null;
+    }
+
+    // Mark one of a user's linked accounts as the default
+    setDefaultAccount(userId, loginid) {
+        if (!this.connections.has(this.connectionKey(userId, loginid))) {
+            throw new Error(`Account ${loginid} is not linked for user ${userId}`);
+        }
+        this.defaultAccounts.set(userId, loginid);
+        this.emit('default_account_changed', { userId, loginid });
+    }
+
+    // Get every linked account of a user
+    getAccounts(userId) {
+        const accounts = [];
+        for (const connection of this.connections.values()) {
+            if (connection.userId !== userId) continue;
+
+            accounts.push({
+                loginid: connection.loginid,
+                currency: connection.accountInfo?.currency,
+                balance: connection.balance ?? connection.accountInfo?.balance,
+                isVirtual: Boolean(connection.accountInfo?.is_virtual),
+                isDefault: this.getDefaultAccount(userId) === connection.loginid,
+                isConnected: this.isConnected(userId, connection.loginid),
+                state: connection.state
+            });
+        }
+        return accounts;
+    }
+
+    // Create a new WebSocket connection for one of a user's Deriv accounts.
+    // The token arrives encrypted and is only decrypted when authorizing.
+    async connect(userId, loginid, encryptedToken, { isDefault = false, subscriptions = new Map(), reconnecting = false } = {}) {
+        const key = this.connectionKey(userId, loginid);
+
         try {
             // Close existing connection if any
-            if (this.connections.has(userId)) {
-                await this.disconnect(userId);
+            const previous = this.connections.get(key);
+            const attempts = this.reconnectAttempts.get(key) || 0;
+            if (previous) {
+                await this.disconnect(userId, loginid);
             }
 
             const wsUrl = `${process.env.DERIV_WEBSOCKET_URL}?app_id=${process.env.DERIV_APP_ID}`;
@@ -25,141 +140,281 @@ class DerivWebSocketManager extends EventEmitter {
 
             const connectionData = {
                 ws,
+                key,
                 userId,
-                token: derivToken,
+                loginid,
+                encryptedToken,
                 isAuthenticated: false,
-                subscriptions: new Set(),
-                messageQueue: [],
-                lastPing: Date.now()
+                accountInfo: null,
+                balance: null,
+                subscriptions, // key -> { message, reqId, subscriptionId, promise }
+                pendingRestore: [...subscriptions.values()],
+                pendingRequests: new Map(), // req_id -> { resolve, reject, timer }
+                limiter: new RateLimiter(this.rateLimitOptions),
+                drainTimer: null,
+                closeHandled: false,
+                state: previous?.state || null,
+                stateChangedAt: null,
+                lastSeen: Date.now()
             };
+            this.setState(connectionData, reconnecting ? 'reconnecting' : 'connecting');
+
+            // Settled by the authorize response, for callers linking a new account
+            connectionData.authorized = new Promise((resolve, reject) => {
+                connectionData.settleAuthorization = { resolve, reject };
+            });
+            connectionData.authorized.catch(() => {});
 
             // Setup WebSocket event handlers
             ws.on('open', () => {
-                info(`WebSocket connected for user ${userId}`);
-                this.authenticate(userId, derivToken);
+                info(`WebSocket connected for user ${userId} (${loginid})`);
+                connectionData.lastSeen = Date.now();
+                this.setState(connectionData, 'authorizing');
+                this.authenticate(connectionData);
             });
 
             ws.on('message', (data) => {
-                this.handleMessage(userId, data);
+                this.handleMessage(connectionData, data);
             });
 
+            // The close that follows handles reconnecting; an unheard 'error' event would throw
             ws.on('error', (error) => {
-                _error(`WebSocket error for user ${userId}:`, error);
-                this.emit('error', { userId, error });
+                _error(`WebSocket error for user ${userId} (${loginid}):`, error);
             });
 
             ws.on('close', (code, reason) => {
-                warn(`WebSocket closed for user ${userId}: ${code} - ${reason}`);
-                this.handleDisconnect(userId);
+                warn(`WebSocket closed for user ${userId} (${loginid}): ${code} - ${reason}`);
+                this.handleDisconnect(connectionData);
             });
 
             // Store connection
-            this.connections.set(userId, connectionData);
-            this.reconnectAttempts.set(userId, 0);
+            this.connections.set(key, connectionData);
+            this.reconnectAttempts.set(key, reconnecting ? attempts : 0);
+
+            if (isDefault || !this.defaultAccounts.has(userId)) {
+                this.defaultAccounts.set(userId, loginid);
+            }
 
             return true;
         } catch (error) {
-            _error(`Failed to connect WebSocket for user ${userId}:`, error);
+            _error(`Failed to connect WebSocket for user ${userId} (${loginid}):`, error);
             throw error;
         }
     }
 
     // Authenticate with Deriv API
-    authenticate(userId, token) {
+    authenticate(connection) {
+        let token;
+        try {
+            token = encryption.decrypt(connection.encryptedToken);
+        } catch (error) {
+            _error(`Could not decrypt token for user ${connection.userId} (${connection.loginid}):`, error);
+        }
+
+        if (!token) {
+            this.rejectToken(connection, { code: 'InvalidToken', message: 'Stored token could not be decrypted' });
+            return;
+        }
+
         const message = {
             authorize: token
         };
-        this.send(userId, message);
-    }
 
-    // Handle incoming WebSocket messages
-    handleMessage(userId, data) {
-        try {
-            const message = JSON.parse(data.toString());
-            const connection = this.connections.get(userId);
+        this.requestOn(connection, message).then(
+            response => connection.settleAuthorization.resolve(response.authorize),
+            error => connection.settleAuthorization.reject(error)
+        );
+    }
 
-            if (!connection) return;
+    // Wait until one of a user's accounts has authorized. Rejects if Deriv refuses the
+    // token, or with code NotAuthorized if the socket gives up or the wait times out.
+    whenAuthorized(userId, loginid, timeout = this.requestTimeout) {
+        const connection = this.getConnection(userId, loginid);
 
-            // Handle authorization response
-            if (message.authorize) {
-                connection.isAuthenticated = true;
-                info(`User ${userId} authenticated successfully`);
-                this.emit('authenticated', { userId, accountInfo: message.authorize });
+        if (!connection) {
+            return Promise.reject(new Error(`No connection found for user ${userId}`));
+        }
 
-                // Process queued messages
-                this.processMessageQueue(userId);
+        let timer;
+        const timedOut = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(notAuthorized('timed out waiting for authorization')), timeout);
+        });
 
-                // Subscribe to initial data
-                this.subscribeToInitialData(userId);
-            }
+        return Promise.race([connection.authorized, timedOut]).finally(() => clearTimeout(timer));
+    }
 
-            // Handle balance updates
-            if (message.balance) {
-                this.emit('balance', { userId, balance: message.balance });
-            }
+    // Fail anyone still waiting on a connection's authorization
+    abandonAuthorization(connection, reason) {
+        connection.settleAuthorization.reject(notAuthorized(reason));
+    }
 
-            // Handle portfolio updates
-            if (message.portfolio) {
-                this.emit('portfolio', { userId, portfolio: message.portfolio });
-            }
+    // Handle incoming WebSocket messages
+    handleMessage(connection, data) {
+        const { userId, loginid } = connection;
 
-            // Handle statement updates
-            if (message.statement) {
-                this.emit('statement', { userId, statement: message.statement });
-            }
+        try {
+            const message = JSON.parse(data.toString());
 
-            // Handle tick updates
-            if (message.tick) {
-                this.emit('tick', { userId, tick: message.tick });
-            }
+            // Ignore sockets that have since been replaced
+            if (this.connections.get(connection.key) !== connection) return;
 
-            // Handle proposal (contract price) updates
-            if (message.proposal) {
-                this.emit('proposal', { userId, proposal: message.proposal });
+            // Any traffic shows the connection is alive
+            connection.lastSeen = Date.now();
+            if (connection.state === 'degraded') {
+                this.setState(connection, 'ready');
             }
 
-            // Handle buy response
-            if (message.buy) {
-                this.emit('buy', { userId, buy: message.buy });
+            // Remember the Deriv id of any stream this response opened
+            if (message.subscription) {
+                this.recordSubscriptionId(connection, message);
             }
 
-            // Handle proposal open contract updates
-            if (message.proposal_open_contract) {
-                this.emit('contract_update', { userId, contract: message.proposal_open_contract });
-            }
+            // Settle the request that produced this response, if any
+            this.resolveRequest(connection, message);
 
             // Handle errors
             if (message.error) {
-                _error(`Deriv API error for user ${userId}:`, message.error);
-                this.emit('api_error', { userId, error: message.error });
-            }
+                _error(`Deriv API error for user ${userId} (${loginid}):`, message.error);
+                this.emit('api_error', {
+                    userId,
+                    loginid,
+                    msgType: message.msg_type,
+                    error: message.error,
+                    reqId: message.req_id,
+                    passthrough: message.passthrough
+                });
 
-            // Handle ping/pong
-            if (message.ping) {
-                this.send(userId, { ping: 1 });
-                connection.lastPing = Date.now();
+                // A revoked or expired token fails every call, so stop using it
+                if (TOKEN_ERROR_CODES.has(message.error.code)) {
+                    this.rejectToken(connection, message.error);
+                }
+                return;
             }
 
+            this.dispatchMessage(connection, message);
         } catch (error) {
-            _error(`Error handling message for user ${userId}:`, error);
+            _error(`Error handling message for user ${userId} (${loginid}):`, error);
+        }
+    }
+
+    // Route a response to its msg_type handler and emit its event
+    dispatchMessage(connection, message) {
+        const { userId, loginid } = connection;
+        const type = MESSAGE_TYPES[message.msg_type];
+
+        if (!type) {
+            this.recordUnknownMessage(connection, message);
+            return;
+        }
+
+        if (type.handler) {
+            this[type.handler](connection, message);
+        }
+
+        if (type.event) {
+            this.emit(type.event, {
+                userId,
+                loginid,
+                [type.key]: message[message.msg_type],
+                reqId: message.req_id,
+                passthrough: message.passthrough
+            });
         }
     }
 
+    // Count message types we don't handle yet, so new Deriv features show up
+    recordUnknownMessage(connection, message) {
+        const msgType = message.msg_type || 'none';
+        const count = (this.unknownMessageTypes.get(msgType) || 0) + 1;
+        this.unknownMessageTypes.set(msgType, count);
+
+        if (count === 1) {
+            warn(`Unhandled Deriv msg_type "${msgType}" for user ${connection.userId} (${connection.loginid})`);
+        }
+
+        this.emit('unknown_message', {
+            userId: connection.userId,
+            loginid: connection.loginid,
+            msgType,
+            message,
+            reqId: message.req_id,
+            passthrough: message.passthrough
+        });
+    }
+
+    // Handle authorization response
+    handleAuthorize(connection, message) {
+        const { userId, loginid } = connection;
+
+        if (message.authorize.loginid !== loginid) {
+            warn(`Token for ${loginid} authorized account ${message.authorize.loginid} for user ${userId}`);
+        }
+
+        connection.isAuthenticated = true;
+        connection.accountInfo = message.authorize;
+        info(`User ${userId} (${loginid}) authenticated successfully`);
+
+        this.reconnectAttempts.set(connection.key, 0);
+        this.setState(connection, 'ready');
+
+        // Process queued messages
+        this.processMessageQueue(connection);
+
+        // Replay streams carried over from a dropped connection
+        this.restoreSubscriptions(connection);
+
+        // Subscribe to initial data
+        this.subscribeToInitialData(connection);
+    }
+
+    // Handle balance updates
+    handleBalance(connection, message) {
+        connection.balance = message.balance.balance;
+    }
+
+    // Handle proposal open contract updates
+    handleOpenContract(connection, message) {
+        // Deriv ends the stream once the contract is sold
+        if (message.proposal_open_contract.is_sold) {
+            connection.subscriptions.delete(`contract_${message.proposal_open_contract.contract_id}`);
+        }
+    }
+
+    // Move a connection to a new lifecycle state and announce it
+    setState(connection, state, details = {}) {
+        const previous = connection.state;
+        if (previous === state) return;
+
+        connection.state = state;
+        connection.stateChangedAt = Date.now();
+        info(`Connection for user ${connection.userId} (${connection.loginid}): ${previous || 'new'} -> ${state}`);
+
+        this.emit('connection_state', {
+            userId: connection.userId,
+            loginid: connection.loginid,
+            state,
+            previous,
+            ...details
+        });
+    }
+
     // Subscribe to initial data streams
-    subscribeToInitialData(userId) {
+    subscribeToInitialData(connection) {
+        const { userId, loginid } = connection;
+
         // Subscribe to balance updates
-        this.send(userId, { balance: 1, subscribe: 1 });
+        this.subscribe(userId, 'balance', { balance: 1, subscribe: 1 }, loginid);
 
         // Subscribe to portfolio updates
-        this.send(userId, { portfolio: 1, subscribe: 1 });
+        this.subscribe(userId, 'portfolio', { portfolio: 1, subscribe: 1 }, loginid);
 
         // Get recent transactions
-        this.send(userId, { statement: 1, limit: 50 });
+        this.sendTo(connection, { statement: 1, limit: 50 });
     }
 
     // Subscribe to tick data for a symbol
-    subscribeTicks(userId, symbol) {
-        const connection = this.connections.get(userId);
+    subscribeTicks(userId, symbol, loginid) {
+        const connection = this.getConnection(userId, loginid);
         if (!connection) {
             warn(`Cannot subscribe to ticks: No connection for user ${userId}`);
             return;
@@ -170,22 +425,15 @@ class DerivWebSocketManager extends EventEmitter {
             subscribe: 1
         };
 
-        this.send(userId, message);
-        connection.subscriptions.add(`ticks_${symbol}`);
+        this.subscribe(userId, `ticks_${symbol}`, message, connection.loginid)
+            .catch(error => _error(`Tick subscription for ${symbol} failed for user ${userId}:`, error));
         info(`User ${userId} subscribed to ticks for ${symbol}`);
     }
 
     // Unsubscribe from tick data
-    unsubscribeTicks(userId, symbol) {
-        const connection = this.connections.get(userId);
-        if (!connection) return;
+    unsubscribeTicks(userId, symbol, loginid) {
+        if (!this.forget(userId, `ticks_${symbol}`, loginid)) return;
 
-        const message = {
-            forget: symbol
-        };
-
-        this.send(userId, message);
-        connection.subscriptions.delete(`ticks_${symbol}`);
         info(`User ${userId} unsubscribed from ticks for ${symbol}`);
     }
 
@@ -203,7 +451,12 @@ class DerivWebSocketManager extends EventEmitter {
             subscribe: 1
         };
 
-        this.send(userId, message);
+        // Digit over/under/match/differ contracts take the digit as their barrier
+        if (params.barrier !== undefined && params.barrier !== null) message.barrier = String(params.barrier);
+        if (params.passthrough) message.passthrough = params.passthrough;
+
+        // Each proposal is its own stream; buys and forgets find it by subscription id
+        return this.subscribe(userId, `proposal_${this.nextProposalKey++}`, message, params.loginid);
     }
 
     // Buy a contract
@@ -213,144 +466,588 @@ class DerivWebSocketManager extends EventEmitter {
             price: params.price
         };
 
-        this.send(userId, message);
+        if (params.passthrough) message.passthrough = params.passthrough;
+
+        // Deriv closes the proposal stream once it is bought, so stop tracking it
+        const connection = this.getConnection(userId, params.loginid);
+        const proposalKey = connection && this.findSubscriptionKey(connection, params.proposalId);
+        if (proposalKey) connection.subscriptions.delete(proposalKey);
+
         info(`User ${userId} buying contract:`, params);
+        return this.request(userId, message, { loginid: params.loginid });
+    }
+
+    // Price a contract and buy it, refusing if the price has slipped too far.
+    // Stake-based proposals always ask the stake, so the payout is what slips: it must
+    // stay within maxSlippage of expectedPayout and pay at least minPayoutRatio x stake.
+    // Errors carry Deriv's error code, or SlippageExceeded (with the proposal) when we refused.
+    async proposeAndBuy(userId, params, { maxSlippage = 0.01, expectedPayout, minPayoutRatio = 1 } = {}) {
+        const response = await this.getProposal(userId, params);
+        const proposal = response.proposal;
+
+        const askPrice = Number(proposal.ask_price);
+        const payout = Number(proposal.payout);
+        const priceCap = Number((Number(params.stake) * (1 + maxSlippage)).toFixed(2));
+        const payoutFloor = Number((Number(params.stake) * minPayoutRatio).toFixed(2));
+
+        const refuse = (message) => {
+            this.forgetProposal(userId, proposal.id, params.loginid);
+            const error = tradeError('SlippageExceeded', message);
+            error.proposal = proposal;
+            return error;
+        };
+
+        if (askPrice > priceCap) {
+            throw refuse(`Ask price ${askPrice} is above the ${priceCap} cap`);
+        }
+
+        if (expectedPayout && payout < expectedPayout * (1 - maxSlippage)) {
+            throw refuse(`Payout ${payout} is below the expected ${expectedPayout}`);
+        }
+
+        if (payout < payoutFloor) {
+            throw refuse(`Payout ${payout} is below the ${payoutFloor} minimum`);
+        }
+
+        try {
+            const bought = await this.buyContract(userId, {
+                proposalId: proposal.id,
+                price: priceCap,
+                loginid: params.loginid,
+                passthrough: params.passthrough
+            });
+            return { proposal, buy: bought.buy };
+        } catch (error) {
+            // A failed buy leaves the proposal stream open
+            this.send(userId, { forget: proposal.id }, params.loginid);
+            throw error;
+        }
+    }
+
+    // Close a proposal stream we decided not to buy
+    forgetProposal(userId, proposalId, loginid) {
+        const connection = this.getConnection(userId, loginid);
+        const key = connection && this.findSubscriptionKey(connection, proposalId);
+
+        if (key) {
+            this.forget(userId, key, connection.loginid);
+        } else {
+            this.send(userId, { forget: proposalId }, loginid);
+        }
     }
 
     // Subscribe to open contract updates
-    subscribeToContract(userId, contractId) {
+    subscribeToContract(userId, contractId, passthrough, loginid) {
         const message = {
             proposal_open_contract: 1,
             contract_id: contractId,
             subscribe: 1
         };
 
-        this.send(userId, message);
+        if (passthrough) message.passthrough = passthrough;
+
+        return this.subscribe(userId, `contract_${contractId}`, message, loginid);
+    }
+
+    // Open a stream and remember it so it can be forgotten or replayed
+    subscribe(userId, key, message, loginid) {
+        const connection = this.getConnection(userId, loginid);
+
+        if (!connection) {
+            return Promise.reject(new Error(`No connection found for user ${userId}`));
+        }
+
+        // Don't open the same stream twice
+        const existing = connection.subscriptions.get(key);
+        if (existing) return existing.promise;
+
+        const entry = {
+            key,
+            message: { ...message },
+            reqId: null,
+            subscriptionId: null,
+            promise: null
+        };
+        connection.subscriptions.set(key, entry);
+
+        return this.sendSubscription(connection, entry);
+    }
+
+    // Send a tracked subscription request
+    sendSubscription(connection, entry) {
+        const message = { ...entry.message };
+
+        entry.subscriptionId = null;
+        entry.promise = this.requestOn(connection, message);
+        entry.reqId = message.req_id;
+
+        // Drop streams Deriv refused, unless the connection has since been replaced
+        entry.promise.catch(() => {
+            if (this.connections.get(connection.key) === connection &&
+                connection.subscriptions.get(entry.key) === entry) {
+                connection.subscriptions.delete(entry.key);
+            }
+        });
+
+        return entry.promise;
+    }
+
+    // Forget a tracked stream by its Deriv subscription id
+    forget(userId, key, loginid) {
+        const connection = this.getConnection(userId, loginid);
+        if (!connection) return false;
+
+        const entry = connection.subscriptions.get(key);
+        if (!entry) return false;
+
+        connection.subscriptions.delete(key);
+
+        if (entry.subscriptionId) {
+            this.sendTo(connection, { forget: entry.subscriptionId });
+        } else {
+            // Still waiting on Deriv: forget as soon as the id arrives
+            entry.promise
+                .then(() => entry.subscriptionId && this.sendTo(connection, { forget: entry.subscriptionId }))
+                .catch(() => {});
+        }
+
+        return true;
+    }
+
+    // Record the subscription id Deriv assigned to a tracked stream
+    recordSubscriptionId(connection, message) {
+        for (const entry of connection.subscriptions.values()) {
+            if (entry.reqId === message.req_id) {
+                entry.subscriptionId = message.subscription.id;
+                return;
+            }
+        }
+    }
+
+    // Find the key of the tracked stream with a given subscription id
+    findSubscriptionKey(connection, subscriptionId) {
+        if (!subscriptionId) return null;
+
+        for (const [key, entry] of connection.subscriptions) {
+            if (entry.subscriptionId === subscriptionId) return key;
+        }
+        return null;
+    }
+
+    // Replay streams that were active before a reconnect, except proposals
+    restoreSubscriptions(connection) {
+        const { userId, loginid } = connection;
+        if (connection.pendingRestore.length === 0) return;
+
+        const entries = connection.pendingRestore;
+        connection.pendingRestore = [];
+
+        let restored = 0;
+        for (const entry of entries) {
+            if (connection.subscriptions.get(entry.key) !== entry) continue;
+
+            // A proposal's id died with the old connection; its caller prices the contract again
+            if (entry.message.proposal) {
+                connection.subscriptions.delete(entry.key);
+                continue;
+            }
+
+            this.sendSubscription(connection, entry)
+                .catch(error => warn(`Could not restore ${entry.key} for user ${userId} (${loginid}):`, error));
+            restored++;
+        }
+
+        info(`Restored ${restored} subscriptions for user ${userId} (${loginid})`);
+        this.emit('subscriptions_restored', { userId, loginid, count: restored });
+    }
+
+    // Send a message and wait for the response carrying the same req_id
+    request(userId, message, { timeout = this.requestTimeout, loginid } = {}) {
+        const connection = this.getConnection(userId, loginid);
+
+        if (!connection) {
+            return Promise.reject(new Error(`No connection found for user ${userId}`));
+        }
+
+        return this.requestOn(connection, message, timeout);
+    }
+
+    // Send a request on a specific connection
+    requestOn(connection, message, timeout = this.requestTimeout) {
+        return new Promise((resolve, reject) => {
+            this.stampMessage(connection, message);
+            const reqId = message.req_id;
+
+            const timer = setTimeout(() => {
+                connection.pendingRequests.delete(reqId);
+                reject(new Error(`Request ${reqId} timed out after ${timeout}ms`));
+            }, timeout);
+
+            connection.pendingRequests.set(reqId, { resolve, reject, timer, followers: [] });
+            this.sendTo(connection, message);
+        });
+    }
+
+    // Settle a pending request from its response
+    resolveRequest(connection, message) {
+        const pending = connection.pendingRequests.get(message.req_id);
+        if (!pending) return;
+
+        clearTimeout(pending.timer);
+        connection.pendingRequests.delete(message.req_id);
+
+        // Duplicates merged in the queue share this response
+        for (const waiter of [pending, ...pending.followers]) {
+            clearTimeout(waiter.timer);
+            if (message.error) {
+                waiter.reject(message.error);
+            } else {
+                waiter.resolve(message);
+            }
+        }
+    }
+
+    // Reject a single pending request and anything merged into it
+    abortRequest(connection, reqId, reason) {
+        const pending = connection.pendingRequests.get(reqId);
+        if (!pending) return;
+
+        connection.pendingRequests.delete(reqId);
+        for (const waiter of [pending, ...pending.followers]) {
+            clearTimeout(waiter.timer);
+            waiter.reject(new Error(`Request ${reqId} ${reason}`));
+        }
     }
 
-    // Send message to user's WebSocket
-    send(userId, message) {
-        const connection = this.connections.get(userId);
+    // Let a deduplicated request settle with the queued request it duplicates
+    mergeDuplicate(connection, message, original) {
+        const pending = connection.pendingRequests.get(message.req_id);
+        if (!pending) return;
+
+        connection.pendingRequests.delete(message.req_id);
+
+        let target = connection.pendingRequests.get(original.req_id);
+        if (!target) {
+            target = { resolve: () => {}, reject: () => {}, timer: null, followers: [] };
+            connection.pendingRequests.set(original.req_id, target);
+        }
+        target.followers.push(pending);
+    }
+
+    // Reject every request still waiting on a connection
+    rejectPendingRequests(connection, reason) {
+        if (!connection) return;
+
+        for (const reqId of [...connection.pendingRequests.keys()]) {
+            this.abortRequest(connection, reqId, `aborted: ${reason}`);
+        }
+
+        clearTimeout(connection.drainTimer);
+        connection.drainTimer = null;
+        connection.limiter.clear();
+    }
+
+    // Stamp an outgoing message with a req_id and passthrough
+    stampMessage(connection, message) {
+        if (!message.req_id) {
+            message.req_id = this.nextReqId++;
+        }
+        message.passthrough = {
+            ...message.passthrough,
+            userId: connection.userId,
+            loginid: connection.loginid
+        };
+        return message;
+    }
+
+    // Send message to one of a user's WebSockets
+    send(userId, message, loginid) {
+        const connection = this.getConnection(userId, loginid);
 
         if (!connection) {
             warn(`No connection found for user ${userId}`);
             return false;
         }
 
-        if (!connection.isAuthenticated && !message.authorize) {
-            // Queue messages until authenticated
-            connection.messageQueue.push(message);
+        return this.sendTo(connection, message);
+    }
+
+    // Send message on a specific connection
+    sendTo(connection, message) {
+        this.stampMessage(connection, message);
+
+        // Authorization and keep-alives skip the rate-limited queue
+        if (message.authorize || message.ping) {
+            return this.write(connection, message);
+        }
+
+        const result = connection.limiter.enqueue(message);
+
+        if (result.status === 'duplicate') {
+            this.mergeDuplicate(connection, message, result.duplicateOf);
+        } else if (result.status === 'dropped') {
+            warn(`Message queue full for user ${connection.userId} (${connection.loginid}), dropping ${Object.keys(message)[0]}`);
+            this.abortRequest(connection, message.req_id, 'dropped: queue full');
+        }
+
+        if (result.evicted) {
+            this.abortRequest(connection, result.evicted.req_id, 'evicted: queue full');
+        }
+
+        this.processMessageQueue(connection);
+        return result.status !== 'dropped';
+    }
+
+    // Write a message straight to the socket
+    write(connection, message) {
+        if (connection.ws.readyState !== WebSocket.OPEN) {
+            warn(`WebSocket not open for user ${connection.userId} (${connection.loginid})`);
             return false;
         }
 
-        if (connection.ws.readyState === OPEN) {
-            try {
-                connection.ws.send(JSON.stringify(message));
-                return true;
-            } catch (error) {
-                _error(`Error sending message to user ${userId}:`, error);
-                return false;
-            }
-        } else {
-            warn(`WebSocket not open for user ${userId}, queuing message`);
-            connection.messageQueue.push(message);
+        try {
+            connection.ws.send(JSON.stringify(message));
+            return true;
+        } catch (error) {
+            _error(`Error sending message to user ${connection.userId} (${connection.loginid}):`, error);
             return false;
         }
     }
 
-    // Process queued messages
-    processMessageQueue(userId) {
-        const connection = this.connections.get(userId);
-        if (!connection || !connection.isAuthenticated) return;
+    // Send whatever the rate limiter allows, and come back for the rest
+    processMessageQueue(connection) {
+        if (!connection.isAuthenticated) return;
+        if (connection.ws.readyState !== WebSocket.OPEN) return;
+
+        const { ready, expired, waitMs } = connection.limiter.drain();
+
+        for (const message of expired) {
+            this.abortRequest(connection, message.req_id, 'expired in queue');
+        }
+
+        for (const message of ready) {
+            this.write(connection, message);
+        }
 
-        while (connection.messageQueue.length > 0) {
-            const message = connection.messageQueue.shift();
-            this.send(userId, message);
+        if (waitMs !== null && !connection.drainTimer) {
+            connection.drainTimer = setTimeout(() => {
+                connection.drainTimer = null;
+                this.processMessageQueue(connection);
+            }, waitMs);
         }
     }
 
     // Handle disconnection
-    async handleDisconnect(userId) {
-        const attempts = this.reconnectAttempts.get(userId) || 0;
+    async handleDisconnect(connection) {
+        const { key, userId, loginid } = connection;
+
+        // Only reconnect sockets that are still current
+        if (this.connections.get(key) !== connection) return;
+        if (connection.closeHandled) return;
+
+        connection.closeHandled = true;
+        connection.isAuthenticated = false;
+
+        // A reconnect authorizes a new connection, so this one never will
+        this.abandonAuthorization(connection, 'connection closed before authorizing');
+        const attempts = this.reconnectAttempts.get(key) || 0;
 
         if (attempts < this.maxReconnectAttempts) {
-            info(`Attempting to reconnect user ${userId} (attempt ${attempts + 1})`);
-            this.reconnectAttempts.set(userId, attempts + 1);
+            const delay = this.backoffDelay(attempts);
+            info(`Attempting to reconnect user ${userId} (${loginid}) in ${delay}ms (attempt ${attempts + 1})`);
+            this.reconnectAttempts.set(key, attempts + 1);
+            this.setState(connection, 'reconnecting', { attempt: attempts + 1, delay });
 
             setTimeout(async () => {
-                const connection = this.connections.get(userId);
-                if (connection && connection.token) {
-                    await this.connect(userId, connection.token);
+                if (this.connections.get(key) !== connection || !connection.encryptedToken) return;
+
+                try {
+                    await this.connect(userId, loginid, connection.encryptedToken, {
+                        isDefault: this.getDefaultAccount(userId) === loginid,
+                        subscriptions: connection.subscriptions,
+                        reconnecting: true
+                    });
+                } catch (error) {
+                    _error(`Reconnect failed for user ${userId} (${loginid}):`, error);
                 }
-            }, this.reconnectDelay * (attempts + 1));
+            }, delay);
         } else {
-            _error(`Max reconnection attempts reached for user ${userId}`);
-            this.emit('max_reconnect_failed', { userId });
-            this.connections.delete(userId);
-            this.reconnectAttempts.delete(userId);
+            _error(`Max reconnection attempts reached for user ${userId} (${loginid})`);
+
+            // Keep the connection around so its status can still be reported
+            this.rejectPendingRequests(connection, 'reconnect failed');
+            this.setState(connection, 'failed', { reason: 'max_reconnect_attempts' });
+            this.emit('max_reconnect_failed', { userId, loginid });
         }
     }
 
-    // Disconnect a user
-    async disconnect(userId) {
-        const connection = this.connections.get(userId);
+    // Exponential backoff with jitter, so dropped users don't all reconnect at once
+    backoffDelay(attempts) {
+        const ceiling = Math.min(this.maxReconnectDelay, this.reconnectDelay * Math.pow(2, attempts));
+        return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    }
+
+    // Drop a connection whose token Deriv no longer accepts, without reconnecting
+    rejectToken(connection, error) {
+        const { userId, loginid } = connection;
+        if (this.connections.get(connection.key) !== connection) return;
+
+        warn(`Deriv rejected the token for user ${userId} (${loginid}): ${error.code}`);
+        connection.settleAuthorization.reject(error);
+        this.setState(connection, 'failed', { reason: 'token_rejected' });
+        this.removeConnection(connection, 'token rejected');
 
-        if (connection) {
+        try {
+            connection.ws.close(1000, 'Token rejected');
+        } catch (closeError) {
+            _error(`Error closing WebSocket for user ${userId} (${loginid}):`, closeError);
+        }
+
+        this.emit('token_invalid', { userId, loginid, error });
+    }
+
+    // Forget a connection and move the user's default account if needed
+    removeConnection(connection, reason) {
+        const { key, userId, loginid } = connection;
+
+        this.abandonAuthorization(connection, reason);
+        this.rejectPendingRequests(connection, reason);
+        this.connections.delete(key);
+        this.reconnectAttempts.delete(key);
+
+        if (this.defaultAccounts.get(userId) === loginid) {
+            const next = [...this.connections.values()].find(other => other.userId === userId);
+            if (next) {
+                this.defaultAccounts.set(userId, next.loginid);
+            } else {
+                this.defaultAccounts.delete(userId);
+            }
+        }
+    }
+
+    // Disconnect one of a user's accounts, or all of them when no loginid is given
+    async disconnect(userId, loginid) {
+        const connections = [...this.connections.values()].filter(connection =>
+            connection.userId === userId && (!loginid || connection.loginid === loginid));
+
+        for (const connection of connections) {
             try {
-                if (connection.ws.readyState === OPEN) {
+                if (connection.ws.readyState === WebSocket.OPEN) {
                     connection.ws.close(1000, 'User disconnected');
                 }
             } catch (error) {
-                _error(`Error closing WebSocket for user ${userId}:`, error);
+                _error(`Error closing WebSocket for user ${userId} (${connection.loginid}):`, error);
             }
 
-            this.connections.delete(userId);
-            this.reconnectAttempts.delete(userId);
-            info(`User ${userId} disconnected`);
+            this.removeConnection(connection, 'disconnected');
+            info(`User ${userId} (${connection.loginid}) disconnected`);
         }
     }
 
-    // Check if user is connected
-    isConnected(userId) {
-        const connection = this.connections.get(userId);
-        return connection &&
-            connection.ws.readyState === OPEN &&
-            connection.isAuthenticated;
+    // Check if user is connected, on a given account or their default one
+    isConnected(userId, loginid) {
+        const connection = this.getConnection(userId, loginid);
+        return Boolean(connection &&
+            connection.ws.readyState === WebSocket.OPEN &&
+            connection.isAuthenticated &&
+            USABLE_STATES.has(connection.state));
+    }
+
+    // Get the lifecycle state of every connection a user has
+    getStatus(userId) {
+        const now = Date.now();
+
+        return [...this.connections.values()]
+            .filter(connection => connection.userId === userId)
+            .map(connection => ({
+                loginid: connection.loginid,
+                state: connection.state,
+                since: new Date(connection.stateChangedAt),
+                isDefault: this.getDefaultAccount(userId) === connection.loginid,
+                reconnectAttempts: this.reconnectAttempts.get(connection.key) || 0,
+                lastSeenMs: now - connection.lastSeen,
+                queueDepth: connection.limiter.getMetrics().queueDepth
+            }));
     }
 
     // Get active connection count
     getActiveConnectionCount() {
         let count = 0;
-        for (const [userId, connection] of this.connections) {
-            if (connection.ws.readyState === OPEN) {
+        for (const connection of this.connections.values()) {
+            if (connection.ws.readyState === WebSocket.OPEN) {
                 count++;
             }
         }
         return count;
     }
 
+    // Get rate limiter and queue metrics for every connection
+    getMetrics() {
+        const connections = {};
+        const totals = { queueDepth: 0, sent: 0, dropped: 0, expired: 0, deduplicated: 0 };
+
+        for (const [key, connection] of this.connections) {
+            const metrics = connection.limiter.getMetrics();
+            connections[key] = metrics;
+            for (const metric of Object.keys(totals)) {
+                totals[metric] += metrics[metric];
+            }
+        }
+
+        return {
+            connections,
+            totals,
+            unknownMessageTypes: Object.fromEntries(this.unknownMessageTypes)
+        };
+    }
+
     // Close all connections
     closeAll() {
         info('Closing all WebSocket connections');
-        for (const [userId] of this.connections) {
-            this.disconnect(userId);
+        this.stopHeartbeat();
+        for (const connection of [...this.connections.values()]) {
+            this.disconnect(connection.userId, connection.loginid);
         }
     }
 
-    // Health check - ping all connections
+    // Run the health check on a schedule
+    startHeartbeat() {
+        this.stopHeartbeat();
+        this.heartbeatTimer = setInterval(() => this.healthCheck(), this.heartbeatInterval);
+        this.heartbeatTimer.unref?.();
+    }
+
+    // Stop the scheduled health check
+    stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+    }
+
+    // Health check - ping live connections, degrade quiet ones and drop silent ones
     healthCheck() {
         const now = Date.now();
-        const timeout = 60000; // 60 seconds
-
-        for (const [userId, connection] of this.connections) {
-            if (now - connection.lastPing > timeout) {
-                warn(`Connection timeout for user ${userId}, reconnecting`);
-                this.handleDisconnect(userId);
-            } else if (connection.ws.readyState === OPEN) {
-                this.send(userId, { ping: 1 });
+
+        for (const connection of this.connections.values()) {
+            if (!USABLE_STATES.has(connection.state)) continue;
+
+            const silence = now - connection.lastSeen;
+
+            if (silence > this.heartbeatTimeout) {
+                warn(`Connection timeout for user ${connection.userId} (${connection.loginid}), reconnecting`);
+                // The close event starts the reconnect
+                connection.ws.terminate();
+                continue;
+            }
+
+            if (silence > this.degradedAfter) {
+                this.setState(connection, 'degraded', { silenceMs: silence });
+            }
+
+            if (connection.ws.readyState === WebSocket.OPEN) {
+                this.sendTo(connection, { ping: 1 });
             }
         }
     }
 }
 
-export default DerivWebSocketManager;
\ No newline at end of file
+export default DerivWebSocketManager;
@@ -0,0 +1,147 @@
+// Rolling last-digit statistics per symbol, for digit contracts.
+//
+// The last digit is read at the symbol's pip size, so R_100 at 1234.50 (pip size 2)
+// has last digit 0, not the 5 a bare number would suggest. Deriv sends pip_size with
+// ticks and tick history; until one arrives the pip size is inferred from the most
+// decimals seen.
+
+class DigitStats {
+    constructor({ window = 1000 } = {}) {
+        this.window = window;
+        this.symbols = new Map(); // symbol -> { pipSize, inferredPipSize, digits, counts, lastEpoch, streak, parityStreak }
+    }
+
+    // Record a tick's last digit. Ticks not newer than the last one seen are ignored,
+    // so every bot on a symbol can report the same tick.
+    record(symbol, { epoch, quote, pipSize, pip_size: tickPipSize }) {
+        const stats = this.getOrCreate(symbol);
+        if (stats.lastEpoch !== null && epoch <= stats.lastEpoch) return null;
+
+        const reportedPipSize = pipSize ?? tickPipSize;
+        if (reportedPipSize !== undefined && reportedPipSize !== null) {
+            stats.pipSize = Number(reportedPipSize);
+        } else {
+            stats.inferredPipSize = Math.max(stats.inferredPipSize, this.decimalsOf(quote));
+        }
+
+        const digit = this.lastDigit(quote, stats.pipSize ?? stats.inferredPipSize);
+        stats.lastEpoch = epoch;
+
+        stats.digits.push(digit);
+        stats.counts[digit]++;
+        if (stats.digits.length > this.window) {
+            stats.counts[stats.digits.shift()]--;
+        }
+
+        stats.streak = stats.streak.digit === digit
+            ? { digit, length: stats.streak.length + 1 }
+            : { digit, length: 1 };
+
+        const parity = digit % 2 === 0 ? 'even' : 'odd';
+        stats.parityStreak = stats.parityStreak.parity === parity
+            ? { parity, length: stats.parityStreak.length + 1 }
+            : { parity, length: 1 };
+
+        return digit;
+    }
+
+    // Last digit of a quote shown with `pipSize` decimals
+    lastDigit(quote, pipSize) {
+        const formatted = Number(quote).toFixed(pipSize);
+        return Number(formatted[formatted.length - 1]);
+    }
+
+    // Decimals a quote was written with
+    decimalsOf(quote) {
+        const [, decimals = ''] = String(quote).split('.');
+        return decimals.length;
+    }
+
+    // Pip size in use for a symbol, reported or inferred
+    getPipSize(symbol) {
+        const stats = this.symbols.get(symbol);
+        return stats ? stats.pipSize ?? stats.inferredPipSize : null;
+    }
+
+    // Summarise a symbol's digits, over the whole window or only the latest `sample`
+    getStats(symbol, { sample } = {}) {
+        const stats = this.symbols.get(symbol);
+        if (!stats || stats.digits.length === 0) return null;
+
+        const digits = sample ? stats.digits.slice(-sample) : stats.digits;
+        const counts = sample ? this.countDigits(digits) : stats.counts;
+        const total = digits.length;
+        const even = counts.filter((count, digit) => digit % 2 === 0).reduce((sum, count) => sum + count, 0);
+
+        return {
+            symbol,
+            pipSize: stats.pipSize ?? stats.inferredPipSize,
+            sampleSize: total,
+            lastDigit: stats.digits[stats.digits.length - 1],
+            recent: stats.digits.slice(-20),
+            counts: [...counts],
+            frequency: counts.map(count => count / total),
+            even: even / total,
+            odd: (total - even) / total,
+            streak: { ...stats.streak },
+            parityStreak: { ...stats.parityStreak },
+            mostFrequent: this.rank(counts, (a, b) => b - a),
+            leastFrequent: this.rank(counts, (a, b) => a - b)
+        };
+    }
+
+    // Share of digits above and below a barrier
+    getBarrierStats(symbol, barrier, { sample } = {}) {
+        const stats = this.getStats(symbol, { sample });
+        if (!stats) return null;
+
+        const share = (test) => stats.frequency.reduce((sum, frequency, digit) => sum + (test(digit) ? frequency : 0), 0);
+
+        return {
+            barrier,
+            over: share(digit => digit > barrier),
+            under: share(digit => digit < barrier)
+        };
+    }
+
+    // Digit with the highest (or lowest) count, by the given ordering
+    rank(counts, order) {
+        return counts
+            .map((count, digit) => ({ digit, count }))
+            .sort((a, b) => order(a.count, b.count) || a.digit - b.digit)[0].digit;
+    }
+
+    // Tally digits 0-9
+    countDigits(digits) {
+        const counts = new Array(10).fill(0);
+        for (const digit of digits) counts[digit]++;
+        return counts;
+    }
+
+    // Get a symbol's stats record, creating it if needed
+    getOrCreate(symbol) {
+        let stats = this.symbols.get(symbol);
+
+        if (!stats) {
+            stats = {
+                pipSize: null,
+                inferredPipSize: 0,
+                digits: [],
+                counts: new Array(10).fill(0),
+                lastEpoch: null,
+                streak: { digit: null, length: 0 },
+                parityStreak: { parity: null, length: 0 }
+            };
+            this.symbols.set(symbol, stats);
+        }
+
+        return stats;
+    }
+
+    // Drop a symbol's stats
+    clear(symbol) {
+        this.symbols.delete(symbol);
+    }
+}
+
+export default DigitStats;
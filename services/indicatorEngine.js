@@ -0,0 +1,122 @@
+import { getIndicator } from './indicatorRegistry';
+
+// Runs indicators over shared price series. Each update costs O(1) per indicator,
+// and bots on the same symbol and timeframe share every indicator they have in
+// common, down to its parameters.
+
+// A tick as a bar, so bar-based indicators can run on tick streams
+export const tickToBar = ({ epoch, quote }) => ({ epoch, open: quote, high: quote, low: quote, close: quote });
+
+// Hands out shared indicator instances per series, e.g. `R_100` or `R_100:60`
+class IndicatorEngine {
+    constructor({ minSamples = 20, historySize = 500 } = {}) {
+        this.minSamples = minSamples; // bars before snapshots are handed out
+        this.historySize = historySize; // bars kept to warm up indicators added later
+        this.series = new Map(); // key -> { bars, lastEpoch, instances, subscribers }
+    }
+
+    // Join a series with a resolved indicator list, seeding the series from past bars
+    // if this is its first reader and warming up any indicators it doesn't run yet
+    acquire(key, subscriberId, indicators, history = []) {
+        let series = this.series.get(key);
+
+        if (!series) {
+            series = {
+                bars: [],
+                lastEpoch: null,
+                instances: new Map(), // id -> { indicator, input, readers }
+                subscribers: new Map() // subscriberId -> [{ name, id }]
+            };
+            for (const bar of history) {
+                this.advance(series, bar);
+            }
+            this.series.set(key, series);
+        }
+
+        this.release(key, subscriberId, { keepSeries: true });
+
+        for (const { type, params, id } of indicators) {
+            let instance = series.instances.get(id);
+
+            if (!instance) {
+                const definition = getIndicator(type);
+                instance = { indicator: definition.create(params), input: definition.input, readers: new Set() };
+                for (const bar of series.bars) {
+                    this.feed(instance, bar);
+                }
+                series.instances.set(id, instance);
+            }
+
+            instance.readers.add(subscriberId);
+        }
+
+        series.subscribers.set(subscriberId, indicators.map(({ name, id }) => ({ name, id })));
+        return this.getSnapshot(key, subscriberId);
+    }
+
+    // Leave a series, dropping indicators and then the series once nobody reads them
+    release(key, subscriberId, { keepSeries = false } = {}) {
+        const series = this.series.get(key);
+        if (!series) return;
+
+        for (const { id } of series.subscribers.get(subscriberId) || []) {
+            const instance = series.instances.get(id);
+            if (!instance) continue;
+
+            instance.readers.delete(subscriberId);
+            if (instance.readers.size === 0) {
+                series.instances.delete(id);
+            }
+        }
+        series.subscribers.delete(subscriberId);
+
+        if (!keepSeries && series.subscribers.size === 0) {
+            this.series.delete(key);
+        }
+    }
+
+    // Feed a bar and return the subscriber's snapshot. Only the first reader
+    // to report an epoch moves the series on.
+    update(key, subscriberId, bar) {
+        const series = this.series.get(key);
+        if (!series) return null;
+
+        this.advance(series, bar);
+        return this.getSnapshot(key, subscriberId);
+    }
+
+    // Move a series on by one bar, ignoring epochs it has already seen
+    advance(series, bar) {
+        if (series.lastEpoch !== null && bar.epoch <= series.lastEpoch) return;
+
+        series.lastEpoch = bar.epoch;
+        series.bars.push(bar);
+        if (series.bars.length > this.historySize) {
+            series.bars.shift();
+        }
+
+        for (const instance of series.instances.values()) {
+            this.feed(instance, bar);
+        }
+    }
+
+    // Give one indicator the bar, or just its close
+    feed(instance, bar) {
+        instance.indicator.update(instance.input === 'bar' ? bar : bar.close);
+    }
+
+    // Get a subscriber's indicators by name, or null while the series warms up
+    getSnapshot(key, subscriberId) {
+        const series = this.series.get(key);
+        const indicators = series?.subscribers.get(subscriberId);
+        if (!indicators || series.bars.length < this.minSamples) return null;
+
+        const snapshot = { currentPrice: series.bars[series.bars.length - 1].close };
+        for (const { name, id } of indicators) {
+            snapshot[name] = series.instances.get(id).indicator.value;
+        }
+        return snapshot;
+    }
+}
+
+export default IndicatorEngine;
@@ -0,0 +1,242 @@
+import {
+    SMA, EMA, RSI, MACD, BollingerBands, Stochastic, ATR, ADX, CCI,
+    WilliamsR, ParabolicSAR, Ichimoku, VWAP, KeltnerChannels, Momentum
+} from './indicators';
+
+// Every indicator a bot can run, by type. A bot picks its own in configuration.indicators:
+//   {
+//     "rsi": { "period": 7 },                                // override a default
+//     "stoch": { "type": "stochastic", "kPeriod": 5 },       // add one under a new name
+//     "sma50": { "type": "sma", "period": 50 }
+//   }
+// Strategies then read each indicator by its name, e.g. "stoch.k < 20" or "sma50".
+//
+// A definition lists its parameters, the fields of its value when it has several,
+// and whether it reads the close price or the whole bar.
+
+const MAX_PERIOD = 500;
+
+const period = (value) => ({ default: value, integer: true, min: 1, max: MAX_PERIOD });
+const number = (value, min, max) => ({ default: value, min, max });
+
+const registry = new Map();
+
+// Add an indicator type that bots can configure
+export const registerIndicator = (type, definition) => {
+    registry.set(type, {
+        params: {},
+        outputs: null,
+        input: 'close',
+        ...definition
+    });
+};
+
+registerIndicator('sma', {
+    params: { period: period(20) },
+    create: (p) => new SMA(p.period)
+});
+
+registerIndicator('ema', {
+    params: { period: period(12) },
+    create: (p) => new EMA(p.period)
+});
+
+registerIndicator('rsi', {
+    params: { period: period(14) },
+    create: (p) => new RSI(p.period)
+});
+
+registerIndicator('macd', {
+    params: { fast: period(12), slow: period(26), signal: period(9) },
+    outputs: ['macd', 'signal', 'histogram'],
+    create: (p) => new MACD(p.fast, p.slow, p.signal)
+});
+
+registerIndicator('bollinger', {
+    params: { period: period(20), stdDev: number(2, 0.1, 10) },
+    outputs: ['upper', 'middle', 'lower'],
+    create: (p) => new BollingerBands(p.period, p.stdDev)
+});
+
+registerIndicator('stochastic', {
+    params: { kPeriod: period(14), dPeriod: period(3), smooth: period(3) },
+    outputs: ['k', 'd'],
+    input: 'bar',
+    create: (p) => new Stochastic(p.kPeriod, p.dPeriod, p.smooth)
+});
+
+registerIndicator('atr', {
+    params: { period: period(14) },
+    input: 'bar',
+    create: (p) => new ATR(p.period)
+});
+
+registerIndicator('adx', {
+    params: { period: period(14) },
+    outputs: ['adx', 'plusDI', 'minusDI'],
+    input: 'bar',
+    create: (p) => new ADX(p.period)
+});
+
+registerIndicator('cci', {
+    params: { period: period(20), constant: number(0.015, 0.001, 1) },
+    input: 'bar',
+    create: (p) => new CCI(p.period, p.constant)
+});
+
+registerIndicator('williamsR', {
+    params: { period: period(14) },
+    input: 'bar',
+    create: (p) => new WilliamsR(p.period)
+});
+
+registerIndicator('psar', {
+    params: { step: number(0.02, 0.001, 1), maxStep: number(0.2, 0.001, 1) },
+    outputs: ['sar', 'trend'],
+    input: 'bar',
+    create: (p) => new ParabolicSAR(p.step, p.maxStep)
+});
+
+registerIndicator('ichimoku', {
+    params: { conversion: period(9), base: period(26), spanB: period(52), displacement: period(26) },
+    outputs: ['conversion', 'base', 'spanA', 'spanB'],
+    input: 'bar',
+    create: (p) => new Ichimoku(p.conversion, p.base, p.spanB, p.displacement)
+});
+
+registerIndicator('vwap', {
+    params: { period: period(100) },
+    input: 'bar',
+    create: (p) => new VWAP(p.period)
+});
+
+registerIndicator('keltner', {
+    params: { period: period(20), multiplier: number(2, 0.1, 10), atrPeriod: period(10) },
+    outputs: ['upper', 'middle', 'lower'],
+    input: 'bar',
+    create: (p) => new KeltnerChannels(p.period, p.multiplier, p.atrPeriod)
+});
+
+registerIndicator('momentum', {
+    params: { period: period(10) },
+    create: (p) => new Momentum(p.period)
+});
+
+registerIndicator('roc', {
+    params: { period: period(10) },
+    create: (p) => new Momentum(p.period, { percent: true })
+});
+
+// What every bot runs unless its configuration says otherwise. The built-in
+// strategies read these names.
+export const DEFAULT_INDICATORS = {
+    sma20: { type: 'sma', period: 20 },
+    ema12: { type: 'ema', period: 12 },
+    ema26: { type: 'ema', period: 26 },
+    rsi: { type: 'rsi', period: 14 },
+    macd: { type: 'macd' },
+    bollinger: { type: 'bollinger' }
+};
+
+// Names a snapshot already uses for the price itself
+const RESERVED_NAMES = ['price', 'currentPrice', 'epoch', 'prev'];
+const NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+// Get an indicator definition by type
+export const getIndicator = (type) => registry.get(type) || null;
+
+// Describe every registered type, e.g. for the API
+export const listIndicators = () => [...registry].map(([type, definition]) => ({
+    type,
+    params: Object.fromEntries(Object.entries(definition.params).map(([name, spec]) => [name, spec.default])),
+    outputs: definition.outputs,
+    input: definition.input
+}));
+
+// Merge a bot's indicator configuration over the defaults, as name -> raw spec
+const mergeConfig = (config = {}) => {
+    const merged = { ...DEFAULT_INDICATORS };
+
+    for (const [name, spec] of Object.entries(config || {})) {
+        merged[name] = { ...(DEFAULT_INDICATORS[name] || {}), ...(spec || {}) };
+    }
+
+    return merged;
+};
+
+// Check a bot's indicator configuration, returning readable errors (empty if valid)
+export const validateIndicators = (config) => {
+    const errors = [];
+
+    if (config === undefined || config === null) return errors;
+    if (typeof config !== 'object' || Array.isArray(config)) {
+        return ['indicators must be an object of name -> settings'];
+    }
+
+    for (const [name, spec] of Object.entries(mergeConfig(config))) {
+        const path = `indicators.${name}`;
+        const type = spec.type || name;
+        const definition = registry.get(type);
+
+        if (!NAME_PATTERN.test(name) || RESERVED_NAMES.includes(name)) {
+            errors.push(`${path}: "${name}" can't be used as an indicator name`);
+        }
+        if (!definition) {
+            errors.push(`${path}.type: unknown indicator "${type}", expected one of ${[...registry.keys()].join(', ')}`);
+            continue;
+        }
+
+        for (const [param, value] of Object.entries(spec)) {
+            if (param === 'type') continue;
+
+            const rule = definition.params[param];
+            if (!rule) {
+                errors.push(`${path}.${param} is not a parameter of ${type}`);
+            } else if (typeof value !== 'number' || !Number.isFinite(value) ||
+                (rule.integer && !Number.isInteger(value)) || value < rule.min || value > rule.max) {
+                errors.push(`${path}.${param} must be ${rule.integer ? 'an integer' : 'a number'} from ${rule.min} to ${rule.max}`);
+            }
+        }
+    }
+
+    return errors;
+};
+
+// Turn a bot's indicator configuration into [{ name, type, params, id }]. Indicators
+// with the same type and parameters share an id, and so an instance.
+export const resolveIndicators = (config) => {
+    const errors = validateIndicators(config);
+    if (errors.length > 0) {
+        throw new Error(`Invalid indicator configuration: ${errors.join('; ')}`);
+    }
+
+    return Object.entries(mergeConfig(config)).map(([name, spec]) => {
+        const type = spec.type || name;
+        const definition = registry.get(type);
+        const params = {};
+
+        for (const [param, rule] of Object.entries(definition.params)) {
+            params[param] = spec[param] ?? rule.default;
+        }
+
+        return { name, type, params, id: `${type}(${Object.values(params).join(',')})` };
+    });
+};
+
+// Paths a strategy rule may read for a bot with this indicator configuration
+export const operandsFor = (config) => {
+    const operands = ['price', 'currentPrice'];
+
+    for (const [name, spec] of Object.entries(mergeConfig(config))) {
+        const definition = registry.get(spec.type || name);
+        if (!definition) continue;
+
+        if (definition.outputs) {
+            operands.push(...definition.outputs.map(output => `${name}.${output}`));
+        } else {
+            operands.push(name);
+        }
+    }
+
+    return operands;
+};
@@ -0,0 +1,510 @@
+// Streaming technical indicators. Each takes one price or bar per update and
+// returns its latest value, or null while it is still warming up.
+// Bars are { epoch, open, high, low, close, volume? }; a tick is a bar whose
+// open, high, low and close are all its quote.
+
+// Simple moving average over a fixed window
+export class SMA {
+    constructor(period) {
+        this.period = period;
+        this.window = [];
+        this.sum = 0;
+        this.value = null;
+    }
+
+    update(price) {
+        this.window.push(price);
+        this.sum += price;
+
+        if (this.window.length > this.period) {
+            this.sum -= this.window.shift();
+        }
+
+        this.value = this.window.length === this.period ? this.sum / this.period : null;
+        return this.value;
+    }
+}
+
+// Exponential moving average, seeded with the SMA of its first `period` values
+export class EMA {
+    constructor(period) {
+        this.period = period;
+        this.multiplier = 2 / (period + 1);
+        this.seed = new SMA(period);
+        this.value = null;
+    }
+
+    update(price) {
+        if (this.value === null) {
+            this.value = this.seed.update(price);
+        } else {
+            this.value = (price - this.value) * this.multiplier + this.value;
+        }
+        return this.value;
+    }
+}
+
+// Wilder's smoothed average, seeded with the SMA of its first `period` values
+export class WilderAverage {
+    constructor(period) {
+        this.period = period;
+        this.count = 0;
+        this.sum = 0;
+        this.value = null;
+    }
+
+    update(value) {
+        this.count++;
+
+        if (this.count <= this.period) {
+            this.sum += value;
+            if (this.count === this.period) this.value = this.sum / this.period;
+        } else {
+            this.value = (this.value * (this.period - 1) + value) / this.period;
+        }
+        return this.value;
+    }
+}
+
+// Highest or lowest value of the last `period` inputs, kept in a monotonic queue
+export class RollingExtreme {
+    constructor(period, mode = 'max') {
+        this.period = period;
+        this.beats = mode === 'max' ? (a, b) => a >= b : (a, b) => a <= b;
+        this.queue = []; // { index, value }, best first
+        this.index = 0;
+        this.value = null;
+    }
+
+    get ready() {
+        return this.index >= this.period;
+    }
+
+    update(value) {
+        while (this.queue.length > 0 && !this.beats(this.queue[this.queue.length - 1].value, value)) {
+            this.queue.pop();
+        }
+        this.queue.push({ index: this.index, value });
+
+        if (this.queue[0].index <= this.index - this.period) {
+            this.queue.shift();
+        }
+
+        this.index++;
+        this.value = this.ready ? this.queue[0].value : null;
+        return this.value;
+    }
+}
+
+// Greatest of the bar's range and its gaps from the previous close
+const trueRange = ({ high, low }, previousClose) => (previousClose === null
+    ? high - low
+    : Math.max(high - low, Math.abs(high - previousClose), Math.abs(low - previousClose)));
+
+// Relative strength index with Wilder's smoothing
+export class RSI {
+    constructor(period = 14) {
+        this.period = period;
+        this.previous = null;
+        this.count = 0;
+        this.avgGain = 0;
+        this.avgLoss = 0;
+        this.value = null;
+    }
+
+    update(price) {
+        if (this.previous === null) {
+            this.previous = price;
+            return null;
+        }
+
+        const change = price - this.previous;
+        const gain = Math.max(change, 0);
+        const loss = Math.max(-change, 0);
+        this.previous = price;
+        this.count++;
+
+        if (this.count <= this.period) {
+            // Seed with the simple average of the first `period` changes
+            this.avgGain += gain / this.period;
+            this.avgLoss += loss / this.period;
+            if (this.count < this.period) return null;
+        } else {
+            this.avgGain = (this.avgGain * (this.period - 1) + gain) / this.period;
+            this.avgLoss = (this.avgLoss * (this.period - 1) + loss) / this.period;
+        }
+
+        if (this.avgLoss === 0) {
+            this.value = this.avgGain === 0 ? 50 : 100;
+        } else {
+            this.value = 100 - (100 / (1 + this.avgGain / this.avgLoss));
+        }
+        return this.value;
+    }
+}
+
+// MACD line, its signal line and the histogram between them
+export class MACD {
+    constructor(fast = 12, slow = 26, signal = 9) {
+        this.fast = new EMA(fast);
+        this.slow = new EMA(slow);
+        this.signal = new EMA(signal);
+        this.value = null;
+    }
+
+    update(price) {
+        const fast = this.fast.update(price);
+        const slow = this.slow.update(price);
+        if (fast === null || slow === null) return null;
+
+        const macd = fast - slow;
+        const signal = this.signal.update(macd);
+
+        this.value = {
+            macd,
+            signal,
+            histogram: signal === null ? null : macd - signal
+        };
+        return this.value;
+    }
+}
+
+// Bollinger bands from a rolling sum and sum of squares
+export class BollingerBands {
+    constructor(period = 20, stdDev = 2) {
+        this.period = period;
+        this.stdDev = stdDev;
+        this.window = [];
+        this.sum = 0;
+        this.sumSquares = 0;
+        this.value = null;
+    }
+
+    update(price) {
+        this.window.push(price);
+        this.sum += price;
+        this.sumSquares += price * price;
+
+        if (this.window.length > this.period) {
+            const dropped = this.window.shift();
+            this.sum -= dropped;
+            this.sumSquares -= dropped * dropped;
+        }
+
+        if (this.window.length < this.period) return null;
+
+        const mean = this.sum / this.period;
+        const variance = Math.max(this.sumSquares / this.period - mean * mean, 0);
+        const deviation = Math.sqrt(variance) * this.stdDev;
+
+        this.value = {
+            upper: mean + deviation,
+            middle: mean,
+            lower: mean - deviation
+        };
+        return this.value;
+    }
+}
+
+// Slow stochastic oscillator: %K smoothed over `smooth` bars, %D its SMA
+export class Stochastic {
+    constructor(kPeriod = 14, dPeriod = 3, smooth = 3) {
+        this.highest = new RollingExtreme(kPeriod, 'max');
+        this.lowest = new RollingExtreme(kPeriod, 'min');
+        this.k = new SMA(smooth);
+        this.d = new SMA(dPeriod);
+        this.value = null;
+    }
+
+    update({ high, low, close }) {
+        const highest = this.highest.update(high);
+        const lowest = this.lowest.update(low);
+        if (highest === null) return null;
+
+        const raw = highest === lowest ? 50 : 100 * (close - lowest) / (highest - lowest);
+        const k = this.k.update(raw);
+        if (k === null) return null;
+
+        this.value = { k, d: this.d.update(k) };
+        return this.value;
+    }
+}
+
+// Average true range with Wilder's smoothing
+export class ATR {
+    constructor(period = 14) {
+        this.average = new WilderAverage(period);
+        this.previousClose = null;
+        this.value = null;
+    }
+
+    update(bar) {
+        const range = trueRange(bar, this.previousClose);
+        this.previousClose = bar.close;
+
+        this.value = this.average.update(range);
+        return this.value;
+    }
+}
+
+// Average directional index with the +DI/-DI lines it is built from
+export class ADX {
+    constructor(period = 14) {
+        this.range = new WilderAverage(period);
+        this.plusMove = new WilderAverage(period);
+        this.minusMove = new WilderAverage(period);
+        this.adx = new WilderAverage(period);
+        this.previous = null;
+        this.value = null;
+    }
+
+    update({ high, low, close }) {
+        const previous = this.previous;
+        this.previous = { high, low, close };
+        if (!previous) return null;
+
+        const up = high - previous.high;
+        const down = previous.low - low;
+
+        const range = this.range.update(trueRange({ high, low }, previous.close));
+        const plusMove = this.plusMove.update(up > down && up > 0 ? up : 0);
+        const minusMove = this.minusMove.update(down > up && down > 0 ? down : 0);
+        if (range === null) return null;
+
+        const plusDI = range === 0 ? 0 : 100 * plusMove / range;
+        const minusDI = range === 0 ? 0 : 100 * minusMove / range;
+        const total = plusDI + minusDI;
+        const dx = total === 0 ? 0 : 100 * Math.abs(plusDI - minusDI) / total;
+
+        this.value = { adx: this.adx.update(dx), plusDI, minusDI };
+        return this.value;
+    }
+}
+
+// Commodity channel index on the typical price
+export class CCI {
+    constructor(period = 20, constant = 0.015) {
+        this.period = period;
+        this.constant = constant;
+        this.average = new SMA(period);
+        this.value = null;
+    }
+
+    update({ high, low, close }) {
+        const typical = (high + low + close) / 3;
+        const mean = this.average.update(typical);
+        if (mean === null) return null;
+
+        // Mean deviation has no running form, so this one walks its window
+        const deviation = this.average.window
+            .reduce((sum, price) => sum + Math.abs(price - mean), 0) / this.period;
+
+        this.value = deviation === 0 ? 0 : (typical - mean) / (this.constant * deviation);
+        return this.value;
+    }
+}
+
+// Williams %R, from -100 (at the period low) to 0 (at the period high)
+export class WilliamsR {
+    constructor(period = 14) {
+        this.highest = new RollingExtreme(period, 'max');
+        this.lowest = new RollingExtreme(period, 'min');
+        this.value = null;
+    }
+
+    update({ high, low, close }) {
+        const highest = this.highest.update(high);
+        const lowest = this.lowest.update(low);
+        if (highest === null) return null;
+
+        this.value = highest === lowest ? -50 : -100 * (highest - close) / (highest - lowest);
+        return this.value;
+    }
+}
+
+// Parabolic stop and reverse. `trend` is 1 while rising and -1 while falling.
+export class ParabolicSAR {
+    constructor(step = 0.02, maxStep = 0.2) {
+        this.step = step;
+        this.maxStep = maxStep;
+        this.bars = []; // the last two bars, oldest first
+        this.trend = null;
+        this.sar = null;
+        this.extreme = null;
+        this.factor = step;
+        this.value = null;
+    }
+
+    update({ high, low }) {
+        const [older, previous] = this.bars.length === 2 ? this.bars : [this.bars[0], this.bars[0]];
+
+        if (!previous) {
+            this.bars.push({ high, low });
+            return null;
+        }
+
+        if (this.trend === null) {
+            // Take the first move as the opening trend
+            this.trend = high >= previous.high ? 1 : -1;
+            this.sar = this.trend === 1 ? Math.min(previous.low, low) : Math.max(previous.high, high);
+            this.extreme = this.trend === 1 ? Math.max(previous.high, high) : Math.min(previous.low, low);
+        } else {
+            let sar = this.sar + this.factor * (this.extreme - this.sar);
+
+            if (this.trend === 1) {
+                sar = Math.min(sar, previous.low, older.low);
+                if (low < sar) {
+                    this.reverse(-1, low);
+                    sar = this.sar;
+                } else if (high > this.extreme) {
+                    this.extreme = high;
+                    this.factor = Math.min(this.factor + this.step, this.maxStep);
+                }
+            } else {
+                sar = Math.max(sar, previous.high, older.high);
+                if (high > sar) {
+                    this.reverse(1, high);
+                    sar = this.sar;
+                } else if (low < this.extreme) {
+                    this.extreme = low;
+                    this.factor = Math.min(this.factor + this.step, this.maxStep);
+                }
+            }
+
+            this.sar = sar;
+        }
+
+        this.bars = [previous, { high, low }];
+        this.value = { sar: this.sar, trend: this.trend };
+        return this.value;
+    }
+
+    // Flip the trend, restarting the SAR at the old extreme
+    reverse(trend, extreme) {
+        this.trend = trend;
+        this.sar = this.extreme;
+        this.extreme = extreme;
+        this.factor = this.step;
+    }
+}
+
+// Ichimoku cloud. spanA and spanB are the cloud under the current bar, i.e.
+// the values projected `displacement` bars ago.
+export class Ichimoku {
+    constructor(conversion = 9, base = 26, spanB = 52, displacement = 26) {
+        this.displacement = displacement;
+        this.conversion = this.midpoint(conversion);
+        this.base = this.midpoint(base);
+        this.spanB = this.midpoint(spanB);
+        this.projected = [];
+        this.value = null;
+    }
+
+    // Tracks the midpoint of the high-low range over a period
+    midpoint(period) {
+        const highest = new RollingExtreme(period, 'max');
+        const lowest = new RollingExtreme(period, 'min');
+
+        return ({ high, low }) => {
+            const top = highest.update(high);
+            const bottom = lowest.update(low);
+            return top === null ? null : (top + bottom) / 2;
+        };
+    }
+
+    update(bar) {
+        const conversion = this.conversion(bar);
+        const base = this.base(bar);
+        const spanB = this.spanB(bar);
+
+        this.projected.push({
+            spanA: conversion === null || base === null ? null : (conversion + base) / 2,
+            spanB
+        });
+        const cloud = this.projected.length > this.displacement ? this.projected.shift() : null;
+
+        if (conversion === null) return null;
+
+        this.value = {
+            conversion,
+            base,
+            spanA: cloud ? cloud.spanA : null,
+            spanB: cloud ? cloud.spanB : null
+        };
+        return this.value;
+    }
+}
+
+// Volume-weighted average of the typical price over a rolling window. Deriv
+// sends no volume, so each tick or candle counts as one unit unless it has one.
+export class VWAP {
+    constructor(period = 100) {
+        this.period = period;
+        this.window = [];
+        this.weighted = 0;
+        this.volume = 0;
+        this.value = null;
+    }
+
+    update({ high, low, close, volume = 1 }) {
+        const typical = (high + low + close) / 3;
+        this.window.push({ weighted: typical * volume, volume });
+        this.weighted += typical * volume;
+        this.volume += volume;
+
+        if (this.window.length > this.period) {
+            const dropped = this.window.shift();
+            this.weighted -= dropped.weighted;
+            this.volume -= dropped.volume;
+        }
+
+        this.value = this.volume > 0 ? this.weighted / this.volume : null;
+        return this.value;
+    }
+}
+
+// Keltner channels: an EMA of the close with ATR-wide bands
+export class KeltnerChannels {
+    constructor(period = 20, multiplier = 2, atrPeriod = 10) {
+        this.middle = new EMA(period);
+        this.atr = new ATR(atrPeriod);
+        this.multiplier = multiplier;
+        this.value = null;
+    }
+
+    update(bar) {
+        const middle = this.middle.update(bar.close);
+        const atr = this.atr.update(bar);
+        if (middle === null || atr === null) return null;
+
+        this.value = {
+            upper: middle + atr * this.multiplier,
+            middle,
+            lower: middle - atr * this.multiplier
+        };
+        return this.value;
+    }
+}
+
+// Price change over the last `period` updates, absolute or as a percentage
+export class Momentum {
+    constructor(period = 10, { percent = false } = {}) {
+        this.period = period;
+        this.percent = percent;
+        this.window = [];
+        this.value = null;
+    }
+
+    update(price) {
+        this.window.push(price);
+        if (this.window.length <= this.period) return null;
+
+        const past = this.window.shift();
+        if (this.percent) {
+            this.value = past === 0 ? null : 100 * (price - past) / past;
+        } else {
+            this.value = price - past;
+        }
+        return this.value;
+    }
+}
@@ -0,0 +1,356 @@
+import WebSocket from 'ws';
+import { info, error as _error, warn } from '../utils/logger';
+import EventEmitter from 'events';
+
+// Shares one public tick or candle stream per symbol across every bot and user
+class MarketDataHub extends EventEmitter {
+    constructor() {
+        super();
+        this.streams = new Map(); // symbol, or `${symbol}:${granularity}` for candles -> stream object
+        this.historySize = 1000;
+        this.reconnectDelay = 3000;
+        this.requestTimeout = 30000;
+    }
+
+    // Key of the stream for a symbol's ticks, or its candles at a granularity
+    streamKey(symbol, granularity = null) {
+        return granularity ? `${symbol}:${granularity}` : symbol;
+    }
+
+    // Add a tick subscriber to a symbol, opening the stream if it is the first
+    subscribe(symbol, subscriberId, handler) {
+        return this.addSubscriber(symbol, null, subscriberId, handler);
+    }
+
+    // Remove a tick subscriber, forgetting the stream when none are left
+    unsubscribe(symbol, subscriberId) {
+        return this.removeSubscriber(symbol, null, subscriberId);
+    }
+
+    // Add a subscriber to a symbol's candles, called with each closed candle
+    subscribeCandles(symbol, granularity, subscriberId, handler) {
+        return this.addSubscriber(symbol, granularity, subscriberId, handler);
+    }
+
+    // Remove a candle subscriber, forgetting the stream when none are left
+    unsubscribeCandles(symbol, granularity, subscriberId) {
+        return this.removeSubscriber(symbol, granularity, subscriberId);
+    }
+
+    // Add a subscriber to a stream, opening it if it is the first
+    addSubscriber(symbol, granularity, subscriberId, handler) {
+        const key = this.streamKey(symbol, granularity);
+        let stream = this.streams.get(key);
+
+        if (!stream) {
+            stream = this.openStream(symbol, granularity);
+            this.streams.set(key, stream);
+        }
+
+        stream.subscribers.set(subscriberId, handler);
+        info(`${subscriberId} subscribed to ${key} (${stream.subscribers.size} subscribers)`);
+
+        return stream.subscribers.size;
+    }
+
+    // Remove a subscriber from a stream, closing it when none are left
+    removeSubscriber(symbol, granularity, subscriberId) {
+        const key = this.streamKey(symbol, granularity);
+        const stream = this.streams.get(key);
+        if (!stream) return 0;
+
+        stream.subscribers.delete(subscriberId);
+        info(`${subscriberId} unsubscribed from ${key} (${stream.subscribers.size} subscribers)`);
+
+        if (stream.subscribers.size === 0) {
+            this.closeStream(key);
+        }
+
+        return stream.subscribers.size;
+    }
+
+    // Open an unauthenticated connection streaming ticks or candles for a symbol
+    openStream(symbol, granularity = null, stream = null) {
+        const key = this.streamKey(symbol, granularity);
+        const wsUrl = `${process.env.DERIV_WEBSOCKET_URL}?app_id=${process.env.DERIV_APP_ID}`;
+        const ws = new WebSocket(wsUrl);
+
+        if (!stream) {
+            stream = {
+                key,
+                symbol,
+                granularity,
+                ws,
+                subscribers: new Map(), // subscriberId -> handler
+                subscriptionId: null,
+                history: [],
+                openCandle: null
+            };
+        } else {
+            stream.ws = ws;
+            stream.subscriptionId = null;
+        }
+
+        ws.on('open', () => {
+            info(`Market data stream opened for ${key}`);
+
+            if (granularity) {
+                ws.send(JSON.stringify({
+                    ticks_history: symbol,
+                    style: 'candles',
+                    granularity,
+                    end: 'latest',
+                    count: 1,
+                    subscribe: 1
+                }));
+            } else {
+                ws.send(JSON.stringify({ ticks: symbol, subscribe: 1 }));
+            }
+        });
+
+        ws.on('message', (data) => {
+            this.handleMessage(stream, data);
+        });
+
+        // A close always follows, and reopens the stream. Emitting 'error' here would
+        // throw without a listener and take the process down.
+        ws.on('error', (error) => {
+            _error(`Market data stream error for ${key}:`, error);
+        });
+
+        ws.on('close', (code, reason) => {
+            // Only reopen streams that still belong to the hub and have subscribers
+            if (this.streams.get(key) !== stream || stream.ws !== ws) return;
+            if (stream.subscribers.size === 0) return;
+
+            warn(`Market data stream closed for ${key}: ${code} - ${reason}, reopening`);
+            setTimeout(() => {
+                if (this.streams.get(key) === stream && stream.subscribers.size > 0) {
+                    this.openStream(symbol, granularity, stream);
+                }
+            }, this.reconnectDelay);
+        });
+
+        return stream;
+    }
+
+    // Handle a message from a symbol stream
+    handleMessage(stream, data) {
+        try {
+            const message = JSON.parse(data.toString());
+
+            if (message.error) {
+                _error(`Market data error for ${stream.key}:`, message.error);
+                this.emit('api_error', { symbol: stream.symbol, granularity: stream.granularity, error: message.error });
+                return;
+            }
+
+            if (message.subscription) {
+                stream.subscriptionId = message.subscription.id;
+            }
+
+            if (message.tick) {
+                this.dispatchTick(stream, message.tick);
+            }
+
+            // The candle in progress when the stream opened
+            if (message.candles && message.candles.length > 0) {
+                const candle = message.candles[message.candles.length - 1];
+                stream.openCandle = this.normalizeCandle(stream.symbol, stream.granularity, candle);
+            }
+
+            if (message.ohlc) {
+                this.handleOhlc(stream, message.ohlc);
+            }
+        } catch (error) {
+            _error(`Error handling market data for ${stream.key}:`, error);
+        }
+    }
+
+    // Track the candle in progress and dispatch it once the next one opens
+    handleOhlc(stream, ohlc) {
+        const candle = this.normalizeCandle(stream.symbol, stream.granularity, {
+            epoch: ohlc.open_time,
+            open: ohlc.open,
+            high: ohlc.high,
+            low: ohlc.low,
+            close: ohlc.close
+        });
+
+        if (stream.openCandle && candle.epoch > stream.openCandle.epoch) {
+            this.dispatchCandle(stream, stream.openCandle);
+        }
+
+        stream.openCandle = candle;
+        this.emit('ohlc', { symbol: stream.symbol, granularity: stream.granularity, candle });
+    }
+
+    // Record a closed candle and fan it out to every subscriber
+    dispatchCandle(stream, candle) {
+        stream.history.push(candle);
+
+        if (stream.history.length > this.historySize) {
+            stream.history.shift();
+        }
+
+        for (const [subscriberId, handler] of stream.subscribers) {
+            try {
+                handler(candle);
+            } catch (error) {
+                _error(`Candle handler for ${subscriberId} failed:`, error);
+            }
+        }
+
+        this.emit('candle', { symbol: stream.symbol, granularity: stream.granularity, candle });
+    }
+
+    // Deriv sends candle prices as numbers in history and strings in ohlc streams
+    normalizeCandle(symbol, granularity, candle) {
+        return {
+            symbol,
+            granularity,
+            epoch: Number(candle.epoch),
+            open: Number(candle.open),
+            high: Number(candle.high),
+            low: Number(candle.low),
+            close: Number(candle.close)
+        };
+    }
+
+    // Fetch past ticks, or candles when a granularity is given, oldest first.
+    // `end` is an epoch to page further back than the latest data.
+    fetchHistory(symbol, { granularity = null, count = 100, end = 'latest' } = {}) {
+        const request = {
+            ticks_history: symbol,
+            end,
+            count,
+            style: granularity ? 'candles' : 'ticks'
+        };
+        if (granularity) request.granularity = granularity;
+
+        return new Promise((resolve, reject) => {
+            const wsUrl = `${process.env.DERIV_WEBSOCKET_URL}?app_id=${process.env.DERIV_APP_ID}`;
+            const ws = new WebSocket(wsUrl);
+
+            const finish = (error, result) => {
+                clearTimeout(timer);
+                ws.removeAllListeners();
+                ws.on('error', () => {});
+                ws.terminate();
+                if (error) reject(error);
+                else resolve(result);
+            };
+
+            const timer = setTimeout(() => {
+                finish(new Error(`History request for ${symbol} timed out after ${this.requestTimeout}ms`));
+            }, this.requestTimeout);
+
+            ws.on('open', () => ws.send(JSON.stringify(request)));
+
+            ws.on('message', (data) => {
+                try {
+                    const message = JSON.parse(data.toString());
+
+                    if (message.error) {
+                        finish(new Error(message.error.message));
+                    } else if (message.candles) {
+                        finish(null, message.candles.map(candle =>
+                            this.normalizeCandle(symbol, granularity, candle)));
+                    } else if (message.history) {
+                        const { prices = [], times = [] } = message.history;
+                        finish(null, prices.map((quote, i) => ({
+                            symbol,
+                            epoch: Number(times[i]),
+                            quote: Number(quote),
+                            pipSize: message.pip_size
+                        })));
+                    }
+                } catch (error) {
+                    finish(error);
+                }
+            });
+
+            ws.on('error', (error) => finish(error));
+            ws.on('close', () => finish(new Error(`History connection for ${symbol} closed`)));
+        });
+    }
+
+    // Record a tick and fan it out to every subscriber
+    dispatchTick(stream, tick) {
+        stream.history.push({
+            time: tick.epoch,
+            price: tick.quote,
+            symbol: tick.symbol
+        });
+
+        if (stream.history.length > this.historySize) {
+            stream.history.shift();
+        }
+
+        for (const [subscriberId, handler] of stream.subscribers) {
+            try {
+                handler(tick);
+            } catch (error) {
+                _error(`Tick handler for ${subscriberId} failed:`, error);
+            }
+        }
+
+        this.emit('tick', { symbol: stream.symbol, tick });
+    }
+
+    // Forget a stream and close its connection
+    closeStream(key) {
+        const stream = this.streams.get(key);
+        if (!stream) return;
+
+        this.streams.delete(key);
+
+        try {
+            if (stream.ws.readyState === WebSocket.OPEN) {
+                if (stream.subscriptionId) {
+                    stream.ws.send(JSON.stringify({ forget: stream.subscriptionId }));
+                }
+                stream.ws.close(1000, 'No subscribers');
+            } else {
+                stream.ws.terminate();
+            }
+        } catch (error) {
+            _error(`Error closing market data stream for ${key}:`, error);
+        }
+
+        info(`Market data stream closed for ${key}`);
+    }
+
+    // Get recorded ticks for a symbol
+    getTickHistory(symbol) {
+        const stream = this.streams.get(symbol);
+        return stream ? stream.history : [];
+    }
+
+    // Get recorded closed candles for a symbol at a granularity
+    getCandleHistory(symbol, granularity) {
+        const stream = this.streams.get(this.streamKey(symbol, granularity));
+        return stream ? stream.history : [];
+    }
+
+    // Get subscriber count for a symbol's ticks, or its candles at a granularity
+    getSubscriberCount(symbol, granularity = null) {
+        const stream = this.streams.get(this.streamKey(symbol, granularity));
+        return stream ? stream.subscribers.size : 0;
+    }
+
+    // Get number of open streams
+    getStreamCount() {
+        return this.streams.size;
+    }
+
+    // Close all symbol streams
+    closeAll() {
+        info('Closing all market data streams');
+        for (const key of [...this.streams.keys()]) {
+            this.closeStream(key);
+        }
+    }
+}
+
+export default MarketDataHub;
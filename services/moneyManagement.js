@@ -0,0 +1,225 @@
+// Stake progression for bots, chosen per bot in configuration.moneyManagement:
+//   {
+//     "mode": "martingale",      // see MONEY_MANAGEMENT_MODES
+//     "multiplier": 2,           // martingale / anti_martingale
+//     "unit": 0.5,               // d'Alembert / Oscar's grind step, defaults to the base stake
+//     "percent": 2,              // percent_balance
+//     "kellyFraction": 0.5,      // kelly: share of the full Kelly stake to use
+//     "minTrades": 20,           // kelly: trades to observe before sizing off them
+//     "maxSteps": 6,             // hard cap on progression steps
+//     "maxStake": 50,            // hard cap on any single stake
+//     "minStake": 0.35
+//   }
+// The base stake is configuration.stake. Progression state lives on the bot as
+// moneyManagementState so it survives restarts.
+
+export const MONEY_MANAGEMENT_MODES = [
+    'fixed', 'martingale', 'anti_martingale', 'dalembert', 'fibonacci',
+    'oscars_grind', 'percent_balance', 'kelly'
+];
+
+const DEFAULTS = {
+    mode: 'fixed',
+    multiplier: 2,
+    percent: 1,
+    kellyFraction: 0.5,
+    minTrades: 20,
+    maxSteps: 6,
+    minStake: 0.35
+};
+
+// How far above the base stake a bot may go when it sets no maxStake
+const DEFAULT_MAX_STAKE_MULTIPLE = 50;
+
+// Parameter limits, checked on save
+const LIMITS = {
+    multiplier: { min: 1, max: 10 },
+    unit: { min: 0.01, max: 100000 },
+    percent: { min: 0.01, max: 100 },
+    kellyFraction: { min: 0.01, max: 1 },
+    minTrades: { min: 1, max: 10000, integer: true },
+    maxSteps: { min: 0, max: 50, integer: true },
+    maxStake: { min: 0.01, max: 100000 },
+    minStake: { min: 0.01, max: 100000 }
+};
+
+class MoneyManager {
+    // Fresh progression state
+    initialState() {
+        return {
+            step: 0,
+            cycleProfit: 0, // Oscar's grind: profit in the current cycle
+            wins: 0,
+            losses: 0,
+            winReturn: 0 // kelly: summed profit / stake of winning trades
+        };
+    }
+
+    // Check a bot's money management settings, returning readable errors (empty if valid)
+    validate(settings, baseStake) {
+        const errors = [];
+        if (settings === undefined || settings === null) return errors;
+
+        if (typeof settings !== 'object' || Array.isArray(settings)) {
+            return ['moneyManagement must be an object'];
+        }
+        if (settings.mode !== undefined && !MONEY_MANAGEMENT_MODES.includes(settings.mode)) {
+            errors.push(`moneyManagement.mode must be one of ${MONEY_MANAGEMENT_MODES.join(', ')}`);
+        }
+
+        for (const [key, value] of Object.entries(settings)) {
+            if (key === 'mode') continue;
+
+            const limit = LIMITS[key];
+            if (!limit) {
+                errors.push(`moneyManagement.${key} is not a money management setting`);
+            } else if (typeof value !== 'number' || !Number.isFinite(value) ||
+                (limit.integer && !Number.isInteger(value)) || value < limit.min || value > limit.max) {
+                errors.push(`moneyManagement.${key} must be ${limit.integer ? 'an integer' : 'a number'} from ${limit.min} to ${limit.max}`);
+            }
+        }
+
+        const { minStake, maxStake } = this.settingsFor(settings, baseStake);
+        if (maxStake < minStake) {
+            errors.push('moneyManagement.maxStake must not be below minStake');
+        }
+        if (baseStake !== undefined && maxStake < baseStake) {
+            errors.push('moneyManagement.maxStake must not be below the base stake');
+        }
+
+        return errors;
+    }
+
+    // Settings with defaults filled in
+    settingsFor(settings = {}, baseStake = 1) {
+        return {
+            ...DEFAULTS,
+            unit: baseStake,
+            maxStake: baseStake * DEFAULT_MAX_STAKE_MULTIPLE,
+            ...(settings || {})
+        };
+    }
+
+    // Stake for the next trade. `balance` is the account balance if known.
+    nextStake(settings, state = this.initialState(), { baseStake, balance } = {}) {
+        const s = this.settingsFor(settings, baseStake);
+        const step = Math.min(state.step, s.maxSteps);
+        let stake;
+
+        switch (s.mode) {
+            case 'martingale':
+            case 'anti_martingale':
+                stake = baseStake * Math.pow(s.multiplier, step);
+                break;
+            case 'dalembert':
+                stake = baseStake + step * s.unit;
+                break;
+            case 'fibonacci':
+                stake = baseStake * this.fibonacci(step);
+                break;
+            case 'oscars_grind':
+                stake = s.unit * (step + 1);
+                break;
+            case 'percent_balance':
+                stake = Number.isFinite(balance) ? balance * s.percent / 100 : baseStake;
+                break;
+            case 'kelly':
+                stake = this.kellyStake(s, state, baseStake, balance);
+                break;
+            default:
+                stake = baseStake;
+        }
+
+        return this.clamp(stake, s, balance);
+    }
+
+    // Progression state after a trade settles. `profit` is the trade's profit/loss.
+    applyOutcome(settings, state = this.initialState(), { stake, profit, baseStake }) {
+        const s = this.settingsFor(settings, baseStake);
+        const won = profit > 0;
+        const next = {
+            ...this.initialState(),
+            ...state,
+            wins: state.wins + (won ? 1 : 0),
+            losses: state.losses + (won ? 0 : 1),
+            winReturn: state.winReturn + (won && stake > 0 ? profit / stake : 0)
+        };
+
+        // Past the step cap the progression starts over rather than staying maxed out
+        const advance = (step) => (step > s.maxSteps ? 0 : step);
+
+        switch (s.mode) {
+            case 'martingale':
+                next.step = won ? 0 : advance(state.step + 1);
+                break;
+            case 'anti_martingale':
+                next.step = won ? advance(state.step + 1) : 0;
+                break;
+            case 'dalembert':
+                next.step = won ? Math.max(state.step - 1, 0) : Math.min(state.step + 1, s.maxSteps);
+                break;
+            case 'fibonacci':
+                next.step = won ? Math.max(state.step - 2, 0) : advance(state.step + 1);
+                break;
+            case 'oscars_grind':
+                this.applyOscarsGrind(next, s, won, profit);
+                break;
+            default:
+                next.step = 0;
+        }
+
+        return next;
+    }
+
+    // Oscar's grind: keep the stake after a loss, raise it a unit after a win, but
+    // never by more than the cycle needs to finish one unit up
+    applyOscarsGrind(next, s, won, profit) {
+        next.cycleProfit = next.cycleProfit + profit;
+
+        if (next.cycleProfit >= s.unit) {
+            next.step = 0;
+            next.cycleProfit = 0;
+            return;
+        }
+
+        if (won) {
+            const unitsNeeded = Math.ceil((s.unit - next.cycleProfit) / s.unit);
+            next.step = Math.min(next.step + 1, unitsNeeded - 1, s.maxSteps);
+        }
+    }
+
+    // Fractional Kelly on the bot's observed win rate and average winning return
+    kellyStake(s, state, baseStake, balance) {
+        const trades = state.wins + state.losses;
+        if (trades < s.minTrades || !Number.isFinite(balance) || state.wins === 0) return baseStake;
+
+        const winRate = state.wins / trades;
+        const payout = state.winReturn / state.wins; // net return per unit staked on a win
+        const kelly = winRate - (1 - winRate) / payout;
+
+        // No edge observed: stake the minimum
+        if (kelly <= 0) return s.minStake;
+
+        return balance * kelly * s.kellyFraction;
+    }
+
+    // nth Fibonacci number, counting 1, 1, 2, 3, 5...
+    fibonacci(n) {
+        let [a, b] = [1, 1];
+        for (let i = 0; i < n; i++) {
+            [a, b] = [b, a + b];
+        }
+        return a;
+    }
+
+    // Keep a stake within the bot's caps and the account balance, to cents
+    clamp(stake, s, balance) {
+        let capped = Math.min(Math.max(stake, s.minStake), s.maxStake);
+        if (Number.isFinite(balance)) {
+            capped = Math.min(capped, balance);
+        }
+        return Math.floor(capped * 100) / 100;
+    }
+}
+
+export default MoneyManager;
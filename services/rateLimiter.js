@@ -0,0 +1,203 @@
+// Deriv per-call rate limits, as reported by website_status api_call_limits
+export const DEFAULT_LIMITS = {
+    general: { capacity: 180, refillPerSecond: 3 },
+    pricing: { capacity: 120, refillPerSecond: 2 },
+    outcome: { capacity: 60, refillPerSecond: 1 }
+};
+
+// Which limit each call counts against (anything else is general)
+const CALL_CATEGORIES = {
+    buy: 'outcome',
+    sell: 'outcome',
+    proposal: 'pricing',
+    proposal_array: 'pricing'
+};
+
+// Lower numbers are sent first (anything else is 2)
+const CALL_PRIORITIES = {
+    buy: 0,
+    sell: 0,
+    forget: 1,
+    forget_all: 1,
+    proposal: 1,
+    proposal_open_contract: 1,
+    statement: 3,
+    portfolio: 3,
+    profit_table: 3
+};
+
+// Streams every subscriber sees the same data from, so a queued duplicate can share
+// the first one's response. Proposals and contracts belong to one caller and never merge.
+const SHARED_STREAMS = new Set(['ticks', 'ticks_history', 'balance', 'portfolio', 'transaction', 'website_status']);
+
+// Deriv names a call after the first key of its message
+export function getCallType(message) {
+    return Object.keys(message)[0];
+}
+
+// Token bucket refilled continuously over time
+export class TokenBucket {
+    constructor(capacity, refillPerSecond) {
+        this.capacity = capacity;
+        this.refillPerSecond = refillPerSecond;
+        this.tokens = capacity;
+        this.lastRefill = Date.now();
+    }
+
+    // Add the tokens earned since the last refill
+    refill(now = Date.now()) {
+        const elapsed = (now - this.lastRefill) / 1000;
+        this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+        this.lastRefill = now;
+    }
+
+    // Take a token if one is available
+    tryTake(now = Date.now()) {
+        this.refill(now);
+        if (this.tokens < 1) return false;
+        this.tokens -= 1;
+        return true;
+    }
+
+    // Milliseconds until the next token is available
+    msUntilToken(now = Date.now()) {
+        this.refill(now);
+        if (this.tokens >= 1) return 0;
+        return Math.ceil(((1 - this.tokens) / this.refillPerSecond) * 1000);
+    }
+}
+
+// Bounded priority queue of outgoing messages gated by per-call token buckets
+export class RateLimiter {
+    constructor({ limits = {}, maxQueueSize = 500, messageTtl = 30000 } = {}) {
+        this.buckets = {};
+        for (const [category, defaults] of Object.entries(DEFAULT_LIMITS)) {
+            const { capacity, refillPerSecond } = { ...defaults, ...limits[category] };
+            this.buckets[category] = new TokenBucket(capacity, refillPerSecond);
+        }
+
+        this.maxQueueSize = maxQueueSize;
+        this.messageTtl = messageTtl;
+        this.queue = []; // sorted by priority, then enqueue time
+
+        this.stats = {
+            sent: 0,
+            dropped: 0,
+            expired: 0,
+            deduplicated: 0
+        };
+    }
+
+    // Queue a message, returning what happened to it
+    enqueue(message, now = Date.now()) {
+        const type = getCallType(message);
+        const item = {
+            message,
+            type,
+            category: CALL_CATEGORIES[type] || 'general',
+            priority: CALL_PRIORITIES[type] ?? 2,
+            enqueuedAt: now,
+            fingerprint: message.subscribe && SHARED_STREAMS.has(type) ? this.fingerprint(message) : null
+        };
+
+        // A shared stream identical to one already waiting adds nothing
+        if (item.fingerprint) {
+            const duplicate = this.queue.find(queued => queued.fingerprint === item.fingerprint);
+            if (duplicate) {
+                this.stats.deduplicated++;
+                return { status: 'duplicate', duplicateOf: duplicate.message };
+            }
+        }
+
+        // Make room by evicting the newest message of the lowest priority
+        let evicted = null;
+        if (this.queue.length >= this.maxQueueSize) {
+            const last = this.queue[this.queue.length - 1];
+            if (last.priority <= item.priority) {
+                this.stats.dropped++;
+                return { status: 'dropped' };
+            }
+            evicted = this.queue.pop().message;
+            this.stats.dropped++;
+        }
+
+        const index = this.queue.findIndex(queued => queued.priority > item.priority);
+        if (index === -1) {
+            this.queue.push(item);
+        } else {
+            this.queue.splice(index, 0, item);
+        }
+
+        return { status: 'queued', evicted };
+    }
+
+    // Take every message that can go out now, and every message that went stale
+    drain(now = Date.now()) {
+        const ready = [];
+        const expired = [];
+        const remaining = [];
+
+        for (const item of this.queue) {
+            if (now - item.enqueuedAt > this.messageTtl) {
+                expired.push(item.message);
+                this.stats.expired++;
+            } else if (this.buckets[item.category].tryTake(now)) {
+                ready.push(item.message);
+                this.stats.sent++;
+            } else {
+                remaining.push(item);
+            }
+        }
+
+        this.queue = remaining;
+
+        return { ready, expired, waitMs: this.msUntilNext(now) };
+    }
+
+    // Milliseconds until a queued message could be sent, or null if the queue is empty
+    msUntilNext(now = Date.now()) {
+        if (this.queue.length === 0) return null;
+
+        let wait = Infinity;
+        for (const item of this.queue) {
+            wait = Math.min(wait, this.buckets[item.category].msUntilToken(now));
+        }
+        return wait;
+    }
+
+    // Remove every queued message
+    clear() {
+        const messages = this.queue.map(item => item.message);
+        this.queue = [];
+        return messages;
+    }
+
+    // Identify a shared stream request regardless of req_id and passthrough
+    fingerprint(message) {
+        const { req_id, passthrough, ...payload } = message;
+        return JSON.stringify(payload);
+    }
+
+    // Queue depth and remaining tokens
+    getMetrics(now = Date.now()) {
+        const tokens = {};
+        for (const [category, bucket] of Object.entries(this.buckets)) {
+            bucket.refill(now);
+            tokens[category] = Math.floor(bucket.tokens);
+        }
+
+        const queueByPriority = {};
+        for (const item of this.queue) {
+            queueByPriority[item.priority] = (queueByPriority[item.priority] || 0) + 1;
+        }
+
+        return {
+            queueDepth: this.queue.length,
+            queueByPriority,
+            tokens,
+            ...this.stats
+        };
+    }
+}
+
+export default RateLimiter;
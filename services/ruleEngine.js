@@ -0,0 +1,306 @@
+// Declarative entry rules for custom strategies.
+//
+// configuration.strategy.entryConditions is a list of entries, tried in order:
+//   {
+//     "name": "oversold bounce",
+//     "contractType": "CALL",
+//     "when": { "all": [
+//       "rsi < 30",
+//       { "left": "price", "op": "crosses_above", "right": "bollinger.lower" },
+//       { "any": ["macd.histogram > 0", "prev.rsi < 25"] }
+//     ] }
+//   }
+//
+// A condition is a comparison, written as a "left op right" string or an object, or
+// an { all: [...] } / { any: [...] } group. Operands are numbers or indicator paths.
+// `prev.rsi` reads the previous bar, and { "path": "rsi", "barsAgo": 3 } reads further back.
+// Any indicator the bot configures can be read by its name (see indicatorRegistry).
+// Digit entries (DIGITOVER, DIGITUNDER, DIGITMATCH, DIGITDIFF) also name a "barrier" digit.
+
+import { operandsFor } from './indicatorRegistry';
+
+const COMPARISONS = {
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b
+};
+
+// Operators that compare the current bar against the previous one
+const CROSSES = {
+    crosses_above: (prevA, prevB, a, b) => prevA <= prevB && a > b,
+    crosses_below: (prevA, prevB, a, b) => prevA >= prevB && a < b
+};
+
+const OPERATORS = [...Object.keys(COMPARISONS), ...Object.keys(CROSSES)];
+
+const CONTRACT_TYPES = [
+    'CALL', 'PUT', 'CALLE', 'PUTE', 'ONETOUCH', 'NOTOUCH',
+    'DIGITMATCH', 'DIGITDIFF', 'DIGITOVER', 'DIGITUNDER', 'DIGITEVEN', 'DIGITODD'
+];
+
+// Digit contracts that need a digit as their barrier, and the digits each accepts
+export const DIGIT_BARRIERS = {
+    DIGITOVER: [0, 8],
+    DIGITUNDER: [1, 9],
+    DIGITMATCH: [0, 9],
+    DIGITDIFF: [0, 9]
+};
+
+const MAX_DEPTH = 10;
+export const MAX_BARS_AGO = 50;
+
+// Snapshots a bot keeps so any valid condition can hold: the latest, MAX_BARS_AGO
+// before it, and one more for a crossing that far back to compare against
+export const SNAPSHOT_HISTORY_SIZE = MAX_BARS_AGO + 2;
+
+class RuleEngine {
+    constructor({ operands = operandsFor() } = {}) {
+        this.operands = new Set(operands); // paths readable when a bot configures no indicators
+    }
+
+    // Check a strategy's entry conditions, returning readable errors (empty if valid).
+    // `operands` are the indicator paths the bot can read.
+    validate(strategy, operands = this.operands) {
+        const errors = [];
+        const entries = strategy?.entryConditions;
+
+        if (!Array.isArray(entries) || entries.length === 0) {
+            errors.push('entryConditions must be a non-empty array');
+            return errors;
+        }
+
+        entries.forEach((entry, i) => {
+            const path = `entryConditions[${i}]`;
+
+            if (!entry || typeof entry !== 'object') {
+                errors.push(`${path} must be an object`);
+                return;
+            }
+            if (!CONTRACT_TYPES.includes(entry.contractType)) {
+                errors.push(`${path}.contractType must be one of ${CONTRACT_TYPES.join(', ')}`);
+            }
+            const digits = DIGIT_BARRIERS[entry.contractType];
+            if (digits && !(Number.isInteger(entry.barrier) && entry.barrier >= digits[0] && entry.barrier <= digits[1])) {
+                errors.push(`${path}.barrier must be a digit from ${digits[0]} to ${digits[1]} for ${entry.contractType}`);
+            }
+            if (!entry.when) {
+                errors.push(`${path}.when is required`);
+                return;
+            }
+
+            this.validateCondition(entry.when, `${path}.when`, 0, errors, new Set(operands));
+        });
+
+        return errors;
+    }
+
+    // Check a list of filter conditions that must all hold
+    validateFilters(filters, operands = this.operands) {
+        const errors = [];
+
+        if (!Array.isArray(filters) || filters.length === 0) {
+            errors.push('filters must be a non-empty array');
+            return errors;
+        }
+
+        filters.forEach((filter, i) => this.validateCondition(filter, `filters[${i}]`, 0, errors, new Set(operands)));
+        return errors;
+    }
+
+    // Check one condition or group, recursing into groups
+    validateCondition(condition, path, depth, errors, operands) {
+        if (depth > MAX_DEPTH) {
+            errors.push(`${path} is nested more than ${MAX_DEPTH} levels deep`);
+            return;
+        }
+
+        const group = this.groupOf(condition);
+        if (group) {
+            const children = condition[group];
+            if (!Array.isArray(children) || children.length === 0) {
+                errors.push(`${path}.${group} must be a non-empty array`);
+                return;
+            }
+            children.forEach((child, i) => this.validateCondition(child, `${path}.${group}[${i}]`, depth + 1, errors, operands));
+            return;
+        }
+
+        let comparison;
+        try {
+            comparison = this.parseComparison(condition);
+        } catch (error) {
+            errors.push(`${path}: ${error.message}`);
+            return;
+        }
+
+        if (!OPERATORS.includes(comparison.op)) {
+            errors.push(`${path}: unknown operator "${comparison.op}", expected one of ${OPERATORS.join(', ')}`);
+        }
+        this.validateOperand(comparison.left, `${path}.left`, errors, operands);
+        this.validateOperand(comparison.right, `${path}.right`, errors, operands);
+    }
+
+    // Check an operand is a number or a known indicator path
+    validateOperand(operand, path, errors, operands) {
+        if (operand.value !== undefined) {
+            if (!Number.isFinite(operand.value)) {
+                errors.push(`${path} must be a finite number`);
+            }
+            return;
+        }
+
+        if (!operands.has(operand.path)) {
+            errors.push(`${path}: unknown indicator "${operand.path}"`);
+        }
+        if (!Number.isInteger(operand.barsAgo) || operand.barsAgo < 0 || operand.barsAgo > MAX_BARS_AGO) {
+            errors.push(`${path}.barsAgo must be an integer from 0 to ${MAX_BARS_AGO}`);
+        }
+    }
+
+    // Pick the first entry whose conditions hold. Snapshots run oldest to newest.
+    evaluate(strategy, snapshots) {
+        if (!snapshots || snapshots.length === 0) return { action: 'HOLD', fired: [] };
+
+        for (const entry of strategy.entryConditions || []) {
+            const fired = [];
+            if (this.evaluateCondition(entry.when, snapshots, fired)) {
+                return {
+                    action: entry.contractType,
+                    barrier: entry.barrier,
+                    rule: entry.name || entry.contractType,
+                    confidence: entry.confidence,
+                    fired
+                };
+            }
+        }
+
+        return { action: 'HOLD', fired: [] };
+    }
+
+    // Check that every condition in a list holds, collecting the comparisons that did
+    check(conditions, snapshots) {
+        const fired = [];
+        if (!snapshots || snapshots.length === 0) return { passed: false, fired };
+
+        const passed = this.evaluateCondition({ all: conditions }, snapshots, fired);
+        return { passed, fired: passed ? fired : [] };
+    }
+
+    // Evaluate a condition, collecting the comparisons that held
+    evaluateCondition(condition, snapshots, fired) {
+        const group = this.groupOf(condition);
+
+        if (group === 'all') {
+            return condition.all.every(child => this.evaluateCondition(child, snapshots, fired));
+        }
+        if (group === 'any') {
+            // Only report the branch that matched
+            return condition.any.some(child => {
+                const branch = [];
+                const matched = this.evaluateCondition(child, snapshots, branch);
+                if (matched) fired.push(...branch);
+                return matched;
+            });
+        }
+
+        const comparison = this.parseComparison(condition);
+        const matched = this.compare(comparison, snapshots);
+        if (matched) fired.push(this.describe(comparison));
+        return matched;
+    }
+
+    // Test one comparison against the latest bars
+    compare({ left, op, right }, snapshots) {
+        const a = this.resolve(left, snapshots, 0);
+        const b = this.resolve(right, snapshots, 0);
+        if (a === null || b === null) return false;
+
+        if (CROSSES[op]) {
+            const prevA = this.resolve(left, snapshots, 1);
+            const prevB = this.resolve(right, snapshots, 1);
+            if (prevA === null || prevB === null) return false;
+            return CROSSES[op](prevA, prevB, a, b);
+        }
+
+        return COMPARISONS[op](a, b);
+    }
+
+    // Read an operand's value, `offset` bars further back than it asks for
+    resolve(operand, snapshots, offset) {
+        if (operand.value !== undefined) return operand.value;
+
+        const snapshot = snapshots[snapshots.length - 1 - operand.barsAgo - offset];
+        if (!snapshot) return null;
+
+        const value = operand.path.split('.').reduce((node, key) => (node == null ? null : node[key]), {
+            ...snapshot,
+            price: snapshot.currentPrice
+        });
+
+        return typeof value === 'number' && Number.isFinite(value) ? value : null;
+    }
+
+    // Which group a condition is, if it is one
+    groupOf(condition) {
+        if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+            if ('all' in condition) return 'all';
+            if ('any' in condition) return 'any';
+        }
+        return null;
+    }
+
+    // Normalise a "left op right" string or { left, op, right } object
+    parseComparison(condition) {
+        let left;
+        let op;
+        let right;
+
+        if (typeof condition === 'string') {
+            const parts = condition.trim().split(/\s+/);
+            if (parts.length !== 3) {
+                throw new Error(`"${condition}" should read "left operator right", e.g. "rsi < 30"`);
+            }
+            [left, op, right] = parts;
+        } else if (condition && typeof condition === 'object' && 'op' in condition) {
+            ({ left, op, right } = condition);
+        } else {
+            throw new Error('condition must be a comparison string, a { left, op, right } object or an all/any group');
+        }
+
+        return { left: this.parseOperand(left), op, right: this.parseOperand(right) };
+    }
+
+    // Normalise an operand to { value } or { path, barsAgo }
+    parseOperand(operand) {
+        if (typeof operand === 'number') return { value: operand };
+
+        if (typeof operand === 'string') {
+            if (operand.trim() !== '' && !Number.isNaN(Number(operand))) {
+                return { value: Number(operand) };
+            }
+            if (operand.startsWith('prev.')) {
+                return { path: operand.slice(5), barsAgo: 1 };
+            }
+            return { path: operand, barsAgo: 0 };
+        }
+
+        if (operand && typeof operand === 'object' && typeof operand.path === 'string') {
+            return { path: operand.path, barsAgo: operand.barsAgo ?? 0 };
+        }
+
+        return { path: String(operand), barsAgo: 0 };
+    }
+
+    // Human-readable form of a comparison, for reporting fired rules
+    describe({ left, op, right }) {
+        const name = operand => (operand.value !== undefined
+            ? String(operand.value)
+            : (operand.barsAgo ? `${operand.path}[-${operand.barsAgo}]` : operand.path));
+        return `${name(left)} ${op} ${name(right)}`;
+    }
+}
+
+export default RuleEngine;
@@ -0,0 +1,305 @@
+import { Worker } from 'worker_threads';
+import { Script } from 'vm';
+import { isSimulated } from './contractSimulator';
+import { DIGIT_BARRIERS } from './ruleEngine';
+import IndicatorEngine, { tickToBar } from './indicatorEngine';
+import { resolveIndicators } from './indicatorRegistry';
+import { warn } from '../utils/logger';
+
+// Runs user-written strategies: `(ticks, indicators, state) => signal`, set in
+// configuration.script:
+//   {
+//     "code": "(ticks, indicators, state) => indicators.rsi < 30 ? 'CALL' : null",
+//     "timeoutMs": 50,     // CPU time per call
+//     "memoryMb": 32,      // heap for the bot's sandbox
+//     "maxFailures": 5     // consecutive errors before the bot is paused
+//   }
+// A signal is null (hold), an action name, or { action, barrier, confidence }.
+// `state` is a plain object the code may change; it survives between calls.
+//
+// Each bot gets a worker thread with its own heap limit, and the code runs in a vm
+// context inside it with no require, process, timers, network or filesystem, and
+// no eval. Data crosses in and out of the context only as JSON, so the code never
+// holds an object from outside it.
+
+export const SCRIPT_STRATEGY = 'script';
+
+const MAX_CODE_LENGTH = 20000;
+const MAX_STATE_BYTES = 64 * 1024;
+
+// Limits a bot may choose, and their defaults
+const LIMITS = {
+    timeoutMs: { min: 5, max: 1000, default: 50 },
+    memoryMb: { min: 8, max: 128, default: 32 },
+    maxFailures: { min: 1, max: 100, default: 5 }
+};
+
+// Extra time the host allows a call, over the sandbox's own timeout, before it
+// gives up on the worker
+const WATCHDOG_GRACE_MS = 1000;
+
+// Ticks for the dry run made when a bot is saved
+const SAMPLE_TICKS = Array.from({ length: 200 }, (_, i) => ({
+    symbol: 'R_100',
+    epoch: 1700000000 + i,
+    quote: Number((1000 + Math.sin(i / 7) * 4 + Math.sin(i / 2.3) * 1.5).toFixed(2))
+}));
+
+// Body of each sandbox worker, run from source so it needs no file of its own
+function sandboxWorker() {
+    const { parentPort, workerData } = require('worker_threads');
+    const vm = require('vm');
+
+    const { code, state, timeoutMs, maxStateBytes } = workerData;
+
+    const context = vm.createContext(Object.create(null), {
+        codeGeneration: { strings: false, wasm: false },
+        microtaskMode: 'afterEvaluate'
+    });
+
+    let call;
+    let loadError = null;
+    try {
+        context.__state = state;
+        call = vm.runInContext(`(() => {
+            'use strict';
+            const strategy = (${code}
+            );
+            if (typeof strategy !== 'function') {
+                throw new TypeError('Strategy code must evaluate to a function');
+            }
+            let state = JSON.parse(__state);
+            return (input) => {
+                const { ticks, indicators } = JSON.parse(input);
+                const signal = strategy(ticks, indicators, state);
+                if (signal && typeof signal.then === 'function') {
+                    throw new TypeError('Strategy must return its signal directly, not a promise');
+                }
+                if (!state || typeof state !== 'object') state = {};
+                return JSON.stringify({ signal: signal === undefined ? null : signal, state });
+            };
+        })()`, context, { timeout: timeoutMs, filename: 'strategy.js' });
+        delete context.__state;
+        context.__call = call;
+    } catch (error) {
+        loadError = String(error && error.message || error);
+    }
+
+    parentPort.on('message', ({ id, input }) => {
+        if (loadError) {
+            parentPort.postMessage({ id, error: loadError });
+            return;
+        }
+
+        try {
+            context.__input = input;
+            const output = vm.runInContext('__call(__input)', context, { timeout: timeoutMs });
+            if (typeof output !== 'string' || output.length > maxStateBytes) {
+                throw new Error(`Strategy state must stay under ${maxStateBytes} bytes of JSON`);
+            }
+            parentPort.postMessage({ id, output });
+        } catch (error) {
+            parentPort.postMessage({ id, error: String(error && error.message || error) });
+        }
+    });
+}
+
+class StrategySandbox {
+    constructor() {
+        this.sandboxes = new Map(); // key -> { worker, pending, nextId, settings, state }
+    }
+
+    // Check a script strategy's settings and dry-run its code against sample ticks and
+    // the bot's own indicators, returning readable errors (empty if valid)
+    async validate(settings, indicatorConfig) {
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+            return ['script must be an object with the strategy code'];
+        }
+
+        const errors = [];
+        const { code } = settings;
+        if (typeof code !== 'string' || code.trim() === '') {
+            errors.push('script.code must be the strategy function as a string');
+        } else if (code.length > MAX_CODE_LENGTH) {
+            errors.push(`script.code must be at most ${MAX_CODE_LENGTH} characters`);
+        }
+
+        for (const [key, value] of Object.entries(settings)) {
+            if (key === 'code') continue;
+
+            const limit = LIMITS[key];
+            if (!limit) {
+                errors.push(`script.${key} is not a script setting`);
+            } else if (!Number.isInteger(value) || value < limit.min || value > limit.max) {
+                errors.push(`script.${key} must be an integer from ${limit.min} to ${limit.max}`);
+            }
+        }
+        if (errors.length > 0) return errors;
+
+        // Compiling doesn't run anything, so syntax errors can be caught here
+        try {
+            new Script(`(${code}\n)`, { filename: 'strategy.js' });
+        } catch (error) {
+            return [`script.code does not compile: ${error.message}`];
+        }
+
+        const key = `validate:${Date.now()}:${Math.random()}`;
+        try {
+            const engine = new IndicatorEngine();
+            const indicators = engine.acquire(key, key, resolveIndicators(indicatorConfig), SAMPLE_TICKS.map(tickToBar));
+            await this.evaluate(key, settings, SAMPLE_TICKS.slice(-100), indicators);
+        } catch (error) {
+            errors.push(`script.code failed on sample data: ${error.message}`);
+        } finally {
+            this.release(key);
+        }
+
+        return errors;
+    }
+
+    // Settings with defaults filled in
+    settingsFor(settings = {}) {
+        const limits = {};
+        for (const [key, limit] of Object.entries(LIMITS)) {
+            limits[key] = settings[key] ?? limit.default;
+        }
+        return { ...limits, code: settings.code };
+    }
+
+    // Run a bot's strategy on the latest data, resolving to its signal. `state` seeds
+    // the strategy's state when the bot's sandbox is first started.
+    evaluate(key, settings, ticks, indicators, { state = {} } = {}) {
+        const sandbox = this.sandboxFor(key, settings, state);
+        const id = sandbox.nextId++;
+
+        return new Promise((resolve, reject) => {
+            // Backstop for a worker that stops answering
+            const timer = setTimeout(() => {
+                sandbox.pending.delete(id);
+                this.release(key);
+                reject(new Error(`Strategy did not answer within ${sandbox.settings.timeoutMs + WATCHDOG_GRACE_MS}ms`));
+            }, sandbox.settings.timeoutMs + WATCHDOG_GRACE_MS);
+
+            sandbox.pending.set(id, { resolve, reject, timer });
+            sandbox.worker.postMessage({ id, input: JSON.stringify({ ticks, indicators }) });
+        });
+    }
+
+    // The strategy state a bot's code last left, as JSON-safe data
+    getState(key) {
+        return this.sandboxes.get(key)?.state;
+    }
+
+    // Stop a bot's sandbox, failing anything still waiting on it
+    release(key) {
+        const sandbox = this.sandboxes.get(key);
+        if (!sandbox) return;
+
+        this.sandboxes.delete(key);
+        this.failPending(sandbox, new Error('Strategy sandbox stopped'));
+        sandbox.worker.terminate();
+    }
+
+    // Get a bot's sandbox, starting its worker if needed
+    sandboxFor(key, settings, state) {
+        let sandbox = this.sandboxes.get(key);
+        if (sandbox) return sandbox;
+
+        const resolved = this.settingsFor(settings);
+        const worker = new Worker(`(${sandboxWorker.toString()})()`, {
+            eval: true,
+            // Nothing from process.env, so a context escape finds no database URI or secrets
+            env: {},
+            workerData: {
+                code: resolved.code,
+                state: JSON.stringify(state || {}),
+                timeoutMs: resolved.timeoutMs,
+                maxStateBytes: MAX_STATE_BYTES
+            },
+            resourceLimits: {
+                maxOldGenerationSizeMb: resolved.memoryMb,
+                maxYoungGenerationSizeMb: Math.max(1, Math.floor(resolved.memoryMb / 4)),
+                stackSizeMb: 1
+            }
+        });
+
+        sandbox = { worker, pending: new Map(), nextId: 1, settings: resolved, state };
+        this.sandboxes.set(key, sandbox);
+
+        worker.on('message', (message) => this.handleMessage(sandbox, message));
+
+        // Out of memory, or crashed: fail what's waiting and start afresh next call
+        worker.on('error', (error) => {
+            warn(`Strategy sandbox ${key} failed: ${error.message}`);
+            if (this.sandboxes.get(key) === sandbox) this.sandboxes.delete(key);
+            this.failPending(sandbox, error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+                ? new Error(`Strategy ran out of memory (${resolved.memoryMb}MB)`)
+                : error);
+        });
+        worker.on('exit', () => {
+            if (this.sandboxes.get(key) === sandbox) this.sandboxes.delete(key);
+            this.failPending(sandbox, new Error('Strategy sandbox exited'));
+        });
+
+        return sandbox;
+    }
+
+    // Settle the call a worker answered
+    handleMessage(sandbox, { id, output, error }) {
+        const request = sandbox.pending.get(id);
+        if (!request) return;
+
+        sandbox.pending.delete(id);
+        clearTimeout(request.timer);
+
+        if (error) {
+            request.reject(new Error(error));
+            return;
+        }
+
+        try {
+            const { signal, state } = JSON.parse(output);
+            sandbox.state = state;
+            request.resolve(this.normalizeSignal(signal));
+        } catch (parseError) {
+            request.reject(parseError);
+        }
+    }
+
+    // Reject every call still waiting on a sandbox
+    failPending(sandbox, error) {
+        for (const request of sandbox.pending.values()) {
+            clearTimeout(request.timer);
+            request.reject(error);
+        }
+        sandbox.pending.clear();
+    }
+
+    // Turn what the code returned into a trade signal, refusing anything malformed
+    normalizeSignal(result) {
+        if (result === null || result === 'HOLD') return { action: 'HOLD' };
+
+        const signal = typeof result === 'string' ? { action: result } : result;
+        if (typeof signal !== 'object' || Array.isArray(signal)) {
+            throw new Error('Strategy must return null, an action name or { action, barrier }');
+        }
+        if (signal.action === 'HOLD') return { action: 'HOLD' };
+        if (!isSimulated(signal.action)) {
+            throw new Error(`Strategy returned unknown action "${signal.action}"`);
+        }
+
+        const digits = DIGIT_BARRIERS[signal.action];
+        if (digits && !(Number.isInteger(signal.barrier) && signal.barrier >= digits[0] && signal.barrier <= digits[1])) {
+            throw new Error(`${signal.action} needs a barrier digit from ${digits[0]} to ${digits[1]}`);
+        }
+
+        return {
+            action: signal.action,
+            barrier: digits ? signal.barrier : undefined,
+            confidence: typeof signal.confidence === 'number' ? signal.confidence : undefined,
+            rule: 'script'
+        };
+    }
+}
+
+export default StrategySandbox;
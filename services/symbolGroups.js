@@ -0,0 +1,64 @@
+// Symbols a bot trades. A bot names one `symbol`, a list of `symbols`, or a
+// `symbolGroup` from SYMBOL_GROUPS; it runs its strategy on each symbol separately.
+
+export const SYMBOL_GROUPS = {
+    volatility: ['R_10', 'R_25', 'R_50', 'R_75', 'R_100', '1HZ10V', '1HZ25V', '1HZ50V', '1HZ75V', '1HZ100V'],
+    volatility_2s: ['R_10', 'R_25', 'R_50', 'R_75', 'R_100'],
+    volatility_1s: ['1HZ10V', '1HZ25V', '1HZ50V', '1HZ75V', '1HZ100V'],
+    crash_boom: ['BOOM300N', 'BOOM500', 'BOOM1000', 'CRASH300N', 'CRASH500', 'CRASH1000'],
+    jump: ['JD10', 'JD25', 'JD50', 'JD75', 'JD100'],
+    step: ['stpRNG']
+};
+
+// Most symbols one bot may trade
+export const MAX_SYMBOLS = 20;
+
+const SYMBOL_PATTERN = /^[A-Za-z0-9_]{2,30}$/;
+
+// null clears a setting, e.g. to switch a bot from a group back to a list
+const isSet = (value) => value !== undefined && value !== null;
+
+// The symbols a bot's configuration trades, without duplicates
+export const symbolsFor = (configuration = {}) => {
+    let symbols;
+    if (configuration.symbolGroup) {
+        symbols = SYMBOL_GROUPS[configuration.symbolGroup] || [];
+    } else if (Array.isArray(configuration.symbols) && configuration.symbols.length > 0) {
+        symbols = configuration.symbols;
+    } else {
+        symbols = configuration.symbol ? [configuration.symbol] : [];
+    }
+
+    return [...new Set(symbols)];
+};
+
+// Check a bot's symbol settings, returning readable errors (empty if valid)
+export const validateSymbols = (configuration = {}) => {
+    const errors = [];
+    const { symbol, symbols, symbolGroup } = configuration;
+
+    if (isSet(symbolGroup) && !SYMBOL_GROUPS[symbolGroup]) {
+        errors.push(`symbolGroup must be one of ${Object.keys(SYMBOL_GROUPS).join(', ')}`);
+    }
+    if (isSet(symbolGroup) && isSet(symbols)) {
+        errors.push('set either symbols or symbolGroup, not both');
+    }
+
+    if (isSet(symbols)) {
+        if (!Array.isArray(symbols) || symbols.length === 0) {
+            errors.push('symbols must be a non-empty list');
+        } else {
+            if (symbols.length > MAX_SYMBOLS) {
+                errors.push(`symbols may list at most ${MAX_SYMBOLS} symbols`);
+            }
+            symbols.filter(item => typeof item !== 'string' || !SYMBOL_PATTERN.test(item))
+                .forEach(item => errors.push(`"${item}" is not a valid symbol`));
+        }
+    }
+
+    if (isSet(symbol) && (typeof symbol !== 'string' || !SYMBOL_PATTERN.test(symbol))) {
+        errors.push(`"${symbol}" is not a valid symbol`);
+    }
+
+    return errors;
+};
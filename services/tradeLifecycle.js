@@ -0,0 +1,279 @@
+import { find, findOne, findOneAndUpdate } from '../models/Trade';
+import { info, warn, error as _error } from '../utils/logger';
+import EventEmitter from 'events';
+
+// Legal moves between trade states. Anything not listed is refused.
+//   pending -> open       bought
+//   pending -> failed     proposal or buy refused
+//   pending -> expired    never bought before it went stale
+//   open    -> won | lost settled at expiry
+//   open    -> sold       sold before expiry
+//   pending | open -> cancelled
+export const TRADE_TRANSITIONS = {
+    pending: ['open', 'failed', 'expired', 'cancelled'],
+    open: ['won', 'lost', 'sold', 'cancelled'],
+    won: [],
+    lost: [],
+    sold: [],
+    failed: [],
+    expired: [],
+    cancelled: []
+};
+
+export const TERMINAL_STATES = Object.keys(TRADE_TRANSITIONS)
+    .filter(state => TRADE_TRANSITIONS[state].length === 0);
+
+// Deriv contract statuses that settle an open trade
+const SETTLED_CONTRACT_STATUSES = ['won', 'lost', 'sold', 'cancelled'];
+
+// Owns every Trade status change so the rest of the app sees the same history
+class TradeLifecycle extends EventEmitter {
+    // Pass { sweepInterval: 0 } to sweep only on demand
+    constructor(options = {}) {
+        super();
+        this.pendingTimeout = 2 * 60 * 1000; // pending trades older than this were never bought
+        this.openCheckAfter = 5 * 60 * 1000; // open trades this quiet get checked against Deriv
+        this.sweepInterval = options.sweepInterval ?? 60 * 1000;
+        this.sweepTimer = null;
+        this.setupEventListeners();
+
+        if (this.sweepInterval > 0) {
+            this.startSweeper();
+        }
+    }
+
+    // Setup WebSocket event listeners
+    setupEventListeners() {
+        const wsManager = global.derivWSManager;
+
+        // Settle trades as Deriv reports their contracts finished
+        wsManager.on('contract_update', ({ contract }) => {
+            this.settleFromContract(contract);
+        });
+    }
+
+    // Check whether a trade may move from one state to another
+    canTransition(from, to) {
+        return Boolean(TRADE_TRANSITIONS[from]?.includes(to));
+    }
+
+    // Move a trade to a new state, stamping the change and applying any fields.
+    // Returns the updated trade, or null if the move was illegal or already made.
+    async transition(trade, to, { reason, ...fields } = {}) {
+        const allowedFrom = Object.keys(TRADE_TRANSITIONS)
+            .filter(state => TRADE_TRANSITIONS[state].includes(to));
+
+        if (allowedFrom.length === 0 || (trade.status && !this.canTransition(trade.status, to))) {
+            if (trade.status !== to) {
+                warn(`Refused trade ${trade._id} transition ${trade.status} -> ${to}`);
+            }
+            return null;
+        }
+
+        const now = new Date();
+
+        // Conditional on the stored status, so racing updates can't both apply
+        const updated = await findOneAndUpdate(
+            { _id: trade._id, status: { $in: allowedFrom } },
+            {
+                $set: { ...fields, status: to, statusChangedAt: now },
+                $push: { statusHistory: { status: to, at: now, reason } }
+            },
+            { new: true }
+        );
+
+        if (!updated) {
+            warn(`Trade ${trade._id} was no longer in a state that can move to ${to}`);
+            return null;
+        }
+
+        const from = trade.status;
+
+        // Keep the caller's copy in step with the database
+        if (typeof trade.set === 'function') {
+            trade.set({ ...fields, status: to, statusChangedAt: now, statusHistory: updated.statusHistory });
+        }
+
+        info(`Trade ${updated._id}: ${from} -> ${to}${reason ? ` (${reason})` : ''}`);
+
+        const event = { trade: updated, from, to, reason };
+        this.emit('transition', event);
+        this.emit(to, event);
+        if (TERMINAL_STATES.includes(to)) {
+            this.emit('closed', event);
+        }
+
+        return updated;
+    }
+
+    // Settle the trade behind a finished proposal_open_contract update
+    async settleFromContract(contract) {
+        try {
+            if (!contract.is_sold && !SETTLED_CONTRACT_STATUSES.includes(contract.status)) return null;
+
+            const trade = await findOne({ contractId: contract.contract_id });
+            if (!trade || trade.status !== 'open') return null;
+
+            const status = SETTLED_CONTRACT_STATUSES.includes(contract.status) ? contract.status : 'sold';
+
+            return await this.transition(trade, status, {
+                reason: contract.is_expired ? 'expired' : 'sold',
+                exitPrice: contract.exit_tick || contract.sell_spot || contract.current_spot,
+                exitTime: contract.sell_time ? new Date(contract.sell_time * 1000) : new Date(),
+                sellPrice: contract.sell_price,
+                profitLoss: contract.profit
+            });
+        } catch (error) {
+            _error(`Error settling contract ${contract.contract_id}:`, error);
+            return null;
+        }
+    }
+
+    // Run the sweeper on a schedule
+    startSweeper() {
+        this.stopSweeper();
+        this.sweepTimer = setInterval(() => this.sweep(), this.sweepInterval);
+        this.sweepTimer.unref?.();
+    }
+
+    // Stop the scheduled sweeper
+    stopSweeper() {
+        clearInterval(this.sweepTimer);
+        this.sweepTimer = null;
+    }
+
+    // Reconcile trades stuck in pending or open
+    async sweep() {
+        try {
+            const now = Date.now();
+
+            // Pending trades this old are no longer in flight, so Deriv either bought them or never will
+            const stalePending = await find({
+                status: 'pending',
+                createdAt: { $lt: new Date(now - this.pendingTimeout) }
+            });
+
+            for (const trade of stalePending) {
+                await this.reconcilePendingTrade(trade);
+            }
+
+            // Ask Deriv about open trades we haven't heard from in a while
+            const quietOpen = await find({
+                status: 'open',
+                contractId: { $exists: true },
+                statusChangedAt: { $lt: new Date(now - this.openCheckAfter) }
+            });
+
+            for (const trade of quietOpen) {
+                await this.reconcileOpenTrade(trade);
+            }
+        } catch (error) {
+            _error('Error sweeping trades:', error);
+        }
+    }
+
+    // Find out whether Deriv bought a pending trade whose buy was never confirmed, and open
+    // (and follow or settle) or expire it accordingly. Only call it once the buy can't still be in flight.
+    // Returns the updated trade, or null if Deriv couldn't be asked.
+    async reconcilePendingTrade(trade) {
+        // Paper trades never reach Deriv
+        if (trade.isPaper) {
+            return this.transition(trade, 'expired', { reason: 'not bought in time' });
+        }
+
+        const userId = trade.userId.toString();
+        if (!global.derivWSManager.isConnected(userId, trade.loginid)) return null;
+
+        let contract;
+        try {
+            contract = await this.findBoughtContract(userId, trade);
+        } catch (error) {
+            warn(`Could not look up pending trade ${trade._id}: ${error.message}`);
+            return null;
+        }
+
+        if (!contract) {
+            return this.transition(trade, 'expired', { reason: 'not bought in time' });
+        }
+
+        const opened = await this.transition(trade, 'open', {
+            reason: 'found on Deriv',
+            contractId: contract.contract_id,
+            buyPrice: Number(contract.buy_price),
+            payout: Number(contract.payout)
+        });
+        if (!opened) return null;
+
+        // Settle straight away if the contract has already finished
+        if (contract.sell_time) {
+            await this.reconcileOpenTrade(opened);
+            return (await findOne({ _id: trade._id })) || opened;
+        }
+
+        // Follow the contract as a confirmed buy would, so it settles when Deriv reports it
+        // rather than when a later sweep finds it quiet
+        const passthrough = trade.botId ? { botId: trade.botId.toString() } : { tradeId: trade._id.toString() };
+        global.derivWSManager.subscribeToContract(userId, contract.contract_id, passthrough, trade.loginid)
+            .catch(error => _error(`Error subscribing to contract ${contract.contract_id}:`, error));
+
+        return opened;
+    }
+
+    // Deriv doesn't keep our passthrough, so match the trade to a contract bought on its account
+    // after it was created, with the same symbol, type and price, that no other trade has claimed
+    async findBoughtContract(userId, trade) {
+        const { loginid } = trade;
+        const since = Math.floor(new Date(trade.createdAt).getTime() / 1000);
+
+        const [open, settled] = await Promise.all([
+            global.derivWSManager.request(userId, { portfolio: 1 }, { loginid }),
+            global.derivWSManager.request(userId, {
+                profit_table: 1,
+                description: 1,
+                date_from: since,
+                sort: 'ASC'
+            }, { loginid })
+        ]);
+
+        const candidates = [
+            ...(open.portfolio?.contracts || []),
+            ...(settled.profit_table?.transactions || [])
+        ]
+            .filter(contract =>
+                (contract.symbol || contract.underlying_symbol) === trade.symbol &&
+                (contract.contract_type || contract.shortcode?.split('_')[0]) === trade.contractType &&
+                Number(contract.buy_price) === Number(trade.stake) &&
+                contract.purchase_time >= since)
+            .sort((a, b) => a.purchase_time - b.purchase_time);
+
+        for (const contract of candidates) {
+            const claimed = await findOne({ contractId: contract.contract_id });
+            if (!claimed) return contract;
+        }
+
+        return null;
+    }
+
+    // Look up an open trade's contract and settle it if Deriv has
+    async reconcileOpenTrade(trade) {
+        const userId = trade.userId.toString();
+
+        if (!global.derivWSManager.isConnected(userId, trade.loginid)) return;
+
+        try {
+            const response = await global.derivWSManager.request(userId, {
+                proposal_open_contract: 1,
+                contract_id: trade.contractId
+            }, { loginid: trade.loginid });
+
+            const contract = response.proposal_open_contract;
+            if (contract) {
+                await this.settleFromContract(contract);
+            }
+        } catch (error) {
+            warn(`Could not reconcile trade ${trade._id}: ${error.message}`);
+        }
+    }
+}
+
+export default TradeLifecycle;
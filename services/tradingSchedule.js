@@ -0,0 +1,261 @@
+// When a bot may trade, in the bot's own timezone. Schedules live in
+// configuration.tradingHours:
+//   {
+//     "enabled": true,
+//     "timezone": "Europe/London",                 // IANA name, defaults to UTC
+//     "windows": [{ "start": "08:00", "end": "12:00" }, { "start": "22:00", "end": "02:00" }],
+//     "days": { "sat": [], "sun": [{ "start": "10:00", "end": "14:00" }] },
+//     "blackouts": [{ "from": "2026-12-24", "to": "2026-12-26", "reason": "Holidays" }]
+//   }
+// `windows` apply to every day a `days` entry doesn't override; an empty list closes
+// the day. The older single `start`/`end` pair still works as one daily window.
+// A window whose end is not after its start runs past midnight and belongs to the
+// day it starts on. Blackout dates are local and inclusive.
+
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MINUTE = 60 * 1000;
+
+// How far ahead to look for the next open window
+const LOOKAHEAD_DAYS = 400;
+
+class TradingSchedule {
+    constructor() {
+        this.formatters = new Map(); // timezone -> Intl.DateTimeFormat
+    }
+
+    // Check a bot's schedule, returning readable errors (empty if valid)
+    validate(schedule) {
+        const errors = [];
+        if (schedule === undefined || schedule === null) return errors;
+
+        if (typeof schedule !== 'object' || Array.isArray(schedule)) {
+            return ['tradingHours must be an object'];
+        }
+        if (schedule.timezone !== undefined && !this.isValidTimezone(schedule.timezone)) {
+            errors.push(`tradingHours.timezone "${schedule.timezone}" is not a known IANA timezone`);
+        }
+
+        if (schedule.start !== undefined || schedule.end !== undefined) {
+            errors.push(...this.validateWindow({ start: schedule.start, end: schedule.end }, 'tradingHours'));
+        }
+        if (schedule.windows !== undefined) {
+            errors.push(...this.validateWindows(schedule.windows, 'tradingHours.windows'));
+        }
+
+        if (schedule.days !== undefined) {
+            if (typeof schedule.days !== 'object' || Array.isArray(schedule.days)) {
+                errors.push('tradingHours.days must map weekdays to lists of windows');
+            } else {
+                for (const [day, windows] of Object.entries(schedule.days)) {
+                    if (!WEEKDAYS.includes(day)) {
+                        errors.push(`tradingHours.days.${day} is not a weekday (use ${WEEKDAYS.join(', ')})`);
+                    } else {
+                        errors.push(...this.validateWindows(windows, `tradingHours.days.${day}`));
+                    }
+                }
+            }
+        }
+
+        if (schedule.blackouts !== undefined) {
+            if (!Array.isArray(schedule.blackouts)) {
+                errors.push('tradingHours.blackouts must be a list');
+            } else {
+                schedule.blackouts.forEach((blackout, i) => {
+                    const { from, to = from } = blackout || {};
+                    if (!this.isValidDate(from) || !this.isValidDate(to)) {
+                        errors.push(`tradingHours.blackouts[${i}] needs from/to dates as YYYY-MM-DD`);
+                    } else if (to < from) {
+                        errors.push(`tradingHours.blackouts[${i}] ends before it starts`);
+                    }
+                });
+            }
+        }
+
+        return errors;
+    }
+
+    // Check a list of windows
+    validateWindows(windows, path) {
+        if (!Array.isArray(windows)) return [`${path} must be a list of { start, end } windows`];
+        return windows.flatMap((window, i) => this.validateWindow(window || {}, `${path}[${i}]`));
+    }
+
+    // Check one window's times
+    validateWindow({ start, end }, path) {
+        const errors = [];
+        if (!TIME_PATTERN.test(start)) errors.push(`${path}.start must be a time as HH:MM`);
+        if (!TIME_PATTERN.test(end)) errors.push(`${path}.end must be a time as HH:MM`);
+        return errors;
+    }
+
+    // Whether the schedule allows trading at `now`
+    isOpen(schedule, now = new Date()) {
+        const timezone = this.timezoneOf(schedule);
+        const local = this.localTime(timezone, now);
+        if (this.inBlackout(schedule, local.date)) return false;
+
+        // Windows that started today, or started yesterday (outside a blackout) and run past midnight
+        const today = this.windowsFor(schedule, local.weekday);
+        const carried = this.inBlackout(schedule, this.addDays(local.date, -1))
+            ? []
+            : this.windowsFor(schedule, WEEKDAYS[(local.weekdayIndex + 6) % 7]).filter(window => window.end <= window.start);
+
+        return today.some(({ start, end }) => local.minutes >= start && (end <= start || local.minutes < end)) ||
+            carried.some(({ end }) => local.minutes < end);
+    }
+
+    // The first moment at or after `now` the schedule allows trading, or null if
+    // it stays closed for the whole lookahead
+    nextOpen(schedule, now = new Date()) {
+        if (this.isOpen(schedule, now)) return now;
+
+        const timezone = this.timezoneOf(schedule);
+        const local = this.localTime(timezone, now);
+
+        for (let offset = 0; offset <= LOOKAHEAD_DAYS; offset++) {
+            const date = this.addDays(local.date, offset);
+            const weekday = WEEKDAYS[(local.weekdayIndex + offset) % 7];
+
+            const starts = this.windowsFor(schedule, weekday).map(window => window.start)
+                .sort((a, b) => a - b);
+
+            for (const minutes of starts) {
+                const candidate = this.zonedTime(timezone, date, minutes);
+                if (candidate > now && this.isOpen(schedule, candidate)) return candidate;
+            }
+        }
+
+        return null;
+    }
+
+    // Windows for a weekday as minutes past midnight
+    windowsFor(schedule, weekday) {
+        let windows = schedule.days?.[weekday];
+        if (!windows) {
+            windows = schedule.windows || (schedule.start && schedule.end ? [{ start: schedule.start, end: schedule.end }] : []);
+        }
+
+        return windows.map(({ start, end }) => ({ start: this.toMinutes(start), end: this.toMinutes(end) }));
+    }
+
+    // Whether a local date falls in any blackout
+    inBlackout(schedule, date) {
+        return (schedule.blackouts || []).some(({ from, to = from }) => date >= from && date <= to);
+    }
+
+    // The local date (YYYY-MM-DD) in a timezone at `now`
+    localDate(timezone, now = new Date()) {
+        return this.localTime(timezone, now).date;
+    }
+
+    // The instant local midnight starts a date in a timezone
+    startOfDay(timezone, date) {
+        return this.zonedTime(timezone, date, 0);
+    }
+
+    // Date, weekday and minutes past midnight in a timezone
+    localTime(timezone, now) {
+        const parts = {};
+        for (const { type, value } of this.formatterFor(timezone).formatToParts(now)) {
+            parts[type] = value;
+        }
+
+        const weekday = parts.weekday.slice(0, 3).toLowerCase();
+        return {
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+            weekday,
+            weekdayIndex: WEEKDAYS.indexOf(weekday),
+            minutes: Number(parts.hour) * 60 + Number(parts.minute)
+        };
+    }
+
+    // The instant a local date and time occurs in a timezone. Times skipped by a
+    // daylight saving change move forward by the length of the gap.
+    zonedTime(timezone, date, minutes) {
+        const [year, month, day] = date.split('-').map(Number);
+        const wall = Date.UTC(year, month - 1, day) + minutes * MINUTE;
+
+        // Correct by the zone's offset, twice in case the first guess crossed a change
+        const guess = wall - this.offsetOf(timezone, new Date(wall));
+        const offset = this.offsetOf(timezone, new Date(guess));
+        const instant = wall - offset;
+
+        // A time skipped by a forward change never round-trips. Move it forward by the gap,
+        // as the clocks do: that is the guess made with the pre-change offset, the later one.
+        if (this.offsetOf(timezone, new Date(instant)) !== offset) {
+            return new Date(Math.max(guess, instant));
+        }
+
+        return new Date(instant);
+    }
+
+    // Milliseconds a timezone is ahead of UTC at an instant
+    offsetOf(timezone, instant) {
+        const local = this.localTime(timezone, instant);
+        const [year, month, day] = local.date.split('-').map(Number);
+        const wall = Date.UTC(year, month - 1, day) + local.minutes * MINUTE;
+        return wall - Math.floor(instant.getTime() / MINUTE) * MINUTE;
+    }
+
+    // A local date `days` later
+    addDays(date, days) {
+        const [year, month, day] = date.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+    }
+
+    // Minutes past midnight of an HH:MM time
+    toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    // The schedule's timezone, UTC if it names none
+    timezoneOf(schedule) {
+        return schedule?.timezone || 'UTC';
+    }
+
+    // Whether Intl knows a timezone name
+    isValidTimezone(timezone) {
+        if (typeof timezone !== 'string' || timezone === '') return false;
+        try {
+            this.formatterFor(timezone);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Whether a value is a real YYYY-MM-DD date
+    isValidDate(date) {
+        if (typeof date !== 'string' || !DATE_PATTERN.test(date)) return false;
+
+        const parsed = Date.parse(`${date}T00:00:00Z`);
+        return !Number.isNaN(parsed) && new Date(parsed).toISOString().startsWith(date);
+    }
+
+    // Cached formatter that splits an instant into a timezone's wall clock
+    formatterFor(timezone) {
+        let formatter = this.formatters.get(timezone);
+
+        if (!formatter) {
+            formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone: timezone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                weekday: 'short',
+                hour: '2-digit',
+                minute: '2-digit'
+            });
+            this.formatters.set(timezone, formatter);
+        }
+
+        return formatter;
+    }
+}
+
+export default TradingSchedule;
@@ -0,0 +1,78 @@
+import { createContract, feedTick, settle, fairPayoutRatio } from '../services/contractSimulator';
+
+// Feed quotes a second apart until the contract expires, returning its settlement
+const playOut = (terms, quotes, pipSize = 2) => {
+    const contract = createContract({ stake: 1, payoutRatio: 0.9, ...terms });
+
+    for (const [i, quote] of quotes.entries()) {
+        const exit = feedTick(contract, { epoch: 1000 + i, quote });
+        if (exit) return { ...settle(contract, exit, pipSize), exit };
+    }
+    return null;
+};
+
+describe('digit contracts', () => {
+    test('settle on the last digit of the duration-th tick', () => {
+        const result = playOut({ contractType: 'DIGITOVER', barrier: 5, duration: 3 }, [100.11, 100.12, 100.17, 100.19]);
+
+        expect(result.exit.quote).toBe(100.17);
+        expect(result).toMatchObject({ won: true, exitDigit: 7 });
+    });
+
+    test('read trailing zeros at the symbol\'s pip size', () => {
+        // 1234.5 is quoted as 1234.50, so its last digit is 0
+        expect(playOut({ contractType: 'DIGITEVEN', duration: 1 }, [1234.5])).toMatchObject({ won: true, exitDigit: 0 });
+        expect(playOut({ contractType: 'DIGITMATCH', barrier: 5, duration: 1 }, [1234.5])).toMatchObject({ won: false, exitDigit: 0 });
+        expect(playOut({ contractType: 'DIGITMATCH', barrier: 5, duration: 1 }, [1234.5], 1)).toMatchObject({ won: true, exitDigit: 5 });
+    });
+
+    test('decide each type against its barrier', () => {
+        const digit = (contractType, barrier) => playOut({ contractType, barrier, duration: 1 }, [10.04]).won;
+
+        expect(digit('DIGITODD')).toBe(false);
+        expect(digit('DIGITUNDER', 5)).toBe(true);
+        expect(digit('DIGITUNDER', 4)).toBe(false);
+        expect(digit('DIGITOVER', 4)).toBe(false);
+        expect(digit('DIGITDIFF', 4)).toBe(false);
+        expect(digit('DIGITDIFF', 3)).toBe(true);
+    });
+});
+
+describe('rise/fall contracts', () => {
+    test('exit duration ticks after the entry tick', () => {
+        const result = playOut({ contractType: 'CALL', duration: 3, durationType: 't' }, [100, 101, 99, 100.5, 90]);
+
+        expect(result.exit.quote).toBe(100.5);
+        expect(result.won).toBe(true);
+        expect(playOut({ contractType: 'PUT', duration: 3, durationType: 't' }, [100, 101, 99, 100.5]).won).toBe(false);
+    });
+
+    test('lose a plain rise or fall on an unchanged exit, but win the "or equal" kinds', () => {
+        const flat = [100, 101, 100];
+
+        expect(playOut({ contractType: 'CALL', duration: 2 }, flat).won).toBe(false);
+        expect(playOut({ contractType: 'PUT', duration: 2 }, flat).won).toBe(false);
+        expect(playOut({ contractType: 'CALLE', duration: 2 }, flat).won).toBe(true);
+        expect(playOut({ contractType: 'PUTE', duration: 2 }, flat).won).toBe(true);
+    });
+
+    test('exit timed contracts on the last tick at or before expiry', () => {
+        const contract = createContract({ contractType: 'CALL', stake: 1, payoutRatio: 0.9, duration: 10, durationType: 's' });
+
+        expect(feedTick(contract, { epoch: 1000, quote: 100 })).toBeNull();
+        expect(feedTick(contract, { epoch: 1005, quote: 101 })).toBeNull();
+
+        // The next tick comes after expiry, so the one before it decides
+        const exit = feedTick(contract, { epoch: 1012, quote: 98 });
+        expect(exit).toEqual({ epoch: 1005, quote: 101 });
+        expect(settle(contract, exit, 2).won).toBe(true);
+    });
+});
+
+describe('fairPayoutRatio', () => {
+    test('prices by the chance of winning, less commission', () => {
+        expect(fairPayoutRatio('CALL')).toBeCloseTo(0.9, 10);
+        expect(fairPayoutRatio('DIGITMATCH', 3)).toBeCloseTo(8.5, 10);
+        expect(fairPayoutRatio('DIGITOVER', 9)).toBe(0);
+    });
+});
@@ -0,0 +1,68 @@
+import { readFileSync } from 'fs';
+import DbotImporter from '../services/dbotImporter';
+import RuleEngine from '../services/ruleEngine';
+import { operandsFor } from '../services/indicatorRegistry';
+
+const importer = new DbotImporter();
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+describe('importing a DBot strategy file', () => {
+    // RSI reversal on R_100 ticks with a martingale stake and session profit limits
+    const result = importer.convert(fixture('rsi-martingale.xml'));
+
+    test('imports without errors or unsupported blocks', () => {
+        expect(result.errors).toEqual([]);
+        expect(result.unsupported).toEqual([]);
+    });
+
+    test('reads the trade parameters from the starting variables', () => {
+        expect(result.configuration).toMatchObject({ symbol: 'R_100', stake: 1, duration: 5, durationType: 't' });
+        expect(result.configuration.candleGranularity).toBeUndefined();
+    });
+
+    test('turns the purchase branches into entry rules on one RSI', () => {
+        expect(result.configuration.indicators).toEqual({ rsi14: { type: 'rsi', period: 14 } });
+        expect(result.configuration.strategy.entryConditions).toEqual([
+            { contractType: 'CALL', when: 'rsi14 < 30' },
+            { contractType: 'PUT', when: { all: ['rsi14 >= 30', 'rsi14 > 70'] } }
+        ]);
+    });
+
+    test('gives rules the rule engine accepts', () => {
+        const engine = new RuleEngine();
+        const operands = operandsFor(result.configuration.indicators);
+
+        expect(engine.validate(result.configuration.strategy, operands)).toEqual([]);
+    });
+
+    test('maps the stake changes and profit checks to money and risk management', () => {
+        expect(result.configuration.moneyManagement).toEqual({ mode: 'martingale', multiplier: 2 });
+        expect(result.configuration.riskManagement).toEqual({ sessionTakeProfit: 10, sessionStopLoss: 5 });
+        expect(result.warnings).toHaveLength(1);
+    });
+
+    test('lists the blocks that don\'t affect trading by id', () => {
+        expect(result.ignored.map(({ block, id }) => [block, id])).toEqual([
+            ['trade_definition_restartbuysell', 'N2{c8Rw#5xM!h0Lp;Ya?'],
+            ['trade_definition_restartonerror', 'a(3Z~Jq7Ue^0Vm@x4GwL'],
+            ['notify', 'k5@Q!#2m^0zV8kLw5RxJ'],
+            ['controls_if', 'n0!Q#2@m^zV8kLw5RxJt'],
+            ['text_print', 'A0#Q!2@m^0zV8kLw5RxJ']
+        ]);
+    });
+});
+
+describe('refusing files that aren\'t strategies', () => {
+    test('reports malformed XML', () => {
+        expect(importer.convert('<xml><block type="trade_definition"></xml>').errors[0]).toMatch(/not well-formed/);
+    });
+
+    test('refuses DOCTYPE declarations', () => {
+        expect(importer.convert('<!DOCTYPE xml [<!ENTITY x "y">]><xml></xml>').errors[0]).toMatch(/DOCTYPE/);
+    });
+
+    test('needs trade parameters and purchase conditions', () => {
+        expect(importer.convert('<xml xmlns="http://www.w3.org/1999/xhtml"></xml>').errors)
+            .toEqual(['the strategy has no trade parameters block']);
+    });
+});
@@ -0,0 +1,160 @@
+import MockDerivServer from '../mock/derivServer';
+import DerivWebSocketManager from '../services/derivWebSocketManager';
+
+const USER = 'u1';
+const LOGINID = 'VRTC1000000'; // the mock's first account
+
+let server;
+let manager;
+
+// Poll until a check passes, failing after a while
+const until = async (check, timeout = 2000) => {
+    const deadline = Date.now() + timeout;
+    while (!check()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for the condition');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+};
+
+// Subscription ids the mock server holds for its one client
+const serverSubscriptions = () => [...[...server.clients][0]?.subscriptions.keys() || []];
+
+beforeEach(async () => {
+    server = await new MockDerivServer({ port: 18765, tickInterval: 50 }).start();
+    process.env.DERIV_WEBSOCKET_URL = server.url;
+    process.env.DERIV_APP_ID = '1';
+
+    manager = new DerivWebSocketManager({ heartbeatInterval: 0 });
+    manager.reconnectDelay = 10;
+
+    // The statement is the last of the calls made on authorizing; let them finish so
+    // they don't take the scenarios meant for the tests
+    const initialized = new Promise(resolve => manager.once('statement', resolve));
+    await manager.connect(USER, LOGINID, 'demo-token', { isDefault: true });
+    await manager.whenAuthorized(USER, LOGINID, 2000);
+    await initialized;
+});
+
+afterEach(async () => {
+    manager.closeAll();
+    await server.stop();
+});
+
+describe('request correlation', () => {
+    test('settles each request with the response carrying its req_id', async () => {
+        // The balance answer comes back last, after the tick sent behind it
+        server.addScenario({ on: 'balance', delay: 100, times: 1 });
+        const order = [];
+
+        const [balance, tick] = await Promise.all([
+            manager.request(USER, { balance: 1 }).then(response => { order.push('balance'); return response; }),
+            manager.request(USER, { ticks: 'R_100' }).then(response => { order.push('tick'); return response; })
+        ]);
+
+        expect(order).toEqual(['tick', 'balance']);
+        expect(balance.msg_type).toBe('balance');
+        expect(tick.msg_type).toBe('tick');
+        expect(balance.req_id).not.toBe(tick.req_id);
+    });
+
+    test('keeps the caller\'s passthrough and adds the account', async () => {
+        const response = await manager.request(USER, { ticks: 'R_100', passthrough: { botId: 'b1' } });
+
+        expect(response.passthrough).toEqual({ botId: 'b1', userId: USER, loginid: LOGINID });
+    });
+
+    test('rejects only the request Deriv refused', async () => {
+        server.addScenario({ on: 'statement', error: { code: 'RateLimit', message: 'Too many requests' }, times: 1 });
+
+        const [statement, tick] = await Promise.allSettled([
+            manager.request(USER, { statement: 1 }),
+            manager.request(USER, { ticks: 'R_100' })
+        ]);
+
+        expect(statement.reason).toMatchObject({ code: 'RateLimit' });
+        expect(tick.value.msg_type).toBe('tick');
+    });
+
+    test('times out a request that is never answered', async () => {
+        server.addScenario({ on: 'portfolio', drop: true, times: 1 });
+        const connection = manager.getConnection(USER, LOGINID);
+
+        await expect(manager.request(USER, { portfolio: 1 }, { timeout: 50 })).rejects.toThrow(/timed out after 50ms/);
+        expect(connection.pendingRequests.size).toBe(0);
+    });
+});
+
+describe('subscriptions', () => {
+    test('forgets a stream by the subscription id Deriv gave it', async () => {
+        await manager.subscribe(USER, 'ticks_R_100', { ticks: 'R_100', subscribe: 1 });
+        const { subscriptionId } = manager.getConnection(USER).subscriptions.get('ticks_R_100');
+        await until(() => serverSubscriptions().includes(subscriptionId));
+
+        manager.unsubscribeTicks(USER, 'R_100');
+
+        await until(() => !serverSubscriptions().includes(subscriptionId));
+        expect(manager.getConnection(USER).subscriptions.has('ticks_R_100')).toBe(false);
+    });
+
+    test('replays streams after a reconnect, but not proposals', async () => {
+        await manager.subscribe(USER, 'ticks_R_100', { ticks: 'R_100', subscribe: 1 });
+        await manager.getProposal(USER, { stake: 10, contractType: 'CALL', duration: 5, symbol: 'R_100' });
+
+        const connection = manager.getConnection(USER);
+        const before = connection.subscriptions.get('ticks_R_100').subscriptionId;
+        const restored = new Promise(resolve => manager.once('subscriptions_restored', resolve));
+
+        server.disconnectAll();
+        const { count } = await restored;
+
+        const current = manager.getConnection(USER);
+        expect(current).not.toBe(connection);
+        expect([...current.subscriptions.keys()].sort()).toEqual(['balance', 'portfolio', 'ticks_R_100']);
+        expect(count).toBe(3);
+
+        // The tick stream runs again under the id the new connection was given
+        await until(() => current.subscriptions.get('ticks_R_100').subscriptionId);
+        expect(current.subscriptions.get('ticks_R_100').subscriptionId).not.toBe(before);
+        await new Promise(resolve => manager.once('tick', resolve));
+    });
+});
+
+describe('proposeAndBuy', () => {
+    // A rise contract on R_100; the mock pays 1.9 x stake at its default house edge
+    const call = { stake: 10, contractType: 'CALL', duration: 5, durationType: 't', symbol: 'R_100' };
+
+    test('buys at no more than the price cap', async () => {
+        const { proposal, buy } = await manager.proposeAndBuy(USER, call, { expectedPayout: 19 });
+
+        expect(proposal.payout).toBe(19);
+        expect(buy).toMatchObject({ buy_price: 10, payout: 19 });
+        expect(manager.getConnection(USER).subscriptions.has(`proposal_${manager.nextProposalKey - 1}`)).toBe(false);
+    });
+
+    test('refuses a payout that slipped below the expected one, and forgets the proposal', async () => {
+        const refused = manager.proposeAndBuy(USER, call, { expectedPayout: 20, maxSlippage: 0.01 });
+
+        await expect(refused).rejects.toMatchObject({ code: 'SlippageExceeded', message: 'Payout 19 is below the expected 20' });
+        const { proposal } = await refused.catch(error => error);
+        await until(() => !serverSubscriptions().includes(proposal.id));
+    });
+
+    test('refuses a payout under the minimum ratio', async () => {
+        await expect(manager.proposeAndBuy(USER, call, { minPayoutRatio: 2 }))
+            .rejects.toMatchObject({ code: 'SlippageExceeded', message: 'Payout 19 is below the 20 minimum' });
+    });
+
+    test('refuses an ask price above the cap', async () => {
+        // The mock always asks the stake, so quote a moved price by hand
+        manager.getProposal = () => Promise.resolve({ proposal: { id: 'p1', ask_price: 10.2, payout: 19 } });
+
+        await expect(manager.proposeAndBuy(USER, call, { maxSlippage: 0.01 }))
+            .rejects.toMatchObject({ code: 'SlippageExceeded', message: 'Ask price 10.2 is above the 10.1 cap' });
+    });
+
+    test('passes on Deriv\'s refusal to buy', async () => {
+        server.addScenario({ on: 'buy', error: { code: 'InsufficientBalance', message: 'Balance too low' }, times: 1 });
+
+        await expect(manager.proposeAndBuy(USER, call)).rejects.toMatchObject({ code: 'InsufficientBalance' });
+    });
+});
@@ -0,0 +1,72 @@
+import { RSI, MACD } from '../services/indicators';
+
+// Closes from Wilder's 14-period RSI worked example (as published by StockCharts)
+const CLOSES = [
+    44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08, 45.89,
+    46.03, 45.61, 46.28, 46.28, 46.00, 46.03, 46.41, 46.22, 45.64, 46.21, 46.25,
+    45.71, 46.45, 45.78, 45.35, 44.03, 44.18, 44.22, 44.57, 43.42, 42.66, 43.13
+];
+
+const feed = (indicator, prices) => prices.map(price => indicator.update(price));
+
+describe('RSI', () => {
+    test('warms up on the first period of changes', () => {
+        const values = feed(new RSI(14), CLOSES.slice(0, 14));
+        expect(values.every(value => value === null)).toBe(true);
+    });
+
+    test('matches Wilder-smoothed reference values', () => {
+        // StockCharts rounds its averages and shows 70.53 first; these use exact averages
+        const expected = [
+            70.46, 66.25, 66.48, 69.35, 66.29, 57.92, 62.88, 63.21, 56.01, 62.34,
+            54.67, 50.39, 40.02, 41.49, 41.90, 45.50, 37.32, 33.09, 37.79
+        ];
+
+        const values = feed(new RSI(14), CLOSES).filter(value => value !== null);
+
+        expect(values).toHaveLength(expected.length);
+        values.forEach((value, i) => expect(value).toBeCloseTo(expected[i], 2));
+    });
+
+    test('reads 100 with no losses and 50 with no movement', () => {
+        expect(feed(new RSI(3), [1, 2, 3, 4]).pop()).toBe(100);
+        expect(feed(new RSI(3), [5, 5, 5, 5]).pop()).toBe(50);
+    });
+});
+
+describe('MACD', () => {
+    test('settles at the gap between the EMA lags on a straight line', () => {
+        // An SMA-seeded EMA of a line trails it by (period - 1) / 2 exactly
+        const prices = Array.from({ length: 60 }, (_, i) => 100 + i);
+        const value = feed(new MACD(12, 26, 9), prices).pop();
+
+        expect(value.macd).toBeCloseTo(7, 10);
+        expect(value.signal).toBeCloseTo(7, 10);
+        expect(value.histogram).toBeCloseTo(0, 10);
+    });
+
+    test('starts the signal once it has a period of MACD values', () => {
+        const values = feed(new MACD(5, 10, 4), CLOSES);
+
+        expect(values[8]).toBeNull();
+        expect(values[9].signal).toBeNull();
+        expect(values[9].histogram).toBeNull();
+        expect(values[12].signal).not.toBeNull();
+    });
+
+    test('matches reference signal and histogram values', () => {
+        const expected = [
+            { macd: -0.4899, signal: -0.4020, histogram: -0.0879 },
+            { macd: -0.6375, signal: -0.4962, histogram: -0.1413 },
+            { macd: -0.6082, signal: -0.5410, histogram: -0.0672 }
+        ];
+
+        const values = feed(new MACD(5, 10, 4), CLOSES).slice(-3);
+
+        values.forEach((value, i) => {
+            expect(value.macd).toBeCloseTo(expected[i].macd, 4);
+            expect(value.signal).toBeCloseTo(expected[i].signal, 4);
+            expect(value.histogram).toBeCloseTo(expected[i].histogram, 4);
+        });
+    });
+});
@@ -0,0 +1,6 @@
+import { jest } from '@jest/globals';
+
+// Stands in for the Trade model; tests give each query its behaviour
+export const find = jest.fn();
+export const findOne = jest.fn();
+export const findOneAndUpdate = jest.fn();
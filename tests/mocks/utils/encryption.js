@@ -0,0 +1,6 @@
+// Stands in for token encryption: tokens pass through unchanged, so tests can hand
+// the mock Deriv server a plain token
+export default {
+    encrypt: (value) => value,
+    decrypt: (value) => value
+};
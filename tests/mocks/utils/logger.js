@@ -0,0 +1,6 @@
+import { jest } from '@jest/globals';
+
+// Keeps the services quiet under test while letting tests check what was logged
+export const info = jest.fn();
+export const warn = jest.fn();
+export const error = jest.fn();
@@ -0,0 +1,75 @@
+import MoneyManager from '../services/moneyManagement';
+
+const manager = new MoneyManager();
+
+// Stakes and states through a run of results, starting fresh
+const run = (settings, results, { baseStake = 1, balance } = {}) => {
+    let state = manager.initialState();
+    const stakes = [];
+
+    for (const won of results) {
+        const stake = manager.nextStake(settings, state, { baseStake, balance });
+        stakes.push(stake);
+        state = manager.applyOutcome(settings, state, { stake, profit: won ? stake * 0.9 : -stake, baseStake });
+    }
+
+    return { stakes, state };
+};
+
+const losses = (count) => Array(count).fill(false);
+
+describe('martingale', () => {
+    test('multiplies the stake after each loss and resets after a win', () => {
+        const { stakes, state } = run({ mode: 'martingale', multiplier: 2 }, [false, false, true, false]);
+
+        expect(stakes).toEqual([1, 2, 4, 1]);
+        expect(state.step).toBe(1);
+    });
+
+    test('starts over once a losing run passes maxSteps', () => {
+        const { stakes } = run({ mode: 'martingale', multiplier: 2, maxSteps: 3 }, losses(6));
+
+        expect(stakes).toEqual([1, 2, 4, 8, 1, 2]);
+    });
+
+    test('never stakes more than maxStake', () => {
+        const { stakes } = run({ mode: 'martingale', multiplier: 3, maxSteps: 5, maxStake: 20 }, losses(5));
+
+        expect(stakes).toEqual([1, 3, 9, 20, 20]);
+    });
+
+    test('defaults maxStake to 50 times the base stake', () => {
+        const { stakes } = run({ mode: 'martingale', multiplier: 10, maxSteps: 3 }, losses(4), { baseStake: 2 });
+
+        expect(stakes).toEqual([2, 20, 100, 100]);
+    });
+
+    test('never stakes more than the balance', () => {
+        const { stakes } = run({ mode: 'martingale', multiplier: 2 }, losses(4), { balance: 5.5 });
+
+        expect(stakes).toEqual([1, 2, 4, 5.5]);
+    });
+
+    test('caps a stored step beyond maxSteps', () => {
+        const settings = { mode: 'martingale', multiplier: 2, maxSteps: 2 };
+
+        expect(manager.nextStake(settings, { ...manager.initialState(), step: 9 }, { baseStake: 1 })).toBe(4);
+    });
+});
+
+describe('anti_martingale', () => {
+    test('multiplies after wins and starts over past maxSteps', () => {
+        const { stakes } = run({ mode: 'anti_martingale', multiplier: 2, maxSteps: 2 }, [true, true, true, true, false, true]);
+
+        expect(stakes).toEqual([1, 2, 4, 1, 2, 1]);
+    });
+});
+
+describe('validate', () => {
+    test('rejects caps outside their limits', () => {
+        expect(manager.validate({ mode: 'martingale', maxSteps: 51 }, 1))
+            .toContain('moneyManagement.maxSteps must be an integer from 0 to 50');
+        expect(manager.validate({ mode: 'martingale', maxStake: 0.5 }, 1))
+            .toContain('moneyManagement.maxStake must not be below the base stake');
+    });
+});
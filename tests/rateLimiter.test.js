@@ -0,0 +1,110 @@
+import RateLimiter, { TokenBucket } from '../services/rateLimiter';
+
+describe('TokenBucket', () => {
+    test('refills continuously up to its capacity', () => {
+        const bucket = new TokenBucket(3, 2);
+        const start = Date.now();
+
+        expect([1, 2, 3, 4].map(() => bucket.tryTake(start))).toEqual([true, true, true, false]);
+
+        // Two tokens a second, so 250ms earns half a token and 500ms a whole one
+        expect(bucket.tryTake(start + 250)).toBe(false);
+        expect(bucket.msUntilToken(start + 250)).toBe(250);
+        expect(bucket.tryTake(start + 500)).toBe(true);
+
+        bucket.refill(start + 60000);
+        expect(bucket.tokens).toBe(3);
+    });
+});
+
+describe('RateLimiter', () => {
+    test('sends what the buckets allow and holds the rest', () => {
+        const limiter = new RateLimiter({ limits: { outcome: { capacity: 1, refillPerSecond: 1 } } });
+        const start = Date.now();
+
+        limiter.enqueue({ buy: 'p1', price: 10 }, start);
+        limiter.enqueue({ buy: 'p2', price: 10 }, start);
+
+        const first = limiter.drain(start);
+        expect(first.ready).toEqual([{ buy: 'p1', price: 10 }]);
+        expect(first.waitMs).toBe(1000);
+
+        expect(limiter.drain(start + 1000).ready).toEqual([{ buy: 'p2', price: 10 }]);
+        expect(limiter.drain(start + 1000).waitMs).toBeNull();
+    });
+
+    test('sends higher priority calls first', () => {
+        const limiter = new RateLimiter();
+        const start = Date.now();
+
+        limiter.enqueue({ statement: 1 }, start);
+        limiter.enqueue({ ticks: 'R_100' }, start);
+        limiter.enqueue({ buy: 'p1', price: 10 }, start);
+
+        expect(limiter.drain(start).ready.map(message => Object.keys(message)[0]))
+            .toEqual(['buy', 'ticks', 'statement']);
+    });
+
+    test('evicts the newest lowest priority message to make room', () => {
+        const limiter = new RateLimiter({ maxQueueSize: 2 });
+        const start = Date.now();
+
+        limiter.enqueue({ statement: 1 }, start);
+        limiter.enqueue({ profit_table: 1 }, start);
+
+        expect(limiter.enqueue({ buy: 'p1', price: 10 }, start))
+            .toEqual({ status: 'queued', evicted: { profit_table: 1 } });
+        expect(limiter.queue.map(item => item.type)).toEqual(['buy', 'statement']);
+        expect(limiter.getMetrics(start).dropped).toBe(1);
+    });
+
+    test('drops a message when the queue is full of equal or higher priority ones', () => {
+        const limiter = new RateLimiter({ maxQueueSize: 2 });
+        const start = Date.now();
+
+        limiter.enqueue({ buy: 'p1', price: 10 }, start);
+        limiter.enqueue({ proposal: 1, amount: 10 }, start);
+
+        expect(limiter.enqueue({ proposal: 1, amount: 20 }, start)).toEqual({ status: 'dropped' });
+        expect(limiter.enqueue({ statement: 1 }, start)).toEqual({ status: 'dropped' });
+        expect(limiter.queue).toHaveLength(2);
+        expect(limiter.getMetrics(start).dropped).toBe(2);
+    });
+
+    test('expires messages that waited longer than the TTL', () => {
+        const limiter = new RateLimiter({ messageTtl: 1000, limits: { general: { capacity: 0 } } });
+        const start = Date.now();
+
+        limiter.enqueue({ balance: 1 }, start);
+        expect(limiter.drain(start + 1000).expired).toEqual([]);
+
+        const { ready, expired } = limiter.drain(start + 1001);
+        expect(ready).toEqual([]);
+        expect(expired).toEqual([{ balance: 1 }]);
+        expect(limiter.getMetrics(start + 1001).expired).toBe(1);
+    });
+
+    test('merges a shared stream queued twice, whatever its req_id and passthrough', () => {
+        const limiter = new RateLimiter({ limits: { general: { capacity: 0 } } });
+        const start = Date.now();
+        const first = { ticks: 'R_100', subscribe: 1, req_id: 1, passthrough: { botId: 'a' } };
+
+        limiter.enqueue(first, start);
+
+        expect(limiter.enqueue({ ticks: 'R_100', subscribe: 1, req_id: 2, passthrough: { botId: 'b' } }, start))
+            .toEqual({ status: 'duplicate', duplicateOf: first });
+        expect(limiter.enqueue({ ticks: 'R_50', subscribe: 1, req_id: 3 }, start).status).toBe('queued');
+        expect(limiter.getMetrics(start).deduplicated).toBe(1);
+    });
+
+    test('never merges one-off calls or per-caller streams', () => {
+        const limiter = new RateLimiter({ limits: { general: { capacity: 0 }, pricing: { capacity: 0 } } });
+        const start = Date.now();
+
+        limiter.enqueue({ ticks: 'R_100', req_id: 1 }, start);
+        limiter.enqueue({ proposal: 1, amount: 10, subscribe: 1, req_id: 2 }, start);
+
+        expect(limiter.enqueue({ ticks: 'R_100', req_id: 3 }, start).status).toBe('queued');
+        expect(limiter.enqueue({ proposal: 1, amount: 10, subscribe: 1, req_id: 4 }, start).status).toBe('queued');
+    });
+});
@@ -0,0 +1,77 @@
+import RuleEngine, { MAX_BARS_AGO, SNAPSHOT_HISTORY_SIZE } from '../services/ruleEngine';
+
+const engine = new RuleEngine();
+
+const bar = (currentPrice, fields = {}) => ({ currentPrice, ...fields });
+const holds = (condition, snapshots) => engine.evaluateCondition(condition, snapshots, []);
+
+describe('crosses_above', () => {
+    const condition = 'price crosses_above bollinger.lower';
+
+    test('fires when the left side moves from at or below to above', () => {
+        expect(holds(condition, [bar(9, { bollinger: { lower: 10 } }), bar(11, { bollinger: { lower: 10 } })])).toBe(true);
+        expect(holds(condition, [bar(10, { bollinger: { lower: 10 } }), bar(11, { bollinger: { lower: 10 } })])).toBe(true);
+    });
+
+    test('does not fire while already above, or without a previous bar', () => {
+        expect(holds(condition, [bar(11, { bollinger: { lower: 10 } }), bar(12, { bollinger: { lower: 10 } })])).toBe(false);
+        expect(holds(condition, [bar(11, { bollinger: { lower: 10 } })])).toBe(false);
+    });
+
+    test('fires when the right side falls through the left', () => {
+        expect(holds({ left: 'macd.macd', op: 'crosses_above', right: 'macd.signal' }, [
+            { macd: { macd: 1, signal: 2 } },
+            { macd: { macd: 1, signal: 0.5 } }
+        ])).toBe(true);
+    });
+
+    test('does not fire when a value is missing on either bar', () => {
+        expect(holds(condition, [bar(9), bar(11, { bollinger: { lower: 10 } })])).toBe(false);
+    });
+});
+
+describe('prev.* operands', () => {
+    const snapshots = [{ rsi: 40 }, { rsi: 20 }, { rsi: 35 }];
+
+    test('read the bar before the latest', () => {
+        expect(holds('prev.rsi < 25', snapshots)).toBe(true);
+        expect(holds('rsi < 25', snapshots)).toBe(false);
+    });
+
+    test('reach further back with barsAgo', () => {
+        expect(holds({ left: { path: 'rsi', barsAgo: 2 }, op: '==', right: 40 }, snapshots)).toBe(true);
+        expect(holds({ left: { path: 'rsi', barsAgo: 3 }, op: '==', right: 40 }, snapshots)).toBe(false);
+    });
+
+    test('cross against the bar before their own', () => {
+        expect(holds('prev.rsi crosses_below 30', snapshots)).toBe(true);
+        expect(holds('rsi crosses_above 30', snapshots)).toBe(true);
+    });
+
+    test('report the bar they read when they fire', () => {
+        const signal = engine.evaluate({
+            entryConditions: [{ name: 'bounce', contractType: 'CALL', when: { all: ['prev.rsi < 25', 'rsi > 30'] } }]
+        }, snapshots);
+
+        expect(signal).toMatchObject({ action: 'CALL', rule: 'bounce', fired: ['rsi[-1] < 25', 'rsi > 30'] });
+    });
+});
+
+describe('the barsAgo limit', () => {
+    const farthest = { left: { path: 'rsi', barsAgo: MAX_BARS_AGO }, op: 'crosses_above', right: 30 };
+    const strategy = (when) => ({ entryConditions: [{ contractType: 'CALL', when }] });
+
+    test('accepts MAX_BARS_AGO and nothing further back', () => {
+        expect(engine.validate(strategy(farthest), ['rsi'])).toEqual([]);
+        expect(engine.validate(strategy({ ...farthest, left: { path: 'rsi', barsAgo: MAX_BARS_AGO + 1 } }), ['rsi']))
+            .toEqual([`entryConditions[0].when.left.barsAgo must be an integer from 0 to ${MAX_BARS_AGO}`]);
+    });
+
+    test('lets a crossing that far back hold within the kept history', () => {
+        // The two oldest kept snapshots cross 30, everything after sits above it
+        const history = Array.from({ length: SNAPSHOT_HISTORY_SIZE }, (_, i) => ({ rsi: [20, 40][i] ?? 50 }));
+
+        expect(holds(farthest, history)).toBe(true);
+        expect(holds(farthest, history.slice(1))).toBe(false);
+    });
+});
@@ -0,0 +1,53 @@
+import StrategySandbox from '../services/strategySandbox';
+
+const sandbox = new StrategySandbox();
+const ticks = [{ symbol: 'R_100', epoch: 1700000000, quote: 1000.5 }];
+
+// Run code once in a fresh sandbox, resolving to its signal and the state it left
+const run = async (code, settings = {}) => {
+    try {
+        const signal = await sandbox.evaluate('test', { code, ...settings }, ticks, { rsi: 25 });
+        return { signal, state: sandbox.getState('test') };
+    } finally {
+        sandbox.release('test');
+    }
+};
+
+describe('running strategies', () => {
+    test('passes ticks and indicators in and keeps state between calls', async () => {
+        const code = '(ticks, indicators, state) => { state.calls = (state.calls || 0) + 1; return indicators.rsi < 30 ? "CALL" : null; }';
+
+        const first = await sandbox.evaluate('kept', { code }, ticks, { rsi: 25 });
+        const second = await sandbox.evaluate('kept', { code }, ticks, { rsi: 50 });
+
+        expect([first.action, second.action]).toEqual(['CALL', 'HOLD']);
+        expect(sandbox.getState('kept')).toEqual({ calls: 2 });
+        sandbox.release('kept');
+    });
+});
+
+describe('sandbox limits', () => {
+    test('stops code that runs past its timeout', async () => {
+        await expect(run('() => { while (true) {} }', { timeoutMs: 20 })).rejects.toThrow(/timed out/);
+    });
+
+    test('refuses to build code from strings', async () => {
+        await expect(run('() => eval("\'CALL\'")')).rejects.toThrow(/Code generation from strings disallowed/);
+        await expect(run('() => Function("return \'CALL\'")()')).rejects.toThrow(/Code generation from strings disallowed/);
+        await expect(run('() => (() => {}).constructor("return \'CALL\'")()')).rejects.toThrow(/Code generation from strings disallowed/);
+    });
+
+    test('gives the code no process, require or timers', async () => {
+        const { state } = await run(`(ticks, indicators, state) => {
+            state.seen = [typeof process, typeof require, typeof setTimeout, typeof globalThis.process];
+            return null;
+        }`);
+
+        expect(state.seen).toEqual(['undefined', 'undefined', 'undefined', 'undefined']);
+    });
+
+    test('rejects signals that aren\'t trades', async () => {
+        await expect(run('() => "MOON"')).rejects.toThrow('Strategy returned unknown action "MOON"');
+        await expect(run('() => ({ action: "DIGITOVER", barrier: 9 })')).rejects.toThrow(/barrier digit from 0 to 8/);
+    });
+});
@@ -0,0 +1,207 @@
+import { jest } from '@jest/globals';
+import EventEmitter from 'events';
+import { find, findOne, findOneAndUpdate } from '../models/Trade';
+import TradeLifecycle, { TRADE_TRANSITIONS, TERMINAL_STATES } from '../services/tradeLifecycle';
+
+// Stored trades by id, updated the way the conditional findOneAndUpdate would
+const trades = new Map();
+
+const store = (fields) => {
+    const trade = { _id: `t${trades.size + 1}`, status: 'pending', statusHistory: [], ...fields };
+    trades.set(trade._id, trade);
+    return { ...trade };
+};
+
+const matches = (trade, query) => Object.entries(query).every(([field, value]) => trade[field] === value);
+
+// A pending bot trade for 10 on R_100, created at epoch 1000
+const pendingTrade = (fields = {}) => store({
+    userId: 'u1',
+    loginid: 'CR1',
+    botId: 'b1',
+    symbol: 'R_100',
+    contractType: 'CALL',
+    stake: 10,
+    createdAt: new Date(1000 * 1000),
+    ...fields
+});
+
+let wsManager;
+let lifecycle;
+
+beforeEach(() => {
+    trades.clear();
+    jest.clearAllMocks();
+
+    findOneAndUpdate.mockImplementation(async ({ _id, status }, { $set, $push }) => {
+        const stored = trades.get(_id);
+        if (!stored || !status.$in.includes(stored.status)) return null;
+
+        Object.assign(stored, $set);
+        stored.statusHistory = [...stored.statusHistory, $push.statusHistory];
+        return { ...stored };
+    });
+    findOne.mockImplementation(async (query) => {
+        const trade = [...trades.values()].find(stored => matches(stored, query));
+        return trade ? { ...trade } : null;
+    });
+    find.mockResolvedValue([]);
+
+    wsManager = new EventEmitter();
+    wsManager.isConnected = jest.fn(() => true);
+    wsManager.request = jest.fn();
+    wsManager.subscribeToContract = jest.fn(() => Promise.resolve());
+    global.derivWSManager = wsManager;
+
+    lifecycle = new TradeLifecycle({ sweepInterval: 0 });
+});
+
+describe('TRADE_TRANSITIONS', () => {
+    test('only lets pending and open trades move on', () => {
+        expect(TERMINAL_STATES.sort()).toEqual(['cancelled', 'expired', 'failed', 'lost', 'sold', 'won']);
+        expect(lifecycle.canTransition('pending', 'won')).toBe(false);
+        expect(lifecycle.canTransition('open', 'pending')).toBe(false);
+        expect(lifecycle.canTransition('won', 'lost')).toBe(false);
+        expect(TRADE_TRANSITIONS.open).toContain('won');
+    });
+});
+
+describe('transition', () => {
+    test('stamps the change, updates the caller\'s copy and announces it', async () => {
+        const trade = pendingTrade();
+        trade.set = jest.fn();
+        const events = [];
+        lifecycle.on('transition', ({ from, to }) => events.push(`${from}->${to}`));
+
+        const updated = await lifecycle.transition(trade, 'open', { reason: 'bought', contractId: 55 });
+
+        expect(updated).toMatchObject({ status: 'open', contractId: 55 });
+        expect(updated.statusHistory).toEqual([expect.objectContaining({ status: 'open', reason: 'bought' })]);
+        expect(findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: trade._id, status: { $in: ['pending'] } });
+        expect(trade.set).toHaveBeenCalledWith(expect.objectContaining({ status: 'open', contractId: 55 }));
+        expect(events).toEqual(['pending->open']);
+    });
+
+    test('announces closing only for final states', async () => {
+        const closed = jest.fn();
+        lifecycle.on('closed', closed);
+
+        const trade = await lifecycle.transition(pendingTrade(), 'open');
+        expect(closed).not.toHaveBeenCalled();
+
+        await lifecycle.transition(trade, 'won');
+        expect(closed).toHaveBeenCalledWith(expect.objectContaining({ from: 'open', to: 'won' }));
+    });
+
+    test('refuses an illegal move without touching the database', async () => {
+        expect(await lifecycle.transition(pendingTrade(), 'won')).toBeNull();
+        expect(await lifecycle.transition(pendingTrade({ status: 'lost' }), 'open')).toBeNull();
+        expect(findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test('lets only one of two racing moves apply', async () => {
+        const trade = pendingTrade();
+        const listener = jest.fn();
+        lifecycle.on('transition', listener);
+
+        const results = await Promise.all([
+            lifecycle.transition({ ...trade }, 'open', { contractId: 55 }),
+            lifecycle.transition({ ...trade }, 'failed', { reason: 'buy refused' })
+        ]);
+
+        expect(results.filter(Boolean)).toHaveLength(1);
+        expect(trades.get(trade._id).status).toBe('open');
+        expect(listener).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('sweep', () => {
+    test('reconciles stale pending trades and quiet open ones', async () => {
+        const stale = pendingTrade();
+        const quiet = pendingTrade({ status: 'open', contractId: 55 });
+        find.mockImplementation(async ({ status }) => (status === 'pending' ? [stale] : [quiet]));
+        const reconcilePending = jest.spyOn(lifecycle, 'reconcilePendingTrade').mockResolvedValue(null);
+        const reconcileOpen = jest.spyOn(lifecycle, 'reconcileOpenTrade').mockResolvedValue(undefined);
+
+        const before = Date.now();
+        await lifecycle.sweep();
+
+        const [[pendingQuery], [openQuery]] = find.mock.calls;
+        expect(pendingQuery.createdAt.$lt.getTime()).toBeGreaterThanOrEqual(before - lifecycle.pendingTimeout);
+        expect(openQuery).toMatchObject({ status: 'open', contractId: { $exists: true } });
+        expect(reconcilePending).toHaveBeenCalledWith(stale);
+        expect(reconcileOpen).toHaveBeenCalledWith(quiet);
+    });
+
+    test('keeps going after a failed query', async () => {
+        find.mockRejectedValue(new Error('database down'));
+
+        await expect(lifecycle.sweep()).resolves.toBeUndefined();
+    });
+});
+
+describe('reconcilePendingTrade', () => {
+    const contract = { contract_id: 55, symbol: 'R_100', contract_type: 'CALL', buy_price: 10, payout: 19.5, purchase_time: 1001 };
+
+    // Answer portfolio and profit_table with the given contracts
+    const derivHas = ({ open = [], settled = [], openContract } = {}) => {
+        wsManager.request.mockImplementation(async (userId, message) => {
+            if (message.portfolio) return { portfolio: { contracts: open } };
+            if (message.profit_table) return { profit_table: { transactions: settled } };
+            return { proposal_open_contract: openContract };
+        });
+    };
+
+    test('opens a trade Deriv bought and follows its contract', async () => {
+        derivHas({ open: [contract] });
+
+        const opened = await lifecycle.reconcilePendingTrade(pendingTrade());
+
+        expect(opened).toMatchObject({ status: 'open', contractId: 55, buyPrice: 10, payout: 19.5 });
+        expect(wsManager.subscribeToContract).toHaveBeenCalledWith('u1', 55, { botId: 'b1' }, 'CR1');
+    });
+
+    test('settles a trade whose contract already finished', async () => {
+        const sold = { contract_id: 55, underlying_symbol: 'R_100', shortcode: 'CALL_R_100_19.5_1001_5T', buy_price: 10, purchase_time: 1001, sell_time: 1006 };
+        derivHas({
+            settled: [sold],
+            openContract: { contract_id: 55, is_sold: 1, is_expired: 1, status: 'won', sell_price: 19.5, profit: 9.5, sell_time: 1006 }
+        });
+
+        const settled = await lifecycle.reconcilePendingTrade(pendingTrade());
+
+        expect(settled).toMatchObject({ status: 'won', profitLoss: 9.5 });
+        expect(wsManager.subscribeToContract).not.toHaveBeenCalled();
+    });
+
+    test('expires a trade Deriv never bought', async () => {
+        derivHas({ open: [{ ...contract, buy_price: 20 }, { ...contract, purchase_time: 999 }] });
+
+        expect(await lifecycle.reconcilePendingTrade(pendingTrade())).toMatchObject({ status: 'expired' });
+    });
+
+    test('skips a contract another trade already claimed', async () => {
+        pendingTrade({ status: 'open', contractId: 55 });
+        derivHas({ open: [contract] });
+
+        expect(await lifecycle.reconcilePendingTrade(pendingTrade())).toMatchObject({ status: 'expired' });
+    });
+
+    test('leaves the trade alone while Deriv can\'t be asked', async () => {
+        const trade = pendingTrade();
+
+        wsManager.isConnected.mockReturnValue(false);
+        expect(await lifecycle.reconcilePendingTrade(trade)).toBeNull();
+
+        wsManager.isConnected.mockReturnValue(true);
+        wsManager.request.mockRejectedValue(new Error('timed out'));
+        expect(await lifecycle.reconcilePendingTrade(trade)).toBeNull();
+
+        expect(trades.get(trade._id).status).toBe('pending');
+    });
+
+    test('expires paper trades without asking Deriv', async () => {
+        expect(await lifecycle.reconcilePendingTrade(pendingTrade({ isPaper: true }))).toMatchObject({ status: 'expired' });
+        expect(wsManager.request).not.toHaveBeenCalled();
+    });
+});
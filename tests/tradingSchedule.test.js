@@ -0,0 +1,78 @@
+import TradingSchedule from '../services/tradingSchedule';
+
+const schedule = new TradingSchedule();
+const at = (iso) => new Date(iso);
+
+describe('overnight windows', () => {
+    // 2026-03-03 is a Tuesday
+    const overnight = { windows: [{ start: '22:00', end: '02:00' }] };
+
+    test('run past midnight into the next day', () => {
+        expect(schedule.isOpen(overnight, at('2026-03-03T21:59:00Z'))).toBe(false);
+        expect(schedule.isOpen(overnight, at('2026-03-03T23:00:00Z'))).toBe(true);
+        expect(schedule.isOpen(overnight, at('2026-03-04T01:59:00Z'))).toBe(true);
+        expect(schedule.isOpen(overnight, at('2026-03-04T02:00:00Z'))).toBe(false);
+    });
+
+    test('belong to the day they start on', () => {
+        const closedTuesday = { ...overnight, days: { tue: [] } };
+
+        expect(schedule.isOpen(closedTuesday, at('2026-03-03T23:00:00Z'))).toBe(false);
+        expect(schedule.isOpen(closedTuesday, at('2026-03-04T01:00:00Z'))).toBe(false);
+        expect(schedule.isOpen(closedTuesday, at('2026-03-03T01:00:00Z'))).toBe(true);
+    });
+});
+
+describe('blackouts', () => {
+    const holidays = {
+        timezone: 'Europe/London',
+        windows: [{ start: '08:00', end: '17:00' }],
+        blackouts: [{ from: '2026-12-24', to: '2026-12-26', reason: 'Holidays' }]
+    };
+
+    test('close every day they cover, inclusive', () => {
+        expect(schedule.isOpen(holidays, at('2026-12-23T10:00:00Z'))).toBe(true);
+        expect(schedule.isOpen(holidays, at('2026-12-24T10:00:00Z'))).toBe(false);
+        expect(schedule.isOpen(holidays, at('2026-12-26T10:00:00Z'))).toBe(false);
+        expect(schedule.isOpen(holidays, at('2026-12-27T10:00:00Z'))).toBe(true);
+    });
+
+    test('push the next opening past them', () => {
+        expect(schedule.nextOpen(holidays, at('2026-12-24T09:00:00Z'))).toEqual(at('2026-12-27T08:00:00Z'));
+    });
+
+    test('also close an overnight window started on a blacked out day', () => {
+        const overnight = { windows: [{ start: '22:00', end: '02:00' }], blackouts: [{ from: '2026-12-24' }] };
+
+        expect(schedule.isOpen(overnight, at('2026-12-24T23:00:00Z'))).toBe(false);
+        expect(schedule.isOpen(overnight, at('2026-12-25T01:00:00Z'))).toBe(false);
+        expect(schedule.isOpen(overnight, at('2026-12-25T23:00:00Z'))).toBe(true);
+    });
+});
+
+describe('daylight saving', () => {
+    test('keeps windows on local time across a change', () => {
+        const london = { timezone: 'Europe/London', windows: [{ start: '08:00', end: '09:00' }] };
+
+        // GMT on the 27th, BST from the 29th
+        expect(schedule.nextOpen(london, at('2026-03-27T09:30:00Z'))).toEqual(at('2026-03-28T08:00:00Z'));
+        expect(schedule.nextOpen(london, at('2026-03-29T09:30:00Z'))).toEqual(at('2026-03-30T07:00:00Z'));
+    });
+
+    test('moves a time skipped by the clocks going forward to after the change', () => {
+        // 02:00-03:00 doesn't exist in New York on 2026-03-08
+        expect(schedule.zonedTime('America/New_York', '2026-03-08', 150)).toEqual(at('2026-03-08T07:30:00Z'));
+        expect(schedule.zonedTime('Europe/London', '2026-03-29', 90)).toEqual(at('2026-03-29T01:30:00Z'));
+    });
+
+    test('opens a window starting in the gap on the day of the change', () => {
+        const newYork = { timezone: 'America/New_York', windows: [{ start: '02:30', end: '04:00' }] };
+
+        expect(schedule.nextOpen(newYork, at('2026-03-08T05:00:00Z'))).toEqual(at('2026-03-08T07:30:00Z'));
+    });
+
+    test('takes the first of a repeated time when the clocks go back', () => {
+        // 01:30 happens twice in New York on 2026-11-01, first in EDT
+        expect(schedule.zonedTime('America/New_York', '2026-11-01', 90)).toEqual(at('2026-11-01T05:30:00Z'));
+    });
+});